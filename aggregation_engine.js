@@ -0,0 +1,885 @@
+/**
+ * Aggregation engine for the sustainable innovation dashboard
+ * -----------------------------------------------------------
+ * Plain functions with no React or DOM dependencies, so the same code runs
+ * inside the dashboard component, in the background worker
+ * (dashboard_worker.js) and under any test runner. Every function takes rows
+ * as loaded by the dashboard (one object per CSV row) and returns new
+ * objects; nothing here mutates its input.
+ */
+
+export const isBlank = (v) => v === undefined || v === null || (typeof v === "string" && v.trim() === "");
+
+export const pctChange = (from, to) => (from ? ((to - from) / Math.abs(from)) * 100 : null);
+
+// ------------- Xbox rows -------------
+// Filters: { regions, yearRange, titles, years }; empty lists mean "all".
+// A chart that owns a dimension (titles for the efficiency bars, years for
+// the yearly charts) is fed rows filtered on everything *except* that
+// dimension, so it keeps every value visible and highlights the selection.
+export const filterXbox = (rows, f, except) => (rows || []).filter(r =>
+  r.FiscalYear >= f.yearRange[0] && r.FiscalYear <= f.yearRange[1]
+  && (except === "region" || f.regions.length === 0 || f.regions.includes(r.Region))
+  && (except === "title" || f.titles.length === 0 || f.titles.includes(r.Title))
+  && (except === "year" || f.years.length === 0 || f.years.includes(Number(r.FiscalYear))));
+
+// Yearly Energy/CO2e totals for Xbox rows
+export const aggregateByYear = (rows) => {
+  const map = new Map();
+  (rows || []).forEach(r => {
+    const y = Number(r.FiscalYear);
+    if (!map.has(y)) map.set(y, { Year: y, Energy_MWh: 0, CO2e_t: 0 });
+    const obj = map.get(y);
+    obj.Energy_MWh += Number(r.TitleEnergy_MWh) || 0;
+    obj.CO2e_t += Number(r.TitleCO2e_MetricTon) || 0;
+  });
+  return Array.from(map.values()).sort((a,b) => a.Year - b.Year);
+};
+
+export const EMPTY_KPIS = { totalEnergy: 0, totalCO2: 0, avgPower: 0, titles: 0 };
+
+// Average power either per row ("rows") or weighted by play time
+// ("playtime"). Play time is read as energy / power, so the weighted mean is
+// total energy over total play time.
+export const POWER_WEIGHTINGS = [
+  { id: "playtime", label: "Weighted by play time" },
+  { id: "rows", label: "Unweighted (per row)" },
+];
+
+export const computeKpis = (rows, weighting = "rows") => {
+  if (!rows || rows.length === 0) return EMPTY_KPIS;
+  const totalEnergy = rows.reduce((s, r) => s + (Number(r.TitleEnergy_MWh) || 0), 0);
+  const totalCO2 = rows.reduce((s, r) => s + (Number(r.TitleCO2e_MetricTon) || 0), 0);
+  // Rows without a power reading are left out of the average, not read as 0 W
+  const powered = rows.filter(r => !isBlank(r.AverageACPower_W) && Number.isFinite(Number(r.AverageACPower_W)));
+  let avgPower = powered.length ? powered.reduce((s, r) => s + Number(r.AverageACPower_W), 0) / powered.length : 0;
+  if (weighting === "playtime") {
+    const timed = powered.filter(r => Number(r.AverageACPower_W) > 0 && Number(r.TitleEnergy_MWh) > 0);
+    const hours = timed.reduce((s, r) => s + Number(r.TitleEnergy_MWh) / Number(r.AverageACPower_W), 0);
+    if (hours > 0) avgPower = timed.reduce((s, r) => s + Number(r.TitleEnergy_MWh), 0) / hours;
+  }
+  const titles = new Set(rows.map(r => r.Title)).size;
+  return { totalEnergy, totalCO2, avgPower, titles };
+};
+
+// Rows grouped by fiscal year, ascending: [[year, rows]]
+export const rowsByYear = (rows, key = "FiscalYear") => {
+  const map = new Map();
+  (rows || []).forEach(r => {
+    const y = Number(r[key]);
+    if (!Number.isFinite(y)) return;
+    if (!map.has(y)) map.set(y, []);
+    map.get(y).push(r);
+  });
+  return Array.from(map.entries()).sort((a, b) => a[0] - b[0]);
+};
+
+// KPIs per fiscal year, for sparklines and period-over-period change
+export const kpisByYear = (rows, weighting) => rowsByYear(rows).map(([Year, list]) => ({ Year, ...computeKpis(list, weighting) }));
+
+// Top titles by efficiency proxy: lower CO2e per MWh is better
+export const titleEfficiency = (rows, limit = 10) => {
+  const map = new Map();
+  (rows || []).forEach(r => {
+    const key = r.Title;
+    if (!map.has(key)) map.set(key, { Title: key, Energy_MWh: 0, CO2e_t: 0 });
+    const o = map.get(key);
+    o.Energy_MWh += Number(r.TitleEnergy_MWh) || 0;
+    o.CO2e_t += Number(r.TitleCO2e_MetricTon) || 0;
+  });
+  const out = Array.from(map.values()).map(o => ({
+    ...o,
+    CO2e_per_MWh: o.Energy_MWh > 0 ? o.CO2e_t / o.Energy_MWh : 0,
+  }));
+  return out.sort((a,b) => a.CO2e_per_MWh - b.CO2e_per_MWh).slice(0, limit);
+};
+
+// ------------- Composition -------------
+export const COMPOSITION_MEASURES = [
+  { key: "TitleEnergy_MWh", label: "Energy" },
+  { key: "TitleCO2e_MetricTon", label: "CO₂e" },
+];
+
+export const OTHER_CATEGORY = "Other";
+
+// Sum each measure per category of dim, largest energy first. Categories past
+// topN fold into one "Other" entry that lists what it holds in `members`.
+export const aggregateComposition = (rows, dim, topN) => {
+  const map = new Map();
+  (rows || []).forEach(r => {
+    const name = String(r[dim] ?? "–");
+    if (!map.has(name)) map.set(name, { name, members: [name], ...Object.fromEntries(COMPOSITION_MEASURES.map(m => [m.key, 0])) });
+    const g = map.get(name);
+    COMPOSITION_MEASURES.forEach(m => { g[m.key] += Number(r[m.key]) || 0; });
+  });
+  const groups = Array.from(map.values()).sort((a, b) => b[COMPOSITION_MEASURES[0].key] - a[COMPOSITION_MEASURES[0].key]);
+  if (!topN || groups.length <= topN) return groups;
+  const tail = groups.slice(topN);
+  const other = { name: OTHER_CATEGORY, members: tail.map(g => g.name) };
+  COMPOSITION_MEASURES.forEach(m => { other[m.key] = tail.reduce((s, g) => s + g[m.key], 0); });
+  return [...groups.slice(0, topN), other];
+};
+
+// Rows for the 100% stacked bar: one bar per measure, one stack segment per
+// category holding its share in percent.
+export const compositionShares = (groups) => COMPOSITION_MEASURES.map(m => {
+  const total = groups.reduce((s, g) => s + g[m.key], 0);
+  const row = { measure: m.label };
+  groups.forEach(g => { row[g.name] = total > 0 ? (g[m.key] / total) * 100 : 0; });
+  return row;
+});
+
+// Everything the dashboard derives from Xbox rows for one filter state.
+// options.composition: { dimension, except, topN } where except names the
+// filter the grouping ignores (see filterXbox); options.weighting: see
+// POWER_WEIGHTINGS; options.kpiFormulas: [{ id, formula }] user KPIs,
+// evaluated with options.esgSeries (see evaluateKpiFormulas).
+export const xboxAggregates = (rows, filters, { composition, weighting, kpiFormulas = [], esgSeries } = {}) => {
+  const filtered = filterXbox(rows, filters);
+  return {
+    rowCount: filtered.length,
+    kpis: computeKpis(filtered, weighting),
+    kpiYears: kpisByYear(filtered, weighting),
+    kpiQuality: kpiQuality(filtered),
+    // keeps every year in range; selected years are highlighted, not removed
+    byYear: aggregateByYear(filterXbox(rows, filters, "year")),
+    // same totals over every year; used as target baselines
+    byYearAllYears: aggregateByYear(filterXbox(rows, { ...filters, yearRange: [-Infinity, Infinity], years: [] })),
+    titleEfficiency: titleEfficiency(filterXbox(rows, filters, "title")),
+    compositionGroups: composition
+      ? aggregateComposition(filterXbox(rows, filters, composition.except), composition.dimension, composition.topN)
+      : [],
+    customKpis: evaluateKpiFormulas(filtered, kpiFormulas, esgSeries, filters.yearRange[1]),
+  };
+};
+
+// ------------- ESG -------------
+// { <Metric>: [{ Year, Value, Unit, SDG }] } sorted by year
+export const buildEsgSeries = (rows) => {
+  const byMetric = {};
+  (rows || []).forEach(r => {
+    const key = r.Metric;
+    if (!byMetric[key]) byMetric[key] = [];
+    byMetric[key].push({ Year: Number(r.Year), Value: Number(r.Value), Unit: r.Unit, SDG: r.SDG });
+  });
+  Object.values(byMetric).forEach(arr => arr.sort((a,b) => a.Year - b.Year));
+  return byMetric;
+};
+
+// ------------- Benchmark -------------
+// Any numeric column other than Company/Year is a benchmark metric. A
+// "Peer Avg" company in the file is used as is; without one, the peer average
+// is computed per year from every company except the focus company.
+export const PEER_AVG = "Peer Avg";
+
+export const benchMetricColumns = (rows) => {
+  const cols = new Set();
+  (rows || []).forEach(r => Object.keys(r).forEach(k => {
+    if (k === "Company" || k === "Year" || k.startsWith("_")) return;
+    if (!isBlank(r[k]) && Number.isFinite(Number(r[k]))) cols.add(k);
+  }));
+  return Array.from(cols);
+};
+
+// Pivot one metric to [{ Year, <Company>: value }]
+export const pivotBenchmark = (rows, metric, focus) => {
+  const map = new Map();
+  const companies = new Set();
+  (rows || []).forEach(r => {
+    if (isBlank(r[metric]) || !Number.isFinite(Number(r[metric]))) return;
+    const y = Number(r.Year);
+    if (!map.has(y)) map.set(y, { Year: y });
+    map.get(y)[r.Company] = Number(r[metric]);
+    companies.add(r.Company);
+  });
+  const peerAvgComputed = !companies.has(PEER_AVG);
+  if (peerAvgComputed) {
+    map.forEach(obj => {
+      const peers = Object.keys(obj).filter(k => k !== "Year" && k !== focus);
+      if (peers.length > 0) obj[PEER_AVG] = peers.reduce((s, k) => s + obj[k], 0) / peers.length;
+    });
+  }
+  return {
+    series: Array.from(map.values()).sort((a, b) => a.Year - b.Year),
+    companies: Array.from(companies),
+    peerAvgComputed,
+  };
+};
+
+// Per-year rank among companies (Peer Avg excluded). Percentile is the share
+// of the other companies this one beats; the gap is measured to the leader.
+export const benchmarkStandings = (series, companies, lowerIsBetter) => series.flatMap(row => {
+  const ranked = companies
+    .filter(c => c !== PEER_AVG && Number.isFinite(row[c]))
+    .sort((a, b) => (lowerIsBetter ? row[a] - row[b] : row[b] - row[a]));
+  const leader = ranked[0];
+  const of = ranked.length;
+  return ranked.map((c, i) => ({
+    Year: row.Year,
+    Company: c,
+    Value: row[c],
+    Rank: i + 1,
+    Of: of,
+    Percentile: of > 1 ? ((of - 1 - i) / (of - 1)) * 100 : 100,
+    Leader: leader,
+    GapToLeader: row[c] - row[leader],
+    GapToLeaderPct: pctChange(row[leader], row[c]),
+  }));
+});
+
+// ------------- Grid emission factors -------------
+// CO2e is recomputed from TitleEnergy_MWh with the grid factor for the row's
+// region and year (falling back to the nearest year for that region), under
+// either the location- ("location") or market-based ("market") factor.
+export const normalizeBasis = (b) => (/^market/i.test(String(b ?? "").trim()) ? "market" : "location");
+
+// { "<region>|<basis>": [{ Year, factor }] sorted by year }
+export const indexGridFactors = (rows) => {
+  const index = new Map();
+  (rows || []).forEach(r => {
+    const factor = Number(r.kgCO2e_per_MWh);
+    if (isBlank(r.kgCO2e_per_MWh) || !Number.isFinite(factor)) return;
+    const key = `${r.Region}|${normalizeBasis(r.Basis)}`;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push({ Year: Number(r.Year), factor });
+  });
+  index.forEach(list => list.sort((a, b) => a.Year - b.Year));
+  return index;
+};
+
+export const lookupGridFactor = (index, region, year, basis) => {
+  const list = index.get(`${region}|${basis}`);
+  if (!list || list.length === 0) return null;
+  return list.reduce((best, f) => (Math.abs(f.Year - year) < Math.abs(best.Year - year) ? f : best), list[0]);
+};
+
+// Reported vs recomputed CO2e per Xbox row. Rows without a factor, rows that
+// report CO2e with no energy behind it (no % difference exists there), and
+// rows whose difference exceeds tolerancePct are flagged.
+export const reconcileEmissions = (rows, index, basis, tolerancePct) => (rows || []).map(r => {
+  const energy = Number(r.TitleEnergy_MWh) || 0;
+  const reported = Number(r.TitleCO2e_MetricTon) || 0;
+  const f = lookupGridFactor(index, r.Region, Number(r.FiscalYear), basis);
+  const recomputed = f ? (energy * f.factor) / 1000 : null;
+  const diffPct = recomputed !== null ? pctChange(recomputed, reported) : null;
+  return {
+    Title: r.Title,
+    FiscalYear: r.FiscalYear,
+    Region: r.Region,
+    TitleEnergy_MWh: energy,
+    Reported_t: reported,
+    Factor_kgCO2e_per_MWh: f ? f.factor : null,
+    FactorYear: f ? f.Year : null,
+    Recomputed_t: recomputed,
+    Diff_t: recomputed !== null ? reported - recomputed : null,
+    DiffPct: diffPct,
+    Flag: recomputed === null ? "No factor"
+      : recomputed === 0 && reported !== 0 ? "CO₂e without energy"
+      : Math.abs(diffPct ?? 0) > tolerancePct ? "Beyond tolerance" : "",
+  };
+});
+
+// Yearly totals of reconciled rows. Rows without a factor have nothing to
+// recompute, so they are left out of both totals and counted instead.
+export const reconciliationByYear = (reconciled) => {
+  const map = new Map();
+  (reconciled || []).forEach(r => {
+    const y = Number(r.FiscalYear);
+    if (!map.has(y)) map.set(y, { Year: y, Reported_t: 0, Recomputed_t: 0, NoFactor_rows: 0 });
+    const o = map.get(y);
+    if (r.Recomputed_t === null) {
+      o.NoFactor_rows += 1;
+      return;
+    }
+    o.Reported_t += r.Reported_t;
+    o.Recomputed_t += r.Recomputed_t;
+  });
+  return Array.from(map.values()).sort((a, b) => a.Year - b.Year);
+};
+
+// ------------- Data quality -------------
+// Diagnostics never change rows. Cells that were converted on import (e.g.
+// "1,234" or "FY24") are listed in the row's _coerced array; excluded rows
+// carry _excluded and are still diagnosed so they can be brought back.
+export const rowKey = (row, keyCols) => keyCols.map(c => String(row[c] ?? "").trim().toLowerCase()).join("|");
+
+export const OUTLIER_METHODS = [
+  { id: "iqr", label: "IQR (outside 1.5 × IQR)" },
+  { id: "zscore", label: "z-score (|z| > 3)" },
+];
+
+const Z_OUTLIER = 3;
+const IQR_FENCE = 1.5;
+
+const quantile = (sorted, q) => {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+const roundFor = (n) => Number(n.toPrecision(4));
+
+// values: [{ index, value }] -> the outlying ones, each with a `detail`
+// ({ key: "zscore", z } or { key: "iqr", lo, hi })
+export const findOutliers = (values, method) => {
+  const xs = values.filter(v => Number.isFinite(v.value));
+  if (xs.length < 4) return [];
+  if (method === "zscore") {
+    const mean = xs.reduce((s, v) => s + v.value, 0) / xs.length;
+    const sd = Math.sqrt(xs.reduce((s, v) => s + (v.value - mean) ** 2, 0) / (xs.length - 1));
+    if (!sd) return [];
+    return xs
+      .map(v => ({ ...v, z: (v.value - mean) / sd }))
+      .filter(v => Math.abs(v.z) > Z_OUTLIER)
+      .map(v => ({ index: v.index, value: v.value, detail: { key: "zscore", z: Number(v.z.toFixed(1)) } }));
+  }
+  const sorted = xs.map(v => v.value).sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const lo = q1 - IQR_FENCE * (q3 - q1);
+  const hi = q3 + IQR_FENCE * (q3 - q1);
+  return xs
+    .filter(v => v.value < lo || v.value > hi)
+    .map(v => ({ index: v.index, value: v.value, detail: { key: "iqr", lo: roundFor(lo), hi: roundFor(hi) } }));
+};
+
+const isNumberLike = (v) => !isBlank(v) && Number.isFinite(Number(v));
+
+// rows: the full dataset. options:
+//  - columns: [{ key, type }] (type string | number | year)
+//  - naturalKey: columns that identify a row
+//  - outliers: [{ label, value: row => number, groupBy?: row => string }]
+//  - jumps: [{ label, value, groupBy, year: row => number }]
+//  - outlierMethod: see OUTLIER_METHODS; jumpPct: flag larger YoY changes
+// Returns { columns: [{ key, type, missing, nonNumeric, coerced }],
+//           duplicates, flags: [{ index, issue, column, detail }] }
+// where detail is { key, ...values } for the caller to put into words
+export const assessDataQuality = (rows, { columns, naturalKey, outliers = [], jumps = [], outlierMethod = "iqr", jumpPct = 50 }) => {
+  const list = rows || [];
+  const flags = [];
+  const flag = (index, issue, column, detail) => flags.push({ index, issue, column, detail });
+
+  const columnStats = columns.map(col => {
+    const numeric = col.type === "number" || col.type === "year";
+    const stats = { key: col.key, type: col.type, missing: 0, nonNumeric: 0, coerced: 0 };
+    list.forEach((r, i) => {
+      const v = r[col.key];
+      if (isBlank(v)) {
+        stats.missing += 1;
+        if (numeric) flag(i, "missing", col.key, { key: "missing" });
+      } else if (numeric && (!isNumberLike(v) || (col.type === "year" && !(Number(v) >= 1900 && Number(v) <= 2100)))) {
+        stats.nonNumeric += 1;
+        flag(i, "non-numeric", col.key, { key: col.type === "year" ? "notYear" : "notNumber", value: v });
+      }
+      if ((r._coerced || []).includes(col.key)) {
+        stats.coerced += 1;
+        flag(i, "coerced", col.key, { key: "coerced" });
+      }
+    });
+    return stats;
+  });
+
+  const byKey = new Map();
+  list.forEach((r, i) => {
+    const k = rowKey(r, naturalKey);
+    if (!byKey.has(k)) byKey.set(k, []);
+    byKey.get(k).push(i);
+  });
+  let duplicates = 0;
+  byKey.forEach(indexes => {
+    if (indexes.length < 2) return;
+    duplicates += indexes.length;
+    indexes.forEach(i => flag(i, "duplicate", naturalKey.join(" + "), { key: "duplicate", n: indexes.length }));
+  });
+
+  outliers.forEach(check => {
+    const groups = new Map();
+    list.forEach((r, i) => {
+      const g = check.groupBy ? check.groupBy(r) : "";
+      if (!groups.has(g)) groups.set(g, []);
+      groups.get(g).push({ index: i, value: check.value(r) });
+    });
+    groups.forEach((values, g) => findOutliers(values, outlierMethod).forEach(o => (
+      flag(o.index, "outlier", check.label, { ...o.detail, value: roundFor(o.value), group: g })
+    )));
+  });
+
+  jumps.forEach(check => {
+    const groups = new Map();
+    list.forEach((r, i) => {
+      const value = check.value(r);
+      const year = check.year(r);
+      if (!Number.isFinite(value) || !Number.isFinite(year)) return;
+      const g = check.groupBy(r);
+      if (!groups.has(g)) groups.set(g, []);
+      groups.get(g).push({ index: i, value, year });
+    });
+    groups.forEach(points => {
+      points.sort((a, b) => a.year - b.year);
+      points.forEach((p, k) => {
+        const prev = points[k - 1];
+        if (!prev || prev.year === p.year) return;
+        const change = pctChange(prev.value, p.value);
+        if (change !== null && Math.abs(change) > jumpPct) {
+          flag(p.index, "jump", check.label, { key: "jump", change: Math.round(change), year: prev.year });
+        }
+      });
+    });
+  });
+
+  flags.sort((a, b) => a.index - b.index);
+  return { columns: columnStats, duplicates, flags };
+};
+
+// Per KPI column: rows in view whose value is missing or was coerced
+export const KPI_COLUMNS = ["TitleEnergy_MWh", "TitleCO2e_MetricTon", "AverageACPower_W"];
+
+export const kpiQuality = (rows) => Object.fromEntries(KPI_COLUMNS.map(key => {
+  let missing = 0;
+  let coerced = 0;
+  (rows || []).forEach(r => {
+    if (!isNumberLike(r[key])) missing += 1;
+    if ((r._coerced || []).includes(key)) coerced += 1;
+  });
+  return [key, { missing, coerced }];
+}));
+
+// ------------- Scenarios -------------
+// A scenario is { powerCuts, shifts, renewablePct } applied to Xbox rows in
+// a fixed order, so each lever's share of the change is well defined:
+//  1. shifts: [{ from, to, pct }] move pct% of a title's play time to another
+//     title in the same year and region. Play time is read as energy / power,
+//     so the moved hours use the receiving title's power and CO2e per MWh.
+//  2. powerCuts: [{ dimension: "Title" | "Region", value, pct }] lower
+//     AverageACPower_W; energy and CO2e scale with it. Cuts on one row compound.
+//  3. renewablePct: % CO2e reduction from clean supply. It scales CO2e
+//     directly; the rows carry no renewable share to build on, so it is not
+//     "points of extra renewables" (the name is kept for saved scenarios).
+export const EMPTY_SCENARIO = { powerCuts: [], shifts: [], renewablePct: 0 };
+
+const scenarioTotals = (rows) => ({
+  energy: rows.reduce((s, r) => s + (Number(r.TitleEnergy_MWh) || 0), 0),
+  co2: rows.reduce((s, r) => s + (Number(r.TitleCO2e_MetricTon) || 0), 0),
+});
+
+const scaleRow = (r, f) => ({
+  ...r,
+  AverageACPower_W: isBlank(r.AverageACPower_W) ? r.AverageACPower_W : Number(r.AverageACPower_W) * f,
+  TitleEnergy_MWh: (Number(r.TitleEnergy_MWh) || 0) * f,
+  TitleCO2e_MetricTon: (Number(r.TitleCO2e_MetricTon) || 0) * f,
+});
+
+const applyShift = (rows, { from, to, pct }) => {
+  const share = Math.min(Math.max(Number(pct) || 0, 0), 100) / 100;
+  if (!share || from === to) return rows;
+  const out = rows.slice();
+  const groups = new Map();
+  out.forEach((r, i) => {
+    if (r.Title !== from && r.Title !== to) return;
+    const g = `${r.FiscalYear}|${r.Region ?? ""}`;
+    if (!groups.has(g)) groups.set(g, { from: [], to: [] });
+    groups.get(g)[r.Title === from ? "from" : "to"].push(i);
+  });
+  groups.forEach(g => {
+    const receiver = out[g.to[0]];
+    const receiverPower = Number(receiver?.AverageACPower_W);
+    if (!receiver || !(receiverPower > 0)) return; // nothing to price the moved hours with
+    let hours = 0;
+    g.from.forEach(i => {
+      const r = out[i];
+      const power = Number(r.AverageACPower_W);
+      if (!(power > 0)) return;
+      hours += ((Number(r.TitleEnergy_MWh) || 0) / power) * share;
+      out[i] = { ...r, TitleEnergy_MWh: r.TitleEnergy_MWh * (1 - share), TitleCO2e_MetricTon: (Number(r.TitleCO2e_MetricTon) || 0) * (1 - share) };
+    });
+    const energy = Number(receiver.TitleEnergy_MWh) || 0;
+    const factor = energy > 0 ? (Number(receiver.TitleCO2e_MetricTon) || 0) / energy : 0;
+    const added = hours * receiverPower;
+    out[g.to[0]] = { ...receiver, TitleEnergy_MWh: energy + added, TitleCO2e_MetricTon: (Number(receiver.TitleCO2e_MetricTon) || 0) + added * factor };
+  });
+  return out;
+};
+
+// -> { rows, baseline, result, steps: [{ id, label, energyDelta, co2Delta }] }
+export const applyScenario = (rows, scenario) => {
+  const s = { ...EMPTY_SCENARIO, ...scenario };
+  const steps = [];
+  let current = rows || [];
+  const baseline = scenarioTotals(current);
+  const step = (id, label, next) => {
+    const before = scenarioTotals(current);
+    const after = scenarioTotals(next);
+    steps.push({ id, label, energyDelta: after.energy - before.energy, co2Delta: after.co2 - before.co2 });
+    current = next;
+  };
+
+  step("shifts", "Play-time shift", s.shifts.reduce(applyShift, current));
+  step("power", "Power reduction", current.map(r => {
+    const f = s.powerCuts
+      .filter(c => String(r[c.dimension]) === String(c.value))
+      .reduce((acc, c) => acc * (1 - Math.min(Math.max(Number(c.pct) || 0, 0), 100) / 100), 1);
+    return f === 1 ? r : scaleRow(r, f);
+  }));
+  const clean = 1 - Math.min(Math.max(Number(s.renewablePct) || 0, 0), 100) / 100;
+  step("renewable", "Clean supply", clean === 1 ? current : current.map(r => ({ ...r, TitleCO2e_MetricTon: (Number(r.TitleCO2e_MetricTon) || 0) * clean })));
+
+  return { rows: current, baseline, result: scenarioTotals(current), steps };
+};
+
+// Waterfall rows for Recharts: an invisible `base` bar stacked under the
+// visible `value` bar. Totals start at 0; lever bars float between totals.
+export const waterfallRows = (start, steps, end, key = "co2Delta") => {
+  let running = start;
+  return [
+    { name: "Baseline", base: 0, value: start, delta: start, kind: "total" },
+    ...steps.map(st => {
+      const d = st[key];
+      const row = { name: st.label, base: Math.min(running, running + d), value: Math.abs(d), delta: d, kind: d > 0 ? "increase" : "decrease" };
+      running += d;
+      return row;
+    }),
+    { name: "Scenario", base: 0, value: end, delta: end, kind: "total" },
+  ];
+};
+
+// ------------- KPI formulas -------------
+// User-defined KPIs are arithmetic over aggregates, e.g.
+//   sum(TitleCO2e_MetricTon) / sum(TitleEnergy_MWh)
+//   latest("Renewable Energy %")
+// Functions: sum, avg, min, max, distinct (over an Xbox column), count() and
+// latest("ESG metric") for the metric's most recent value up to the period's
+// last year. Numbers, + - * / and parentheses work as usual. Formulas are
+// parsed once into a small tree; nothing is ever passed to eval.
+export const KPI_FUNCTIONS = ["sum", "avg", "min", "max", "distinct", "count", "latest"];
+
+// Formula errors name the problem as `problem`: { key, ...values }, e.g.
+// { key: "unknownColumn", name: "Power" }, for the dashboard to put into
+// words. The message is the key.
+const formulaError = (key, values) => Object.assign(new Error(key), { problem: { key, ...values } });
+
+const tokenizeFormula = (text) => {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|"([^"]*)"|([-+*/(),]))/y;
+  let pos = 0;
+  const src = String(text ?? "");
+  while (pos < src.length) {
+    if (/^\s*$/.test(src.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(src);
+    if (!m) {
+      const at = src.length - src.slice(pos).trimStart().length;
+      throw formulaError("unexpectedAt", { char: src[at], position: at + 1 });
+    }
+    if (m[1] !== undefined) tokens.push({ type: "number", value: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: "ident", value: m[2] });
+    else if (m[3] !== undefined) tokens.push({ type: "string", value: m[3] });
+    else tokens.push({ type: "op", value: m[4] });
+    pos = re.lastIndex;
+  }
+  return tokens;
+};
+
+// -> formula tree; throws a formula error (see formulaError). With columns
+// and metrics given, unknown names are reported here rather than at evaluation.
+export const parseKpiFormula = (text, { columns, metrics } = {}) => {
+  const tokens = tokenizeFormula(text);
+  if (tokens.length === 0) throw formulaError("empty");
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (v) => peek()?.type === "op" && peek().value === v;
+  const expect = (v) => {
+    if (!isOp(v)) throw formulaError("expected", { token: v });
+    i += 1;
+  };
+
+  const call = (name) => {
+    const fn = name.toLowerCase();
+    if (!KPI_FUNCTIONS.includes(fn)) throw formulaError("unknownFunction", { name });
+    expect("(");
+    let arg = null;
+    if (!isOp(")")) {
+      const t = tokens[i++];
+      if (!t || (t.type !== "ident" && t.type !== "string")) throw formulaError("needsName", { fn });
+      arg = t.value;
+    }
+    expect(")");
+    if (fn === "count") {
+      if (arg !== null) throw formulaError("countNoArgument");
+    } else if (arg === null) {
+      throw formulaError(fn === "latest" ? "needsMetric" : "needsColumn", { fn });
+    } else if (fn === "latest" && metrics && !metrics.includes(arg)) {
+      throw formulaError("unknownMetric", { name: arg });
+    } else if (fn !== "latest" && columns && !columns.includes(arg)) {
+      throw formulaError("unknownColumn", { name: arg });
+    }
+    return { type: "call", fn, arg };
+  };
+
+  const factor = () => {
+    const t = peek();
+    if (!t) throw formulaError("endsEarly");
+    if (t.type === "number") { i += 1; return { type: "number", value: t.value }; }
+    if (isOp("-")) { i += 1; return { type: "neg", arg: factor() }; }
+    if (isOp("(")) {
+      i += 1;
+      const inner = expr();
+      expect(")");
+      return inner;
+    }
+    if (t.type === "ident") { i += 1; return call(t.value); }
+    throw formulaError("unexpected", { token: t.value });
+  };
+  const term = () => {
+    let node = factor();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[i++].value;
+      node = { type: "binary", op, left: node, right: factor() };
+    }
+    return node;
+  };
+  function expr() {
+    let node = term();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[i++].value;
+      node = { type: "binary", op, left: node, right: term() };
+    }
+    return node;
+  }
+
+  const tree = expr();
+  if (i < tokens.length) throw formulaError("unexpected", { token: tokens[i].value });
+  return tree;
+};
+
+const numericValues = (rows, column) => rows.map(r => r[column]).filter(v => !isBlank(v) && Number.isFinite(Number(v))).map(Number);
+
+// ctx: { rows (Xbox rows of the period), esgSeries, toYear }. Returns null
+// when the value is undefined (no data, division by zero).
+export const evaluateKpiFormula = (tree, ctx) => {
+  const ev = (n) => {
+    if (n.type === "number") return n.value;
+    if (n.type === "neg") {
+      const v = ev(n.arg);
+      return v === null ? null : -v;
+    }
+    if (n.type === "binary") {
+      const a = ev(n.left);
+      const b = ev(n.right);
+      if (a === null || b === null) return null;
+      if (n.op === "+") return a + b;
+      if (n.op === "-") return a - b;
+      if (n.op === "*") return a * b;
+      return b === 0 ? null : a / b;
+    }
+    const rows = ctx.rows || [];
+    if (n.fn === "count") return rows.length;
+    if (n.fn === "distinct") return new Set(rows.map(r => r[n.arg]).filter(v => !isBlank(v))).size;
+    if (n.fn === "latest") {
+      const points = (ctx.esgSeries?.[n.arg] || []).filter(p => Number.isFinite(p.Value) && (ctx.toYear === undefined || p.Year <= ctx.toYear));
+      return points.length ? points[points.length - 1].Value : null;
+    }
+    const xs = numericValues(rows, n.arg);
+    if (n.fn === "sum") return xs.reduce((s, x) => s + x, 0);
+    if (xs.length === 0) return null;
+    if (n.fn === "avg") return xs.reduce((s, x) => s + x, 0) / xs.length;
+    // reduce rather than Math.min(...xs): spreading a large column overflows the stack
+    return n.fn === "min" ? xs.reduce((m, x) => (x < m ? x : m)) : xs.reduce((m, x) => (x > m ? x : m));
+  };
+  return ev(tree);
+};
+
+// User KPIs over a period's rows: { <id>: { value, series: [{ Year, value }] } }
+// with the value over all rows and one point per fiscal year, or { error }
+// with the formula error's problem when it doesn't parse.
+export const evaluateKpiFormulas = (rows, formulas, esgSeries, toYear) => Object.fromEntries((formulas || []).map(k => {
+  try {
+    const tree = parseKpiFormula(k.formula);
+    return [k.id, {
+      value: evaluateKpiFormula(tree, { rows, esgSeries, toYear }),
+      series: rowsByYear(rows).map(([Year, list]) => ({ Year, value: evaluateKpiFormula(tree, { rows: list, esgSeries, toYear: Year }) })),
+    }];
+  } catch (err) {
+    return [k.id, { error: err.problem || { key: "other", message: err.message } }];
+  }
+}));
+
+// ------------- Layout card transforms -------------
+// Declarative cards group a dataset's rows and aggregate measures:
+//   { groupBy: "FiscalYear", pivot?: "Region",
+//     measures: [{ column: "TitleEnergy_MWh", agg: "sum", label? }],
+//     sort?: "key" | "value-desc", limit? }
+// Without pivot every measure is one series; with pivot each pivot value is
+// a series (suffixed by the measure label when there are several measures).
+export const CARD_AGGREGATES = ["sum", "avg", "min", "max", "count"];
+
+export const measureLabel = (m) => m.label || (m.agg === "count" ? "count" : `${m.agg}(${m.column})`);
+
+const compareKeys = (a, b) => (Number.isFinite(Number(a)) && Number.isFinite(Number(b))
+  ? Number(a) - Number(b)
+  : String(a).localeCompare(String(b), undefined, { numeric: true }));
+
+// -> { rows: [{ <groupBy>: key, <series>: value }], series: [names] }
+export const runCardTransform = (rows, { groupBy, pivot, measures, sort = "key", limit }) => {
+  const groups = new Map();
+  const series = [];
+  const seriesName = (pivotValue, m) => {
+    if (pivot === undefined || pivot === null || pivot === "") return measureLabel(m);
+    return measures.length > 1 ? `${pivotValue} · ${measureLabel(m)}` : String(pivotValue);
+  };
+  (rows || []).forEach(r => {
+    const key = r[groupBy] ?? "–";
+    if (!groups.has(key)) groups.set(key, { key, acc: new Map() });
+    const g = groups.get(key);
+    measures.forEach(m => {
+      const name = seriesName(pivot ? r[pivot] ?? "–" : null, m);
+      if (!series.includes(name)) series.push(name);
+      if (!g.acc.has(name)) g.acc.set(name, { agg: m.agg, sum: 0, n: 0, min: Infinity, max: -Infinity });
+      const a = g.acc.get(name);
+      if (m.agg === "count") { a.n += 1; return; }
+      const v = r[m.column];
+      if (isBlank(v) || !Number.isFinite(Number(v))) return;
+      const x = Number(v);
+      a.sum += x;
+      a.n += 1;
+      a.min = Math.min(a.min, x);
+      a.max = Math.max(a.max, x);
+    });
+  });
+  const finish = (a) => {
+    if (a.agg === "count") return a.n;
+    if (a.n === 0) return null;
+    if (a.agg === "avg") return a.sum / a.n;
+    if (a.agg === "min") return a.min;
+    if (a.agg === "max") return a.max;
+    return a.sum;
+  };
+  let out = Array.from(groups.values()).map(g => {
+    const row = { [groupBy]: g.key };
+    g.acc.forEach((a, name) => { row[name] = finish(a); });
+    return row;
+  });
+  out.sort((a, b) => (sort === "value-desc"
+    ? (b[series[0]] ?? -Infinity) - (a[series[0]] ?? -Infinity)
+    : compareKeys(a[groupBy], b[groupBy])));
+  if (limit > 0) out = out.slice(0, limit);
+  if (pivot) series.sort(compareKeys);
+  return { rows: out, series };
+};
+
+// ------------- Comparison -------------
+// Two independent filter sets, A and B, over the same Xbox rows. Differences
+// are B − A, with the % change relative to A; both are null when either side
+// has no value.
+export const COMPARE_ALIGNMENTS = [
+  { id: "year", label: "By fiscal year" },
+  { id: "position", label: "By year in period" },
+];
+
+export const diffValues = (a, b) => (a == null || b == null ? { diff: null, pct: null } : { diff: b - a, pct: pctChange(a, b) });
+
+// Spread a measure of A and B rows onto one row: <m>_A, <m>_B, <m>_diff, <m>_pct
+const pairMeasures = (measures, a, b) => Object.fromEntries(measures.flatMap(m => {
+  const va = a ? a[m] : null;
+  const vb = b ? b[m] : null;
+  const { diff, pct } = diffValues(va, vb);
+  return [[`${m}_A`, va], [`${m}_B`, vb], [`${m}_diff`, diff], [`${m}_pct`, pct]];
+}));
+
+const YEAR_MEASURES = ["Energy_MWh", "CO2e_t"];
+const TITLE_MEASURES = ["Energy_MWh", "CO2e_t", "CO2e_per_MWh"];
+
+// Yearly totals of A and B on shared rows. "year" lines them up on the fiscal
+// year; "position" on the year's offset from each range's start, so FY22 and
+// FY24 share a row when comparing FY22–23 with FY24–25.
+export const alignYearly = (byYearA, byYearB, { align = "year", startA = 0, startB = 0 } = {}) => {
+  const keyOf = (year, start) => (align === "position" ? year - start : year);
+  const map = new Map();
+  const slot = (key) => {
+    if (!map.has(key)) map.set(key, { key, a: null, b: null });
+    return map.get(key);
+  };
+  byYearA.forEach(r => { slot(keyOf(r.Year, startA)).a = r; });
+  byYearB.forEach(r => { slot(keyOf(r.Year, startB)).b = r; });
+  return Array.from(map.values()).sort((x, y) => x.key - y.key).map(({ key, a, b }) => ({
+    Period: align === "position" ? `Year ${key + 1}` : key,
+    Year_A: a?.Year ?? null,
+    Year_B: b?.Year ?? null,
+    ...pairMeasures(YEAR_MEASURES, a, b),
+  }));
+};
+
+// Every title seen in either set, largest energy first; `In` is "both", "A" or
+// "B". A title missing from one set counts as zero energy and CO2e there, so
+// its totals still get a difference; its efficiency stays empty.
+const ABSENT_TITLE = { Energy_MWh: 0, CO2e_t: 0, CO2e_per_MWh: null };
+
+export const matchTitles = (rowsA, rowsB) => {
+  const byTitle = (rows) => new Map(titleEfficiency(rows, Infinity).map(t => [t.Title, t]));
+  const a = byTitle(rowsA);
+  const b = byTitle(rowsB);
+  const titles = Array.from(new Set([...a.keys(), ...b.keys()]));
+  return titles.map(title => ({
+    Title: title,
+    In: a.has(title) && b.has(title) ? "both" : a.has(title) ? "A" : "B",
+    ...pairMeasures(TITLE_MEASURES, a.get(title) || ABSENT_TITLE, b.get(title) || ABSENT_TITLE),
+  })).sort((x, y) => Math.max(y.Energy_MWh_A, y.Energy_MWh_B) - Math.max(x.Energy_MWh_A, x.Energy_MWh_B));
+};
+
+// Filters as for filterXbox; options: { weighting, align }
+export const compareXbox = (rows, filtersA, filtersB, { weighting, align } = {}) => {
+  const [rowsA, rowsB] = [filtersA, filtersB].map(f => filterXbox(rows, f));
+  const side = (list) => ({
+    rowCount: list.length,
+    kpis: computeKpis(list, weighting),
+    kpiYears: kpisByYear(list, weighting),
+    byYear: aggregateByYear(list),
+  });
+  const a = side(rowsA);
+  const b = side(rowsB);
+  return {
+    a,
+    b,
+    kpis: Object.keys(EMPTY_KPIS).map(key => ({ key, a: a.kpis[key], b: b.kpis[key], ...diffValues(a.kpis[key], b.kpis[key]) })),
+    byYear: alignYearly(a.byYear, b.byYear, { align, startA: filtersA.yearRange[0], startB: filtersB.yearRange[0] }),
+    titles: matchTitles(rowsA, rowsB),
+  };
+};
+
+// ------------- Queries -------------
+// Each part of the dashboard asks for its figures as one plain-data query,
+// so the same call runs on the main thread or in the worker
+// (dashboard_worker.js):
+//  - { kind: "aggregates", filters, options }: see xboxAggregates
+//  - { kind: "grid", filters, factors, basis, tolerancePct }: factors are the
+//    grid factor rows -> { rows, byYear, flaggedCount, noFactorCount }
+//  - { kind: "scenarios", filters, scenarios, weighting } -> { titles,
+//    regions, runs: [{ baseline, result, steps, kpis }] }, one run per
+//    scenario in order
+//  - { kind: "compare", filtersA, filtersB, options }: see compareXbox
+export const runXboxQuery = (rows, query) => {
+  if (query.kind === "aggregates") return xboxAggregates(rows, query.filters, query.options);
+  if (query.kind === "compare") return compareXbox(rows, query.filtersA, query.filtersB, query.options);
+  const filtered = filterXbox(rows, query.filters);
+  if (query.kind === "grid") {
+    const reconciled = reconcileEmissions(filtered, indexGridFactors(query.factors), query.basis, query.tolerancePct);
+    const byYear = reconciliationByYear(reconciled);
+    return {
+      rows: reconciled,
+      byYear,
+      flaggedCount: reconciled.filter(r => r.Flag).length,
+      noFactorCount: byYear.reduce((s, r) => s + r.NoFactor_rows, 0),
+    };
+  }
+  if (query.kind === "scenarios") {
+    return {
+      titles: Array.from(new Set(filtered.map(r => r.Title))).sort(),
+      regions: Array.from(new Set(filtered.map(r => r.Region).filter(Boolean))).sort(),
+      runs: query.scenarios.map(s => {
+        const { rows: changed, ...run } = applyScenario(filtered, s);
+        return { ...run, kpis: computeKpis(changed, query.weighting) };
+      }),
+    };
+  }
+  throw new Error(`Unknown query "${query.kind}"`);
+};
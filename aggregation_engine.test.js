@@ -0,0 +1,413 @@
+// Run with: node --test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  filterXbox, aggregateByYear, computeKpis, EMPTY_KPIS, titleEfficiency, aggregateComposition, OTHER_CATEGORY,
+  pivotBenchmark, benchmarkStandings, PEER_AVG, indexGridFactors, reconcileEmissions, reconciliationByYear,
+  findOutliers, assessDataQuality, kpiQuality, applyScenario, parseKpiFormula, evaluateKpiFormula,
+  evaluateKpiFormulas, runCardTransform, compareXbox,
+} from "./aggregation_engine.js";
+
+const row = (FiscalYear, Region, Title, TitleEnergy_MWh, TitleCO2e_MetricTon, AverageACPower_W) => (
+  { FiscalYear, Region, Title, TitleEnergy_MWh, TitleCO2e_MetricTon, AverageACPower_W }
+);
+
+const ROWS = [
+  row(2022, "EU", "Halo", 10, 4, 100),
+  row(2022, "US", "Forza", 20, 6, 200),
+  row(2023, "EU", "Forza", 30, 9, 150),
+  row(2023, "US", "Halo", 40, 20, 50),
+];
+
+const ALL = { yearRange: [2022, 2023], regions: [], titles: [], years: [] };
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+// ----- Xbox rows -----
+test("filterXbox applies every filter, empty lists meaning all", () => {
+  assert.equal(filterXbox(ROWS, ALL).length, 4);
+  assert.equal(filterXbox(ROWS, { ...ALL, yearRange: [2023, 2023] }).length, 2);
+  const f = { ...ALL, regions: ["EU"], titles: ["Halo"], years: [2022] };
+  assert.deepEqual(filterXbox(ROWS, f), [ROWS[0]]);
+});
+
+test("filterXbox skips the dimension named by except", () => {
+  const f = { ...ALL, regions: ["EU"], titles: ["Halo"], years: [2022] };
+  assert.deepEqual(filterXbox(ROWS, f, "region"), [ROWS[0]]);
+  assert.deepEqual(filterXbox(ROWS, f, "title"), [ROWS[0]]);
+  assert.deepEqual(filterXbox(ROWS, f, "year"), [ROWS[0]]);
+  assert.deepEqual(filterXbox(ROWS, { ...f, regions: ["US"] }, "region"), [ROWS[0]]);
+  assert.deepEqual(filterXbox(ROWS, { ...f, titles: ["Forza"] }, "title"), [ROWS[0]]);
+  assert.deepEqual(filterXbox(ROWS, { ...f, years: [2023] }, "year"), [ROWS[0]]);
+  // The year range still applies when years are excepted
+  assert.deepEqual(filterXbox(ROWS, { ...f, yearRange: [2023, 2023] }, "year"), []);
+});
+
+test("aggregateByYear sums energy and CO2e per year in year order", () => {
+  assert.deepEqual(aggregateByYear([ROWS[3], ROWS[0], ROWS[2], ROWS[1]]), [
+    { Year: 2022, Energy_MWh: 30, CO2e_t: 10 },
+    { Year: 2023, Energy_MWh: 70, CO2e_t: 29 },
+  ]);
+  assert.deepEqual(aggregateByYear([]), []);
+});
+
+test("computeKpis leaves rows without power out of the average", () => {
+  const rows = [...ROWS, row(2023, "EU", "Gears", 5, 1, ""), row(2023, "EU", "Gears", 5, 1, null)];
+  const k = computeKpis(rows);
+  assert.equal(k.totalEnergy, 110);
+  assert.equal(k.totalCO2, 41);
+  assert.equal(k.avgPower, 125);
+  assert.equal(k.titles, 3);
+  assert.equal(computeKpis([]), EMPTY_KPIS);
+});
+
+test("computeKpis weights power by play time", () => {
+  // Hours: 0.1 + 0.1 + 0.2 + 0.8 = 1.2 for 100 MWh
+  close(computeKpis(ROWS, "playtime").avgPower, 100 / 1.2);
+  assert.equal(computeKpis(ROWS, "rows").avgPower, 125);
+});
+
+test("titleEfficiency ranks titles by CO2e per MWh", () => {
+  const rows = [...ROWS, row(2023, "EU", "Gears", 0, 3, 80)];
+  const out = titleEfficiency(rows);
+  assert.deepEqual(out.map(t => t.Title), ["Gears", "Forza", "Halo"]);
+  assert.equal(out[0].CO2e_per_MWh, 0);
+  assert.equal(out[1].CO2e_per_MWh, 0.3);
+  assert.equal(out[2].CO2e_per_MWh, 0.48);
+  assert.equal(titleEfficiency(rows, 1).length, 1);
+});
+
+// ----- Composition -----
+test("aggregateComposition folds the tail past topN into Other", () => {
+  const rows = [...ROWS, row(2023, "US", "Forza", 1, 0, 80), row(2023, "EU", "Gears", 5, 1, 80), row(2023, "EU", "Fable", 2, 1, 80)];
+  const all = aggregateComposition(rows, "Title");
+  assert.deepEqual(all.map(g => g.name), ["Forza", "Halo", "Gears", "Fable"]);
+  const top = aggregateComposition(rows, "Title", 2);
+  assert.deepEqual(top.map(g => g.name), ["Forza", "Halo", OTHER_CATEGORY]);
+  assert.deepEqual(top[2], { name: OTHER_CATEGORY, members: ["Gears", "Fable"], TitleEnergy_MWh: 7, TitleCO2e_MetricTon: 2 });
+  assert.equal(aggregateComposition(rows, "Title", 4).length, 4);
+});
+
+// ----- Benchmark -----
+const BENCH = [
+  { Company: "Microsoft", Year: 2022, Renewable: 60 },
+  { Company: "Google", Year: 2022, Renewable: 80 },
+  { Company: "Amazon", Year: 2022, Renewable: 40 },
+  { Company: "Microsoft", Year: 2023, Renewable: 70 },
+  { Company: "Google", Year: 2023, Renewable: "" },
+];
+
+test("pivotBenchmark computes the peer average without the focus company", () => {
+  const { series, companies, peerAvgComputed } = pivotBenchmark(BENCH, "Renewable", "Microsoft");
+  assert.ok(peerAvgComputed);
+  assert.deepEqual(companies, ["Microsoft", "Google", "Amazon"]);
+  assert.deepEqual(series, [
+    { Year: 2022, Microsoft: 60, Google: 80, Amazon: 40, [PEER_AVG]: 60 },
+    { Year: 2023, Microsoft: 70 },
+  ]);
+});
+
+test("pivotBenchmark keeps a reported peer average", () => {
+  const rows = [...BENCH, { Company: PEER_AVG, Year: 2022, Renewable: 55 }];
+  const { series, peerAvgComputed } = pivotBenchmark(rows, "Renewable", "Microsoft");
+  assert.equal(peerAvgComputed, false);
+  assert.equal(series[0][PEER_AVG], 55);
+});
+
+test("benchmarkStandings ranks companies per year, peer average excluded", () => {
+  const { series, companies } = pivotBenchmark(BENCH, "Renewable", "Microsoft");
+  const higher = benchmarkStandings(series, [...companies, PEER_AVG], false);
+  const y22 = higher.filter(r => r.Year === 2022);
+  assert.deepEqual(y22.map(r => [r.Company, r.Rank, r.Of, r.Percentile, r.GapToLeader]), [
+    ["Google", 1, 3, 100, 0],
+    ["Microsoft", 2, 3, 50, -20],
+    ["Amazon", 3, 3, 0, -40],
+  ]);
+  assert.ok(y22.every(r => r.Leader === "Google"));
+  assert.equal(y22[1].GapToLeaderPct, -25);
+  const lower = benchmarkStandings(series, companies, true);
+  assert.equal(lower.find(r => r.Year === 2022).Leader, "Amazon");
+  // A company alone in its year ranks first at the 100th percentile
+  assert.deepEqual(higher.filter(r => r.Year === 2023).map(r => [r.Company, r.Rank, r.Percentile]), [["Microsoft", 1, 100]]);
+});
+
+// ----- Grid emission factors -----
+const FACTORS = [
+  { Region: "EU", Year: 2022, Basis: "Location-based", kgCO2e_per_MWh: 400 },
+  { Region: "EU", Year: 2024, Basis: "location", kgCO2e_per_MWh: 200 },
+  { Region: "EU", Year: 2022, Basis: "Market-based", kgCO2e_per_MWh: 100 },
+  { Region: "US", Year: 2022, Basis: "location", kgCO2e_per_MWh: "" },
+];
+const GRID_ROWS = [
+  row(2022, "EU", "Halo", 10, 4, 100),
+  row(2023, "EU", "Forza", 10, 4.5, 100),
+  row(2022, "US", "Halo", 10, 3, 100),
+  row(2022, "EU", "Gears", 0, 1, 100),
+];
+
+test("reconcileEmissions flags rows beyond the tolerance, without a factor or without energy", () => {
+  const out = reconcileEmissions(GRID_ROWS, indexGridFactors(FACTORS), "location", 10);
+  assert.deepEqual(out.map(r => [r.Factor_kgCO2e_per_MWh, r.FactorYear, r.Recomputed_t, r.DiffPct, r.Flag]), [
+    [400, 2022, 4, 0, ""],
+    // The nearest factor year stands in for 2023
+    [400, 2022, 4, 12.5, "Beyond tolerance"],
+    // A blank factor is no factor
+    [null, null, null, null, "No factor"],
+    [400, 2022, 0, null, "CO₂e without energy"],
+  ]);
+  assert.equal(out[1].Diff_t, 0.5);
+  assert.equal(out[2].Diff_t, null);
+  assert.equal(reconcileEmissions(GRID_ROWS, indexGridFactors(FACTORS), "location", 20)[1].Flag, "");
+  const market = reconcileEmissions(GRID_ROWS, indexGridFactors(FACTORS), "market", 10);
+  assert.deepEqual([market[0].Recomputed_t, market[0].DiffPct, market[0].Flag], [1, 300, "Beyond tolerance"]);
+});
+
+test("reconciliationByYear counts rows without a factor instead of summing them", () => {
+  const out = reconciliationByYear(reconcileEmissions(GRID_ROWS, indexGridFactors(FACTORS), "location", 10));
+  assert.deepEqual(out, [
+    { Year: 2022, Reported_t: 5, Recomputed_t: 4, NoFactor_rows: 1 },
+    { Year: 2023, Reported_t: 4.5, Recomputed_t: 4, NoFactor_rows: 0 },
+  ]);
+});
+
+// ----- Data quality -----
+test("findOutliers by z-score", () => {
+  const values = [...Array.from({ length: 11 }, (_, index) => ({ index, value: 10 })), { index: 11, value: 100 }];
+  assert.deepEqual(findOutliers(values, "zscore"), [{ index: 11, value: 100, detail: { key: "zscore", z: 3.2 } }]);
+  // One value among ten can't reach |z| > 3
+  assert.deepEqual(findOutliers(values.slice(2), "zscore"), []);
+  assert.deepEqual(findOutliers(values.slice(0, 5).map(v => ({ ...v, value: 7 })), "zscore"), []);
+});
+
+test("findOutliers by IQR fences", () => {
+  const values = [1, 2, 3, 4, 100, NaN].map((value, index) => ({ index, value }));
+  assert.deepEqual(findOutliers(values, "iqr"), [{ index: 4, value: 100, detail: { key: "iqr", lo: -1, hi: 7 } }]);
+  assert.deepEqual(findOutliers(values.slice(2), "iqr"), []);
+});
+
+test("assessDataQuality counts and flags missing, non-numeric, coerced and duplicate cells", () => {
+  const rows = [
+    { Title: "Halo", FiscalYear: 2022, TitleEnergy_MWh: 10 },
+    { Title: "Halo", FiscalYear: 2023, TitleEnergy_MWh: "" },
+    { Title: "", FiscalYear: "FY", TitleEnergy_MWh: "abc" },
+    { Title: "Forza", FiscalYear: 2022, TitleEnergy_MWh: 12, _coerced: ["TitleEnergy_MWh"] },
+    { Title: "forza ", FiscalYear: 2022, TitleEnergy_MWh: 5 },
+    { Title: "Gears", FiscalYear: 1800, TitleEnergy_MWh: 1 },
+  ];
+  const columns = [{ key: "Title", type: "string" }, { key: "FiscalYear", type: "year" }, { key: "TitleEnergy_MWh", type: "number" }];
+  const report = assessDataQuality(rows, { columns, naturalKey: ["Title", "FiscalYear"] });
+  assert.deepEqual(report.columns, [
+    { key: "Title", type: "string", missing: 1, nonNumeric: 0, coerced: 0 },
+    { key: "FiscalYear", type: "year", missing: 0, nonNumeric: 2, coerced: 0 },
+    { key: "TitleEnergy_MWh", type: "number", missing: 1, nonNumeric: 1, coerced: 1 },
+  ]);
+  assert.equal(report.duplicates, 2);
+  assert.deepEqual(report.flags, [
+    { index: 1, issue: "missing", column: "TitleEnergy_MWh", detail: { key: "missing" } },
+    { index: 2, issue: "non-numeric", column: "FiscalYear", detail: { key: "notYear", value: "FY" } },
+    { index: 2, issue: "non-numeric", column: "TitleEnergy_MWh", detail: { key: "notNumber", value: "abc" } },
+    { index: 3, issue: "coerced", column: "TitleEnergy_MWh", detail: { key: "coerced" } },
+    { index: 3, issue: "duplicate", column: "Title + FiscalYear", detail: { key: "duplicate", n: 2 } },
+    { index: 4, issue: "duplicate", column: "Title + FiscalYear", detail: { key: "duplicate", n: 2 } },
+    { index: 5, issue: "non-numeric", column: "FiscalYear", detail: { key: "notYear", value: 1800 } },
+  ]);
+});
+
+test("assessDataQuality finds outliers within each group", () => {
+  const rows = [1, 2, 3, 4, 100].map((P, i) => ({ i, G: "a", P }))
+    .concat([100, 100, 100, 100].map((P, i) => ({ i: i + 5, G: "b", P })));
+  const outliers = [{ label: "Power", value: r => r.P, groupBy: r => r.G }];
+  const iqr = assessDataQuality(rows, { columns: [], naturalKey: ["i"], outliers });
+  assert.deepEqual(iqr.flags, [{ index: 4, issue: "outlier", column: "Power", detail: { key: "iqr", lo: -1, hi: 7, value: 100, group: "a" } }]);
+  assert.deepEqual(assessDataQuality(rows, { columns: [], naturalKey: ["i"], outliers, outlierMethod: "zscore" }).flags, []);
+});
+
+test("assessDataQuality flags year-over-year jumps per group", () => {
+  const rows = [
+    { Title: "Halo", Year: 2023, E: 16 },
+    { Title: "Halo", Year: 2022, E: 10 },
+    { Title: "Halo", Year: 2024, E: 17 },
+    { Title: "Forza", Year: 2022, E: 10 },
+    { Title: "Forza", Year: 2023, E: 12 },
+    // No % change from zero
+    { Title: "Gears", Year: 2022, E: 0 },
+    { Title: "Gears", Year: 2023, E: 5 },
+    { Title: "Fable", Year: 2023, E: NaN },
+  ];
+  const jumps = [{ label: "Energy", value: r => r.E, groupBy: r => r.Title, year: r => r.Year }];
+  const options = { columns: [], naturalKey: ["Title", "Year"], jumps };
+  assert.deepEqual(assessDataQuality(rows, options).flags, [
+    { index: 0, issue: "jump", column: "Energy", detail: { key: "jump", change: 60, year: 2022 } },
+  ]);
+  assert.deepEqual(assessDataQuality(rows, { ...options, jumpPct: 10 }).flags.map(f => f.index), [0, 4]);
+});
+
+test("kpiQuality counts missing and coerced KPI cells", () => {
+  const rows = [
+    { TitleEnergy_MWh: 10, TitleCO2e_MetricTon: "", AverageACPower_W: null, _coerced: ["TitleEnergy_MWh"] },
+    { TitleEnergy_MWh: "abc", TitleCO2e_MetricTon: 1, AverageACPower_W: 100 },
+  ];
+  assert.deepEqual(kpiQuality(rows), {
+    TitleEnergy_MWh: { missing: 1, coerced: 1 },
+    TitleCO2e_MetricTon: { missing: 1, coerced: 0 },
+    AverageACPower_W: { missing: 1, coerced: 0 },
+  });
+});
+
+// ----- Scenarios -----
+test("applyScenario without levers leaves the totals unchanged", () => {
+  const { rows, baseline, result, steps } = applyScenario(ROWS, {});
+  assert.deepEqual(rows, ROWS);
+  assert.deepEqual(baseline, { energy: 100, co2: 39 });
+  assert.deepEqual(result, baseline);
+  assert.deepEqual(steps.map(s => [s.id, s.energyDelta, s.co2Delta]), [["shifts", 0, 0], ["power", 0, 0], ["renewable", 0, 0]]);
+});
+
+test("applyScenario cuts power, then cleans the supply", () => {
+  const { rows, result, steps } = applyScenario(ROWS, {
+    powerCuts: [{ dimension: "Region", value: "EU", pct: 50 }],
+    renewablePct: 10,
+  });
+  assert.equal(rows[0].AverageACPower_W, 50);
+  assert.equal(rows[0].TitleEnergy_MWh, 5);
+  assert.equal(rows[1].AverageACPower_W, 200);
+  close(steps[1].energyDelta, -20);
+  close(steps[1].co2Delta, -6.5);
+  // The clean supply share lowers CO2e only
+  close(steps[2].energyDelta, 0);
+  close(steps[2].co2Delta, -3.25);
+  close(result.energy, 80);
+  close(result.co2, 29.25);
+  assert.equal(ROWS[0].TitleEnergy_MWh, 10);
+});
+
+test("applyScenario moves play time to the receiving title of the same year and region", () => {
+  const rows = [
+    row(2022, "EU", "Halo", 10, 4, 100),
+    row(2022, "EU", "Forza", 20, 4, 50),
+    row(2022, "US", "Halo", 10, 4, 100),
+  ];
+  const { rows: out, steps } = applyScenario(rows, { shifts: [{ from: "Halo", to: "Forza", pct: 50 }] });
+  // 0.05 h of Halo at Forza's 50 W and 0.2 t/MWh
+  assert.equal(out[0].TitleEnergy_MWh, 5);
+  assert.equal(out[0].TitleCO2e_MetricTon, 2);
+  close(out[1].TitleEnergy_MWh, 22.5);
+  close(out[1].TitleCO2e_MetricTon, 4.5);
+  // No Forza row in US, so nothing moves there
+  assert.deepEqual(out[2], rows[2]);
+  close(steps[0].energyDelta, -2.5);
+  close(steps[0].co2Delta, -1.5);
+});
+
+// ----- Formula KPIs -----
+test("parseKpiFormula reports unknown names and bad calls as problems", () => {
+  const names = { columns: ["TitleEnergy_MWh"], metrics: ["Renewable %"] };
+  const problemOf = (text) => {
+    try {
+      parseKpiFormula(text, names);
+    } catch (err) {
+      return err.problem;
+    }
+    return null;
+  };
+  assert.deepEqual(problemOf("  "), { key: "empty" });
+  assert.deepEqual(problemOf("median(TitleEnergy_MWh)"), { key: "unknownFunction", name: "median" });
+  assert.deepEqual(problemOf("sum(Power)"), { key: "unknownColumn", name: "Power" });
+  assert.deepEqual(problemOf('latest("Water")'), { key: "unknownMetric", name: "Water" });
+  assert.deepEqual(problemOf("count(Title)"), { key: "countNoArgument" });
+  assert.deepEqual(problemOf("sum()"), { key: "needsColumn", fn: "sum" });
+  assert.deepEqual(problemOf("latest()"), { key: "needsMetric", fn: "latest" });
+  assert.deepEqual(problemOf("sum(1)"), { key: "needsName", fn: "sum" });
+  assert.deepEqual(problemOf("(1 + 2"), { key: "expected", token: ")" });
+  assert.deepEqual(problemOf("1 +"), { key: "endsEarly" });
+  assert.deepEqual(problemOf("1 2"), { key: "unexpected", token: 2 });
+  assert.deepEqual(problemOf("1 # 2"), { key: "unexpectedAt", char: "#", position: 3 });
+  assert.equal(problemOf('sum(TitleEnergy_MWh) / count() * latest("Renewable %")'), null);
+});
+
+test("evaluateKpiFormula follows operator precedence", () => {
+  const ev = (text) => evaluateKpiFormula(parseKpiFormula(text), { rows: ROWS });
+  assert.equal(ev("1 + 2 * 3"), 7);
+  assert.equal(ev("(1 + 2) * 3"), 9);
+  assert.equal(ev("-2 - -3"), 1);
+  assert.equal(ev("10 / 4"), 2.5);
+});
+
+test("evaluateKpiFormula aggregates columns and reads ESG metrics", () => {
+  const rows = [...ROWS, row(2023, "EU", "Gears", 5, 1, "")];
+  const esgSeries = { "Renewable %": [{ Year: 2022, Value: 60 }, { Year: 2023, Value: 70 }, { Year: 2024, Value: 80 }] };
+  const ev = (text, toYear) => evaluateKpiFormula(parseKpiFormula(text), { rows, esgSeries, toYear });
+  assert.equal(ev("sum(TitleEnergy_MWh)"), 105);
+  assert.equal(ev("avg(AverageACPower_W)"), 125);
+  assert.equal(ev("min(AverageACPower_W)"), 50);
+  assert.equal(ev("max(AverageACPower_W)"), 200);
+  assert.equal(ev("distinct(Title)"), 3);
+  assert.equal(ev("count()"), 5);
+  assert.equal(ev("sum(TitleCO2e_MetricTon) / sum(TitleEnergy_MWh)"), 40 / 105);
+  assert.equal(ev('latest("Renewable %")', 2023), 70);
+  assert.equal(ev('latest("Renewable %")'), 80);
+  assert.equal(ev('latest("Renewable %")', 2021), null);
+  assert.equal(ev("count() / 0"), null);
+  assert.equal(evaluateKpiFormula(parseKpiFormula("min(AverageACPower_W) + 1"), { rows: [] }), null);
+});
+
+test("evaluateKpiFormula handles min and max over large columns", () => {
+  const rows = Array.from({ length: 300000 }, (_, i) => ({ AverageACPower_W: i }));
+  assert.equal(evaluateKpiFormula(parseKpiFormula("min(AverageACPower_W)"), { rows }), 0);
+  assert.equal(evaluateKpiFormula(parseKpiFormula("max(AverageACPower_W)"), { rows }), 299999);
+});
+
+test("evaluateKpiFormulas gives a value and yearly series, or the problem", () => {
+  const out = evaluateKpiFormulas(ROWS, [{ id: "k1", formula: "sum(TitleEnergy_MWh)" }, { id: "k2", formula: "1 +" }]);
+  assert.deepEqual(out.k1, { value: 100, series: [{ Year: 2022, value: 30 }, { Year: 2023, value: 70 }] });
+  assert.deepEqual(out.k2, { error: { key: "endsEarly" } });
+});
+
+// ----- Layout card transforms -----
+test("runCardTransform groups rows and names series by measure", () => {
+  const { rows, series } = runCardTransform(ROWS, {
+    groupBy: "FiscalYear",
+    measures: [{ column: "TitleEnergy_MWh", agg: "sum" }, { agg: "count" }, { column: "AverageACPower_W", agg: "max", label: "Peak W" }],
+  });
+  assert.deepEqual(series, ["sum(TitleEnergy_MWh)", "count", "Peak W"]);
+  assert.deepEqual(rows, [
+    { FiscalYear: 2022, "sum(TitleEnergy_MWh)": 30, count: 2, "Peak W": 200 },
+    { FiscalYear: 2023, "sum(TitleEnergy_MWh)": 70, count: 2, "Peak W": 150 },
+  ]);
+});
+
+test("runCardTransform pivots into one series per value, then sorts and limits", () => {
+  const one = runCardTransform(ROWS, { groupBy: "Title", pivot: "Region", measures: [{ column: "TitleEnergy_MWh", agg: "avg" }], sort: "value-desc", limit: 1 });
+  assert.deepEqual(one.series, ["EU", "US"]);
+  assert.deepEqual(one.rows, [{ Title: "Forza", US: 20, EU: 30 }]);
+  const two = runCardTransform(ROWS, { groupBy: "Title", pivot: "Region", measures: [{ column: "TitleEnergy_MWh", agg: "sum" }, { agg: "count" }] });
+  assert.deepEqual(two.series, ["EU · count", "EU · sum(TitleEnergy_MWh)", "US · count", "US · sum(TitleEnergy_MWh)"]);
+  assert.deepEqual(two.rows.map(r => r.Title), ["Forza", "Halo"]);
+});
+
+// ----- Comparison -----
+test("compareXbox sets the two filter sets side by side", () => {
+  const a = { ...ALL, yearRange: [2022, 2022] };
+  const b = { ...ALL, yearRange: [2023, 2023] };
+  const out = compareXbox(ROWS, a, b);
+  assert.equal(out.a.rowCount, 2);
+  assert.deepEqual(out.kpis.find(k => k.key === "totalEnergy"), { key: "totalEnergy", a: 30, b: 70, diff: 40, pct: 40 / 30 * 100 });
+  // By fiscal year the periods don't overlap; by position they share a row
+  assert.equal(out.byYear.length, 2);
+  assert.equal(out.byYear[0].Energy_MWh_B, null);
+  assert.equal(out.byYear[0].Energy_MWh_diff, null);
+  const aligned = compareXbox(ROWS, a, b, { align: "position" }).byYear;
+  assert.deepEqual(aligned.map(r => [r.Period, r.Year_A, r.Year_B, r.Energy_MWh_diff, r.CO2e_t_diff]), [["Year 1", 2022, 2023, 40, 19]]);
+});
+
+test("compareXbox matches titles across both sets", () => {
+  const a = { ...ALL, titles: ["Halo"] };
+  const b = { ...ALL, yearRange: [2023, 2023] };
+  const titles = compareXbox(ROWS, a, b).titles;
+  assert.deepEqual(titles.map(t => [t.Title, t.In]), [["Halo", "both"], ["Forza", "B"]]);
+  const forza = titles[1];
+  assert.equal(forza.Energy_MWh_A, 0);
+  assert.equal(forza.Energy_MWh_diff, 30);
+  assert.equal(forza.CO2e_per_MWh_A, null);
+  assert.equal(forza.CO2e_per_MWh_diff, null);
+});
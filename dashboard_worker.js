@@ -0,0 +1,56 @@
+/**
+ * Background worker for the sustainable innovation dashboard
+ * ----------------------------------------------------------
+ * Keeps large files off the main thread. Messages in:
+ *  - { type: "parse", id, file }  stream-parse a CSV in chunks, posting
+ *    { type: "progress", id, loaded, total } after each chunk and
+ *    { type: "parsed", id, rows, fields, errors } at the end
+ *  - { type: "rows", rows }  replace the Xbox rows held by the worker
+ *  - { type: "query", id, query }  answer with { type: "result", id, result }
+ *    (see runXboxQuery)
+ * Failures come back as { type: "error", id, message }.
+ */
+import Papa from "papaparse";
+import { runXboxQuery } from "./aggregation_engine";
+
+const PARSE_CHUNK_BYTES = 1024 * 1024;
+
+let xboxRows = [];
+
+const parseFile = ({ id, file }) => {
+  const rows = [];
+  const errors = [];
+  let fields = [];
+  Papa.parse(file, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    chunkSize: PARSE_CHUNK_BYTES,
+    chunk: (results) => {
+      // Parser errors (quotes, delimiters) number rows within the chunk;
+      // field-count errors already count from the start of the file
+      const offset = rows.length;
+      for (const e of results.errors || []) {
+        errors.push(typeof e.row === "number" && e.type !== "FieldMismatch" ? { ...e, row: e.row + offset } : e);
+      }
+      for (const r of results.data || []) rows.push(r);
+      if (results.meta?.fields) fields = results.meta.fields;
+      self.postMessage({ type: "progress", id, loaded: results.meta?.cursor ?? 0, total: file.size });
+    },
+    complete: () => self.postMessage({ type: "parsed", id, rows, fields, errors }),
+    error: (err) => self.postMessage({ type: "error", id, message: err?.message || String(err) }),
+  });
+};
+
+self.onmessage = (e) => {
+  const msg = e.data || {};
+  try {
+    if (msg.type === "parse") parseFile(msg);
+    else if (msg.type === "rows") xboxRows = msg.rows || [];
+    else if (msg.type === "query") {
+      self.postMessage({ type: "result", id: msg.id, result: runXboxQuery(xboxRows, msg.query) });
+    }
+  } catch (err) {
+    self.postMessage({ type: "error", id: msg.id, message: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,1077 @@
+/**
+ * Localization for the sustainable innovation dashboard
+ * -----------------------------------------------------
+ * Message catalogs keyed by dotted ids ("kpi.energy"), with {name}
+ * placeholders filled from the vars passed to t(). A message can also be a
+ * function of those vars (for plurals) or an array (About bullets). Lookups
+ * fall back to English and then to the key itself, so a missing translation
+ * shows up as English rather than breaking the page.
+ *
+ * Option lists defined next to the code that uses them (weightings, chart
+ * views, …) keep their English labels there; tLabel() looks for a
+ * "<prefix>.<id>" translation and falls back to that label.
+ */
+import React from "react";
+
+export const LOCALES = [
+  { id: "en", label: "English", numberLocale: "en-US" },
+  { id: "de", label: "Deutsch", numberLocale: "de-DE" },
+];
+
+export const DEFAULT_LOCALE = typeof navigator !== "undefined" && /^de\b/i.test(navigator.language || "") ? "de" : "en";
+
+const fill = (template, vars) => template.replace(/\{(\w+)\}/g, (m, name) => (vars && vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : m));
+
+// Picks the form by vars.n, or by vars.count when that is the raw number
+const plural = (one, other) => (vars) => fill((vars.n ?? vars.count) === 1 ? one : other, vars);
+
+const MESSAGES = {
+  en: {
+    "app.title": "Microsoft: CI + Generative AI for Sustainable Innovation",
+    "app.subtitle": "Interactive dashboard aligning operational metrics with SDGs and competitive intelligence.",
+    "app.language": "Language",
+    "app.copyLink": "Copy link",
+    "app.report": "Report",
+    "app.insights": "AI Insights",
+    "app.updating": "Updating charts…",
+    "fy": "FY{year}",
+    "action.remove": "Remove",
+    "action.removeNamed": "Remove {name}",
+    "action.cancel": "Cancel",
+    "action.apply": "Apply",
+    "action.close": "Close",
+    "action.delete": "Delete",
+    "action.edit": "Edit",
+
+    "a11y.theme": "Theme",
+    "theme.light": "Light",
+    "theme.dark": "Dark",
+    "theme.contrast": "High contrast",
+    "a11y.showTable": "View {title} as table",
+    "a11y.showChart": "View {title} as chart",
+    "a11y.tableCaption": "{title}: {count} rows. Select a column heading to sort.",
+    "a11y.tableTruncated": "Showing {shown} of {total} rows; export for the full table.",
+    "a11y.noRows": "No rows to show.",
+    "a11y.chartHint": "{count} data points. Use the arrow keys to step through them, Home and End to jump, or switch to the table view.",
+    "a11y.point": "Point {n} of {count}: {text}",
+    "a11y.filterSummary": "Showing FY{from}–FY{to}, region {regions}, {count} Xbox rows.",
+
+    "tab.ci": "Competitive Intelligence",
+    "tab.innovation": "Sustainable Innovation",
+    "tab.sdg": "SDG Alignment",
+    "tab.esg": "ESG Metrics",
+    "tab.grid": "Grid Audit",
+    "tab.scenarios": "Scenarios",
+    "tab.compare": "Compare",
+    "tab.quality": "Data Quality",
+    "tab.about": "About",
+
+    "inputs.title": "Data Inputs",
+    "inputs.reset": "Reset to sample data",
+    "inputs.uploadMode": "Upload mode",
+    "inputs.mode.replace": "Replace",
+    "inputs.mode.merge": "Merge",
+    "inputs.onConflict": "On conflict",
+    "inputs.keepNewest": "Keep newest",
+    "inputs.keepExisting": "Keep existing",
+    "inputs.ask": "Ask",
+    "inputs.columns": "Columns: {columns}",
+    "inputs.reading": "Reading {file}",
+    "inputs.readingProgress": "Reading {file}… {pct}%",
+    "sources.title": "Data sources",
+    "sources.dataset": "Dataset",
+    "sources.file": "File",
+    "sources.loaded": "Loaded",
+    "sources.rows": "Rows",
+    "sources.sample": "Sample data",
+
+    "filters.region": "Region",
+    "filters.all": "All",
+    "filters.yearRange": "Fiscal Year Range",
+    "filters.by": "Filtered by",
+    "filters.regionChip": "Region: {region}",
+    "filters.titleChip": "Title: {title}",
+    "filters.remove": "Remove filter {filter}",
+    "filters.clearAll": "Clear all",
+
+    "report.region": "Region {region}",
+    "report.titles": "Titles {titles}",
+    "report.years": "Years {years}",
+    "report.noSources": "none",
+    "report.generated": "Generated {date}",
+    "report.filters": "Filters: {filters}",
+    "report.sources": "Data sources: {sources}",
+    "report.title": "PDF Report",
+    "report.kpis": "KPI cards",
+    "report.building": "Building…",
+    "report.build": "Build PDF",
+    "report.hint": "The header lists the active filters, data sources and generation date.",
+    "report.failed": "Could not build the report: {message}",
+
+    "units.energy": "Energy unit",
+    "units.mass": "Mass unit",
+    "units.volume": "Volume unit",
+    "units.auto": "Auto",
+    "units.noteConverted": "{metric}: uploaded in {units}; all values are shown in {to}.",
+    "units.noteUnparsed": "{metric}: shown in {to}; some rows have a unit that was not recognised and are left as uploaded.",
+    "units.noteMixedDimensions": "{metric}: mixes units that can't be converted into each other ({units}); values are left as uploaded.",
+    "unit.kWh": "kWh",
+    "unit.MWh": "MWh",
+    "unit.GWh": "GWh",
+    "unit.kg": "kg",
+    "unit.t": "t",
+    "unit.kt": "kt",
+    "unit.L": "L",
+    "unit.million L": "million L",
+    "unit.billion L": "billion L",
+
+    "kpi.energy": "Total Energy ({unit})",
+    "kpi.co2": "Total CO₂e ({unit})",
+    "kpi.power": "Avg Power (W)",
+    "kpi.powerWeighted": "Avg Power (W, play-time weighted)",
+    "kpi.titles": "Active Titles",
+    "kpi.avgPower": "Avg Power",
+    "kpi.add": "Add KPI",
+    "kpi.warningHint": "{warning}. Open Data Quality to review.",
+    "kpi.warningBadge": "Data",
+    "kpi.change": "{change} FY{to} vs FY{from}",
+    "kpi.singleYear": "Single year in view",
+    "kpi.coerced": plural("{count} coerced value", "{count} coerced values"),
+    "kpi.missing": plural("{count} missing value {means}", "{count} missing values {means}"),
+    "kpi.countedAsZero": "counted as 0",
+    "kpi.leftOut": "left out of the average",
+
+    "measure.energy": "Energy",
+    "measure.co2": "CO₂e",
+    "series.energy": "Energy ({unit})",
+    "series.co2": "CO₂e ({unit})",
+    "series.co2PerMwh": "CO₂e / MWh",
+    "series.reported": "Reported CO₂e ({unit})",
+    "series.recomputed": "Recomputed CO₂e ({unit})",
+
+    "chart.benchmark": "{metric} Benchmark (optional)",
+    "chart.peerAvgComputed": "{name} (computed)",
+    "chart.rankings": "Rankings {year}",
+    "chart.focusByYear": "{company} by year",
+    "chart.co2VsEnergy": "CO₂e vs Energy (Yearly)",
+    "chart.titleEfficiency": "Top 10 Titles by Efficiency (lowest CO₂e per MWh)",
+    "chart.composition": "Energy & CO₂e Composition by {dimension}",
+    "chart.esgExplorer": "ESG Explorer · {mode}",
+    "chart.esgStats": "ESG Metric Summary",
+    "chart.co2ByYear": "CO₂e ({unit}) by Year",
+    "chart.energyByYear": "Energy ({unit}) by Year",
+    "chart.gridByYear": "Reported vs Recomputed CO₂e ({basis})",
+    "chart.gridRows": "Row reconciliation ({count} flagged)",
+    "chart.waterfall": "CO₂e waterfall: baseline → scenario",
+    "chart.scenarioCompare": "Scenario comparison",
+    "chart.compareKpis": "KPIs: A vs B",
+    "chart.compareYear": "{measure} by {axis}: A vs B",
+    "chart.compareEfficiency": "Title efficiency (CO₂e per MWh): A vs B",
+    "chart.compareTitles": "Titles matched across A and B ({count})",
+    "chart.qualityColumns": "{dataset}: column checks",
+    "chart.qualityFlags": "{dataset}: flagged rows ({count})",
+    "table.truncated": "Showing {shown} of {total} titles; export for the full list.",
+
+    "export.named": "Export {title}",
+    "export.csv": "Data as CSV",
+    "export.xlsx": "Data as XLSX",
+    "export.svg": "Chart as SVG",
+    "export.png": "Chart as PNG",
+    "export.imageFailed": "Could not render chart image",
+    "export.failed": "Export failed: {message}",
+
+    "layout.newTab": "New tab",
+    "layout.newTabTitle": "Custom {n}",
+    "layout.export": "Export layout",
+    "layout.import": "Import layout",
+    "layout.importFailed": "Could not import {file}: {message}",
+    "layout.confirmDelete": plural("Delete \"{title}\" and its card?", "Delete \"{title}\" and its {count} cards?"),
+    "layout.untitled": "Untitled",
+    "layout.untitledCard": "Untitled card",
+    "layout.noRows": "No rows match this card.",
+    "layout.missingChart": "Chart not available",
+    "layout.missingChartHint": "\"{id}\" is not a chart in this version of the dashboard.",
+
+    "ci.metric": "Benchmark metric",
+    "ci.focus": "Focus company",
+    "ci.rankingsYear": "Rankings year",
+    "ci.lowerIsBetter": "Lower is better",
+
+    "composition.groupBy": "Group by",
+    "composition.chart": "Chart",
+    "composition.topN": "Top N (rest as “Other”)",
+    "composition.caption": "{measure} by {dimension}",
+
+    "explorer.metrics": "Metrics",
+    "explorer.showAs": "Show as",
+    "explorer.baseYear": "Base year",
+    "explorer.index": "Index",
+    "explorer.base": "{metric} (base {year})",
+
+    "grid.basis": "Factor basis",
+    "grid.tolerance": "Tolerance (%)",
+    "grid.onlyFlagged": "Only flagged rows",
+    "grid.noFactorExcluded": plural("{count} row without a factor left out", "{count} rows without a factor left out"),
+    "grid.hint": "Recomputed CO₂e = energy (MWh) × grid factor (kg/MWh) ÷ 1000. Compare the two bases to see what renewable purchasing changes.",
+
+    "scenario.baseline": "Baseline {value}",
+    "scenario.avoided": "CO₂e avoided ({unit})",
+    "scenario.hint": "Scenarios apply to the rows in the current view (region, year and cross-filters). Levers run in order (play-time shift, power reduction, clean supply), so each bar in the waterfall is that lever's change given the ones before it.",
+
+    "compare.set": "Set {name}",
+    "compare.firstYear": "Set {name} first year",
+    "compare.lastYear": "Set {name} last year",
+    "compare.allRegions": "All regions",
+    "compare.years": "FY",
+    "compare.view": "View",
+    "compare.align": "Line up years",
+    "compare.useFilters": "Use current filters for A",
+    "compare.swap": "Swap A and B",
+    "compare.summary": "A: {a} ({aRows} rows) · B: {b} ({bRows} rows). Differences are B − A; % change is relative to A.",
+    "compare.byFiscalYear": "fiscal year",
+    "compare.byPosition": "year in period",
+    "compare.yearN": "Year {n}",
+    "compare.kpi": "KPI",
+    "compare.title": "Title",
+    "compare.in": "In",
+    "compare.energyOf": "Energy {set} ({unit})",
+    "compare.only": "{set} only",
+    "compare.intensityOf": "CO₂e/MWh {set}",
+
+    "quality.outliersBy": "Outliers by",
+    "quality.jump": "YoY jump above (%)",
+    "quality.show": "Show",
+    "quality.allIssues": "All issues",
+    "quality.excludeShown": "Exclude shown rows",
+    "quality.includeAll": "Include all ({count} excluded)",
+    "quality.summary": "{rows} rows · {duplicates} share a key ({key}) · {flags} flags. Excluded rows stay saved but are left out of every chart and KPI; fixed values replace the cell.",
+
+    "merge.title": "Resolve merge conflicts: {file}",
+    "merge.summary": plural("{count} row shares a key ({key}) with different values", "{count} rows share a key ({key}) with different values"),
+    "merge.keepAllExisting": "Keep all existing",
+    "merge.useAllIncoming": "Use all incoming",
+    "merge.key": "Key",
+    "merge.changed": "Changed values (existing → incoming)",
+    "merge.keep": "Keep",
+    "merge.incoming": "Incoming",
+    "merge.existing": "Existing",
+    "import.title": "Review import: {file}",
+    "import.summary": "{dataset} · {rows} rows read · {valid} valid · {issues} issues",
+    "import.accept": plural("Accept {count} row", "Accept {count} rows"),
+    "import.expected": "Expected column",
+    "import.type": "Type",
+    "import.source": "Source column",
+    "import.status": "Status",
+    "import.none": "— none —",
+    "import.missingRequired": "Missing (required)",
+    "import.notMapped": "Not mapped",
+    "import.autoMapped": "Auto-mapped",
+    "import.mappedByHand": "Mapped by hand",
+    "import.skipped": plural("{count} row will be skipped", "{count} rows will be skipped"),
+    "import.line": "Line {line}",
+    "import.more": "…and {count} more",
+    "import.preview": plural("Preview (first valid row)", "Preview (first {count} valid rows)"),
+    "import.notNumber": "\"{value}\" is not a number",
+    "import.notYear": "\"{value}\" is not a valid year",
+    "import.requiredMissing": "Required value is missing",
+
+    "insights.provider": "Provider",
+    "insights.baseUrl": "Base URL",
+    "insights.model": "Model",
+    "insights.apiKey": "API key (not stored)",
+    "insights.generate": "Generate",
+    "insights.generating": "Generating…",
+    "insights.scope": "Summarizing {region}, FY{from}–FY{to} ({rows} rows). Only aggregated figures are sent to a provider.",
+    "insights.computedFrom": "Computed from:",
+    "insights.httpError": "Provider responded with HTTP {status}",
+    "insight.untitled": "Insight",
+    "insight.flat": "was flat",
+    "insight.rose": "rose {pct}%",
+    "insight.fell": "fell {pct}%",
+    "insight.roseFromZero": "rose from zero",
+    "insight.fellFromZero": "fell from zero",
+    "insight.yoyTitle": "Year-over-year change",
+    "insight.yoy": "CO₂e {co2} from FY{from} to FY{to}, while energy {energy}.",
+    "insight.intensityImproved": "Emissions per MWh improved.",
+    "insight.intensityWorsened": "Emissions per MWh worsened.",
+    "insight.trendTitle": "Trend over the selected range",
+    "insight.trend": "Across FY{from}–FY{to} total CO₂e {change}.",
+    "insight.efficiencyTitle": "Title efficiency",
+    "insight.efficiency": "{best} is the most carbon-efficient title in view and {worst} the least.",
+    "insight.efficiencyRatio": "{best} is the most carbon-efficient title in view and {worst} the least, at {ratio}× the CO₂e per MWh.",
+    "insight.peersTitle": "Gap to peers",
+    "insight.peersBelow": "In {year} {company}'s {metric} is {pct}% below the peer average.",
+    "insight.peersAbove": "In {year} {company}'s {metric} is {pct}% above the peer average.",
+    "insight.gapWidened": "The gap widened since {year}.",
+    "insight.gapNarrowed": "The gap narrowed since {year}.",
+    "insight.esgTitle": "ESG: {metric}",
+    "insight.esg": "{metric} {change} between {from} and {to}.",
+    "insight.noneTitle": "Not enough data",
+    "insight.none": "The current view has too few data points to compare.",
+
+    "target.relative": "{series} {change}% vs {base} by {year}",
+    "target.absolute": "{series} {value} by {year}",
+    "forecast.title": "Forecasts & Targets",
+    "forecast.method": "Forecast method",
+    "forecast.to": "Forecast to",
+    "forecast.hint": "Dashed lines are forecasts with a shaded 95% band; red dotted lines are target trajectories.",
+    "forecast.band": "{name} 95% band",
+    "forecast.line": "{name} forecast",
+    "forecast.target": "Target: {target}",
+    "forecast.projected": "Projected {projected} vs goal {goal}",
+    "forecast.series": "Series",
+    "forecast.targetType": "Target type",
+    "forecast.relative": "% change vs base year",
+    "forecast.absolute": "Absolute value",
+    "forecast.change": "Change (%)",
+    "forecast.value": "Value",
+    "forecast.valueIn": "Value ({unit})",
+    "forecast.byYear": "By year",
+    "forecast.addTarget": "Add target",
+    "titleDetail.title": "Title detail: {title}",
+
+    "sdg.unassigned": "Unassigned",
+    "sdg.noGoal": "Metrics without an SDG",
+    "sdg.noTrend": "Not enough history for a trend",
+    "sdg.improving": plural("{count} of {of} metric improving", "{count} of {of} metrics improving"),
+    "sdg.focused": "Showing only this goal · click to show all",
+    "sdg.focusHint": "Click to show only this goal's metrics",
+    "standings.year": "Year",
+    "standings.company": "Company",
+    "standings.value": "Value",
+    "standings.rank": "Rank",
+    "standings.percentile": "Percentile",
+    "standings.gap": "Gap to leader",
+    "standings.leader": "Leader",
+    "grid.title": "Title",
+    "grid.year": "FY",
+    "grid.energy": "Energy ({unit})",
+    "grid.factor": "Factor (kg/MWh)",
+    "grid.reported": "Reported ({unit})",
+    "grid.recomputed": "Recomputed ({unit})",
+    "grid.diff": "Diff",
+    "grid.flag": "Flag",
+    "kpiBuilder.title": "KPI builder",
+    "kpiBuilder.label": "Label",
+    "kpiBuilder.labelPlaceholder": "CO₂e per MWh",
+    "kpiBuilder.formula": "Formula",
+    "kpiBuilder.decimals": "Decimals",
+    "kpiBuilder.current": "Current view: {value}",
+    "kpiBuilder.functions": "Functions: {functions}; combine with + − × ÷ and parentheses.",
+    "kpiBuilder.metricArg": "ESG metric",
+    "kpiBuilder.columnArg": "Column",
+    "kpiBuilder.columns": "Columns: {columns}",
+    "kpiBuilder.metrics": "ESG metrics: {metrics}",
+    "formula.error.empty": "Formula is empty",
+    "formula.error.unexpectedAt": "Unexpected \"{char}\" at position {position}",
+    "formula.error.unexpected": "Unexpected \"{token}\"",
+    "formula.error.expected": "Expected \"{token}\"",
+    "formula.error.endsEarly": "Formula ends too early",
+    "formula.error.unknownFunction": "Unknown function \"{name}\"",
+    "formula.error.needsName": "{fn}() takes a column or metric name",
+    "formula.error.countNoArgument": "count() takes no argument",
+    "formula.error.needsColumn": "{fn}() needs a column",
+    "formula.error.needsMetric": "{fn}() needs an ESG metric",
+    "formula.error.unknownColumn": "Unknown column \"{name}\"",
+    "formula.error.unknownMetric": "Unknown ESG metric \"{name}\"",
+    "formula.error.other": "{message}",
+
+    "scenario.levers": "Scenario levers",
+    "scenario.powerCut": "Power reduction",
+    "scenario.powerCutPct": "Power reduction (%)",
+    "scenario.lessPower": "% less power",
+    "scenario.addPowerCut": "Add power cut",
+    "scenario.shift": "Play-time shift",
+    "scenario.shiftPct": "Share of play time moved (%)",
+    "scenario.shiftFrom": "% of play time from",
+    "scenario.shiftTo": "to",
+    "scenario.addShift": "Add shift",
+    "scenario.shiftHint": "Play time is estimated as energy ÷ power; moved hours use the receiving title's power and CO₂e per MWh in the same year and region.",
+    "scenario.cleanSupply": "% CO₂e reduction from clean supply",
+    "scenario.cleanSupplyHint": "% (scales the remaining CO₂e; energy is unchanged)",
+    "scenario.name": "Scenario name",
+    "scenario.defaultName": "Scenario {n}",
+    "scenario.update": "Update",
+    "scenario.save": "Save",
+    "scenario.saveAsNew": "Save as new",
+    "scenario.new": "New scenario",
+    "scenario.saved": "Saved scenario",
+    "scenario.compare": "Compare",
+    "scenario.compareNamed": "Compare {name}",
+    "scenario.baselineName": "Baseline",
+    "scenario.draftName": "Current draft",
+    "scenario.row.energy": "Energy ({unit})",
+    "scenario.row.co2": "CO₂e ({unit})",
+    "scenario.row.power": "Avg Power (W)",
+    "scenario.row.avoided": "CO₂e avoided ({unit})",
+    "scenario.row.changePct": "CO₂e change (%)",
+
+    "quality.column": "Column",
+    "quality.row": "Row",
+    "quality.issue": "Issue",
+    "quality.detail": "Detail",
+    "quality.fix": "Value / fix",
+    "quality.excluded": "Excluded",
+    "quality.fixCell": "Fix {column} in row {row}",
+    "quality.excludeRow": "Exclude row {row}",
+    "quality.truncated": "Showing {shown} of {total} flags; export for the full list.",
+    "quality.detail.missing": "No value",
+    "quality.detail.notNumber": "\"{value}\" is not a number",
+    "quality.detail.notYear": "\"{value}\" is not a year",
+    "quality.detail.coerced": "Converted on import",
+    "quality.detail.duplicate": plural("{count} row shares this key", "{count} rows share this key"),
+    "quality.detail.zscore": "{value} z = {z}",
+    "quality.detail.iqr": "{value} outside {lo} – {hi}",
+    "quality.detail.jump": "{change}% vs {year}",
+    "layout.newCardTitle": "Energy by region",
+    "layout.error.shape": "Layout must be an object with a \"tabs\" list",
+    "layout.error.version": "Layout version {version} is newer than this dashboard supports",
+    "layout.error.tab": "Tab {tab}",
+    "layout.error.card": "Tab {tab}, card {card}",
+    "layout.error.cards": "\"cards\" must be a list",
+    "layout.error.dataset": "unknown dataset \"{dataset}\"",
+    "layout.error.chart": "unknown chart type \"{chart}\"",
+    "layout.error.groupBy": "transform.groupBy is required",
+    "layout.error.measures": "transform.measures needs at least one measure",
+    "layout.error.agg": "measure {measure}: agg must be one of {aggs}",
+    "layout.error.column": "measure {measure}: column is required",
+    "layout.card": "Card",
+    "layout.customChart": "Custom chart",
+    "layout.builtinChart": "Built-in chart",
+    "layout.chart": "Chart",
+    "layout.title": "Title",
+    "layout.dataset": "Dataset",
+    "layout.rows": "Rows",
+    "layout.scope.view": "Current filters",
+    "layout.scope.all": "All rows",
+    "layout.chartType": "Chart type",
+    "layout.groupBy": "Group by",
+    "layout.pivot": "Series per",
+    "layout.pivotNone": "— (one per measure)",
+    "layout.measure": "Measure {n}",
+    "layout.measureColumn": "Measure {n} column",
+    "layout.columnPlaceholder": "column…",
+    "layout.addMeasure": "Add measure",
+    "layout.order": "Order",
+    "layout.order.key": "By group",
+    "layout.order.valueDesc": "Largest first",
+    "layout.limit": "Limit",
+    "layout.saveCard": "Save card",
+    "layout.tabName": "Tab name",
+    "layout.addCard": "Add card",
+    "layout.deleteTab": "Delete tab",
+    "layout.empty": "No cards yet. Add a built-in chart or define your own from any dataset.",
+    "layout.moveEarlier": "Move card earlier",
+    "layout.moveLater": "Move card later",
+    "layout.width": "Card width",
+
+    "about.title": "How to Use This Dashboard",
+    "about.note": "Note: Sample numbers are illustrative. Replace with official Microsoft datasets for publication.",
+    "about.items": [
+      "Upload your **Xbox sustainability CSV** and **ESG metrics CSV** to replace the sample data, or switch to **Merge** to append them (rows are deduplicated on their natural key). The **Data sources** list shows where rows came from and removes one file's rows.",
+      "Each **KPI card** compares the last fiscal year in view with the one before and draws a sparkline per year. Average power can be a plain mean over rows or weighted by play time. **Add KPI** defines your own cards as formulas such as `sum(TitleCO2e_MetricTon) / sum(TitleEnergy_MWh)` or `latest(\"Renewable Energy %\")`; they are saved with the dashboard settings.",
+      "Energy and CO₂e are scaled to a readable unit (kWh/MWh/GWh, kg/t/kt) unless you pick one next to the KPI cards. ESG metrics uploaded in mixed units (e.g. some rows in GWh, some in MWh) are converted to one unit per metric, with a note on the ESG tab. The **language** menu switches labels and number formatting between English and German.",
+      "Every chart has a **table view** (the table icon next to download) with sortable columns. Charts can also be reached with Tab: the arrow keys then step through the data points, which are read out below the chart. The **theme** menu switches to a dark or high-contrast look; all themes use color-blind-safe series colors.",
+      "The **Scenarios** tab models interventions on the rows in view: cut power for a title or region, move play time between titles, or cut CO₂e through clean supply. It shows baseline vs scenario KPIs, the CO₂e avoided and a waterfall of each lever; save named scenarios and tick them to compare side by side.",
+      "The **Compare** tab puts two views next to each other, e.g. EU vs US or FY22 vs FY24. Sets A and B each have their own regions and years and ignore the main filters. KPIs, yearly totals and title efficiency are drawn overlaid or side by side, with B − A and % change; years can be lined up by fiscal year or by position in each period. Titles are listed from both sets, marked when they only appear in one.",
+      "The **Data Quality** tab counts missing, non-numeric and converted cells per column and flags duplicate keys, outliers and large year-over-year jumps. Fix a value in place or exclude the row; a warning badge on a KPI card means its figure includes converted or missing values.",
+      "**New tab** adds a custom tab. Fill it with built-in charts or your own cards: pick a dataset, a column to group by, optional series per column, measures (sum, average, min, max or count) and a chart type. Cards can be moved, resized and removed. **Export layout** saves all custom tabs as a JSON file that **Import layout** loads on another machine.",
+      "Large CSVs are read in the background with a progress bar under the uploader, and big Xbox datasets are aggregated off the main thread so filters stay responsive.",
+      "Each upload opens a **review step**: columns are matched to the expected schema (rename them if needed) and rows with bad values are listed before anything is loaded.",
+      "Use the **Region** chips (pick several) and **Fiscal Year range** to filter visualizations. Click a title bar or pie slice, or a year on a yearly chart, to filter every other view; active filters appear as chips you can remove. Selecting a single title opens its detail view.",
+      "The **Composition** chart on the Innovation tab totals energy and CO₂e by title, region or fiscal year, keeps the top N and folds the rest into \"Other\". Each title, region and year keeps the same color in every chart.",
+      "Uploads are saved in this browser and the filters and tab are kept in the page URL, so **Copy link** shares the exact view. **Reset to sample data** clears what is saved.",
+      "The **Competitive Intelligence** tab charts every company in the benchmark file for any numeric metric column, ranks them per year and shows the focus company's gap to the leader. Without a \"Peer Avg\" row the peer average is computed from the other companies.",
+      "**Forecasts & Targets** extends the CO₂e, energy and SDG charts with dashed projections and draws each target as a required trajectory, with an on-track badge on the chart.",
+      "The **Grid Audit** tab recomputes each row's CO₂e from its energy and a grid emission factor (upload your own factors CSV) and flags rows whose reported value differs by more than the tolerance.",
+      "The **SDG** tab groups your ESG metrics by the goal in their **SDG** column, scores each goal on its latest values, trends and targets, and draws one chart per metric. Click a goal to focus on it.",
+      "The **ESG** tab shows yearly CO₂e and energy totals and an **explorer** to compare any ESG metrics as absolute values (one axis per unit), an index rebased to 100 or YoY % change, with a sortable summary table.",
+      "All charts update instantly on data/filter changes. Use the **download** icon on a chart to export its data (CSV/XLSX) or the chart itself (SVG/PNG), and **Report** to build a PDF with the KPI cards, chosen charts and active filters.",
+    ],
+  },
+
+  de: {
+    "app.title": "Microsoft: CI + generative KI für nachhaltige Innovation",
+    "app.subtitle": "Interaktives Dashboard, das Betriebskennzahlen mit den SDGs und Wettbewerbsanalysen verknüpft.",
+    "app.language": "Sprache",
+    "app.copyLink": "Link kopieren",
+    "app.report": "Bericht",
+    "app.insights": "KI-Erkenntnisse",
+    "app.updating": "Diagramme werden aktualisiert…",
+    "fy": "GJ{year}",
+    "action.remove": "Entfernen",
+    "action.removeNamed": "{name} entfernen",
+    "action.cancel": "Abbrechen",
+    "action.apply": "Übernehmen",
+    "action.close": "Schließen",
+    "action.delete": "Löschen",
+    "action.edit": "Bearbeiten",
+
+    "a11y.theme": "Darstellung",
+    "theme.light": "Hell",
+    "theme.dark": "Dunkel",
+    "theme.contrast": "Hoher Kontrast",
+    "a11y.showTable": "{title} als Tabelle anzeigen",
+    "a11y.showChart": "{title} als Diagramm anzeigen",
+    "a11y.tableCaption": "{title}: {count} Zeilen. Zum Sortieren eine Spaltenüberschrift wählen.",
+    "a11y.tableTruncated": "{shown} von {total} Zeilen angezeigt; für die vollständige Tabelle exportieren.",
+    "a11y.noRows": "Keine Zeilen vorhanden.",
+    "a11y.chartHint": "{count} Datenpunkte. Mit den Pfeiltasten durchgehen, mit Pos1 und Ende springen oder zur Tabellenansicht wechseln.",
+    "a11y.point": "Punkt {n} von {count}: {text}",
+    "a11y.filterSummary": "Angezeigt: GJ{from}–GJ{to}, Region {regions}, {count} Xbox-Zeilen.",
+
+    "tab.ci": "Wettbewerbsanalyse",
+    "tab.innovation": "Nachhaltige Innovation",
+    "tab.sdg": "SDG-Ausrichtung",
+    "tab.esg": "ESG-Kennzahlen",
+    "tab.grid": "Netz-Prüfung",
+    "tab.scenarios": "Szenarien",
+    "tab.compare": "Vergleich",
+    "tab.quality": "Datenqualität",
+    "tab.about": "Info",
+
+    "inputs.title": "Dateneingaben",
+    "inputs.reset": "Auf Beispieldaten zurücksetzen",
+    "inputs.uploadMode": "Upload-Modus",
+    "inputs.mode.replace": "Ersetzen",
+    "inputs.mode.merge": "Zusammenführen",
+    "inputs.onConflict": "Bei Konflikt",
+    "inputs.keepNewest": "Neueste behalten",
+    "inputs.keepExisting": "Vorhandene behalten",
+    "inputs.ask": "Nachfragen",
+    "inputs.columns": "Spalten: {columns}",
+    "inputs.reading": "{file} wird gelesen",
+    "inputs.readingProgress": "{file} wird gelesen… {pct} %",
+    "sources.title": "Datenquellen",
+    "sources.dataset": "Datensatz",
+    "sources.file": "Datei",
+    "sources.loaded": "Geladen",
+    "sources.rows": "Zeilen",
+    "sources.sample": "Beispieldaten",
+
+    "filters.region": "Region",
+    "filters.all": "Alle",
+    "filters.yearRange": "Geschäftsjahre",
+    "filters.by": "Gefiltert nach",
+    "filters.regionChip": "Region: {region}",
+    "filters.titleChip": "Titel: {title}",
+    "filters.remove": "Filter {filter} entfernen",
+    "filters.clearAll": "Alle entfernen",
+
+    "report.region": "Region {region}",
+    "report.titles": "Titel {titles}",
+    "report.years": "Jahre {years}",
+    "report.noSources": "keine",
+    "report.generated": "Erstellt am {date}",
+    "report.filters": "Filter: {filters}",
+    "report.sources": "Datenquellen: {sources}",
+    "report.title": "PDF-Bericht",
+    "report.kpis": "KPI-Karten",
+    "report.building": "Wird erstellt…",
+    "report.build": "PDF erstellen",
+    "report.hint": "Die Kopfzeile nennt die aktiven Filter, Datenquellen und das Erstellungsdatum.",
+    "report.failed": "Der Bericht konnte nicht erstellt werden: {message}",
+
+    "units.energy": "Energieeinheit",
+    "units.mass": "Masseeinheit",
+    "units.volume": "Volumeneinheit",
+    "units.auto": "Automatisch",
+    "units.noteConverted": "{metric}: hochgeladen in {units}; alle Werte werden in {to} angezeigt.",
+    "units.noteUnparsed": "{metric}: in {to} angezeigt; einige Zeilen haben eine unbekannte Einheit und bleiben wie hochgeladen.",
+    "units.noteMixedDimensions": "{metric}: mischt Einheiten, die sich nicht ineinander umrechnen lassen ({units}); die Werte bleiben wie hochgeladen.",
+    "unit.kWh": "kWh",
+    "unit.MWh": "MWh",
+    "unit.GWh": "GWh",
+    "unit.kg": "kg",
+    "unit.t": "t",
+    "unit.kt": "kt",
+    "unit.L": "L",
+    "unit.million L": "Mio. L",
+    "unit.billion L": "Mrd. L",
+
+    "kpi.energy": "Gesamtenergie ({unit})",
+    "kpi.co2": "CO₂e gesamt ({unit})",
+    "kpi.power": "Ø Leistung (W)",
+    "kpi.powerWeighted": "Ø Leistung (W, nach Spielzeit gewichtet)",
+    "kpi.titles": "Aktive Titel",
+    "kpi.avgPower": "Ø Leistung",
+    "kpi.add": "KPI hinzufügen",
+    "kpi.warningHint": "{warning}. Zur Prüfung „Datenqualität“ öffnen.",
+    "kpi.warningBadge": "Daten",
+    "kpi.change": "{change} GJ{to} ggü. GJ{from}",
+    "kpi.singleYear": "Nur ein Geschäftsjahr ausgewählt",
+    "kpi.coerced": plural("{count} umgewandelter Wert", "{count} umgewandelte Werte"),
+    "kpi.missing": plural("{count} fehlender Wert {means}", "{count} fehlende Werte {means}"),
+    "kpi.countedAsZero": "als 0 gezählt",
+    "kpi.leftOut": "nicht im Durchschnitt enthalten",
+
+    "measure.energy": "Energie",
+    "measure.co2": "CO₂e",
+    "measure.TitleEnergy_MWh": "Energie",
+    "measure.TitleCO2e_MetricTon": "CO₂e",
+    "series.energy": "Energie ({unit})",
+    "series.co2": "CO₂e ({unit})",
+    "series.co2PerMwh": "CO₂e / MWh",
+    "series.reported": "Gemeldetes CO₂e ({unit})",
+    "series.recomputed": "Neu berechnetes CO₂e ({unit})",
+
+    "chart.benchmark": "Benchmark {metric} (optional)",
+    "chart.peerAvgComputed": "{name} (berechnet)",
+    "chart.rankings": "Rangliste {year}",
+    "chart.focusByYear": "{company} nach Jahr",
+    "chart.co2VsEnergy": "CO₂e und Energie (jährlich)",
+    "chart.titleEfficiency": "Top 10 Titel nach Effizienz (niedrigstes CO₂e je MWh)",
+    "chart.composition": "Zusammensetzung von Energie & CO₂e nach {dimension}",
+    "chart.esgExplorer": "ESG-Explorer · {mode}",
+    "chart.esgStats": "ESG-Kennzahlen im Überblick",
+    "chart.co2ByYear": "CO₂e ({unit}) nach Jahr",
+    "chart.energyByYear": "Energie ({unit}) nach Jahr",
+    "chart.gridByYear": "Gemeldetes und neu berechnetes CO₂e ({basis})",
+    "chart.gridRows": "Zeilenabgleich ({count} markiert)",
+    "chart.waterfall": "CO₂e-Wasserfall: Ausgangslage → Szenario",
+    "chart.scenarioCompare": "Szenariovergleich",
+    "chart.compareKpis": "KPIs: A und B",
+    "chart.compareYear": "{measure} nach {axis}: A und B",
+    "chart.compareEfficiency": "Titeleffizienz (CO₂e je MWh): A und B",
+    "chart.compareTitles": "Titel in A und B ({count})",
+    "chart.qualityColumns": "{dataset}: Spaltenprüfung",
+    "chart.qualityFlags": "{dataset}: markierte Zeilen ({count})",
+    "table.truncated": "{shown} von {total} Titeln angezeigt; für die vollständige Liste exportieren.",
+
+    "export.named": "{title} exportieren",
+    "export.csv": "Daten als CSV",
+    "export.xlsx": "Daten als XLSX",
+    "export.svg": "Diagramm als SVG",
+    "export.png": "Diagramm als PNG",
+    "export.imageFailed": "Diagrammbild konnte nicht erzeugt werden",
+    "export.failed": "Export fehlgeschlagen: {message}",
+
+    "layout.newTab": "Neuer Tab",
+    "layout.newTabTitle": "Eigener Tab {n}",
+    "layout.export": "Layout exportieren",
+    "layout.import": "Layout importieren",
+    "layout.importFailed": "{file} konnte nicht importiert werden: {message}",
+    "layout.confirmDelete": plural("„{title}“ und seine Karte löschen?", "„{title}“ und seine {count} Karten löschen?"),
+    "layout.untitled": "Ohne Titel",
+    "layout.untitledCard": "Karte ohne Titel",
+    "layout.noRows": "Keine Zeilen passen zu dieser Karte.",
+    "layout.missingChart": "Diagramm nicht verfügbar",
+    "layout.missingChartHint": "„{id}“ ist in dieser Version des Dashboards kein Diagramm.",
+
+    "ci.metric": "Benchmark-Kennzahl",
+    "ci.focus": "Fokusunternehmen",
+    "ci.rankingsYear": "Jahr der Rangliste",
+    "ci.lowerIsBetter": "Niedriger ist besser",
+
+    "composition.groupBy": "Gruppieren nach",
+    "composition.chart": "Diagramm",
+    "composition.topN": "Top N (Rest als „Sonstige“)",
+    "composition.caption": "{measure} nach {dimension}",
+    "composition.dimension.Title": "Titel",
+    "composition.dimension.Region": "Region",
+    "composition.dimension.FiscalYear": "Geschäftsjahr",
+    "composition.view.pie": "Kreis",
+    "composition.view.treemap": "Treemap",
+    "composition.view.stacked": "Gestapelter Balken",
+
+    "explorer.metrics": "Kennzahlen",
+    "explorer.showAs": "Anzeigen als",
+    "explorer.baseYear": "Basisjahr",
+    "explorer.index": "Index",
+    "explorer.base": "{metric} (Basis {year})",
+    "explorer.mode.absolute": "Absolut",
+    "explorer.mode.index": "Index (Basis = 100)",
+    "explorer.mode.yoy": "Veränderung ggü. Vorjahr in %",
+
+    "grid.basis": "Faktorbasis",
+    "grid.basis.location": "Standortbasiert",
+    "grid.basis.market": "Marktbasiert",
+    "grid.tolerance": "Toleranz (%)",
+    "grid.onlyFlagged": "Nur markierte Zeilen",
+    "grid.noFactorExcluded": plural("{count} Zeile ohne Faktor nicht berücksichtigt", "{count} Zeilen ohne Faktor nicht berücksichtigt"),
+    "grid.hint": "Neu berechnetes CO₂e = Energie (MWh) × Netzfaktor (kg/MWh) ÷ 1000. Vergleichen Sie beide Basen, um zu sehen, was der Einkauf erneuerbarer Energie ändert.",
+
+    "weighting.playtime": "Nach Spielzeit gewichtet",
+    "weighting.rows": "Ungewichtet (je Zeile)",
+
+    "scenario.baseline": "Ausgangslage {value}",
+    "scenario.avoided": "Vermiedenes CO₂e ({unit})",
+    "scenario.hint": "Szenarien gelten für die Zeilen der aktuellen Ansicht (Region, Jahr und Querfilter). Die Hebel wirken nacheinander (Spielzeitverlagerung, Leistungssenkung, saubere Versorgung), daher zeigt jeder Balken im Wasserfall die Änderung dieses Hebels nach den vorherigen.",
+    "waterfall.Baseline": "Ausgangslage",
+    "waterfall.Scenario": "Szenario",
+    "waterfall.Play-time shift": "Spielzeitverlagerung",
+    "waterfall.Power reduction": "Leistungssenkung",
+    "waterfall.Clean supply": "Saubere Versorgung",
+
+    "compare.set": "Satz {name}",
+    "compare.firstYear": "Satz {name} erstes Jahr",
+    "compare.lastYear": "Satz {name} letztes Jahr",
+    "compare.allRegions": "Alle Regionen",
+    "compare.years": "GJ",
+    "compare.view": "Ansicht",
+    "compare.view.overlay": "Überlagert",
+    "compare.view.side": "Nebeneinander",
+    "compare.align": "Jahre ausrichten",
+    "compare.alignment.year": "Nach Geschäftsjahr",
+    "compare.alignment.position": "Nach Jahr im Zeitraum",
+    "compare.useFilters": "Aktuelle Filter für A übernehmen",
+    "compare.swap": "A und B tauschen",
+    "compare.summary": "A: {a} ({aRows} Zeilen) · B: {b} ({bRows} Zeilen). Differenzen sind B − A; die Veränderung in % bezieht sich auf A.",
+    "compare.byFiscalYear": "Geschäftsjahr",
+    "compare.byPosition": "Jahr im Zeitraum",
+    "compare.yearN": "Jahr {n}",
+    "compare.kpi": "KPI",
+    "compare.title": "Titel",
+    "compare.in": "In",
+    "compare.energyOf": "Energie {set} ({unit})",
+    "compare.only": "nur {set}",
+    "compare.intensityOf": "CO₂e/MWh {set}",
+
+    "dataset.name.xbox": "Xbox",
+    "dataset.name.esg": "ESG",
+    "dataset.name.bench": "Benchmark",
+    "dataset.name.grid": "Netzfaktoren",
+    "dataset.upload.xbox": "Xbox-Nachhaltigkeits-CSV",
+    "dataset.upload.esg": "ESG-Kennzahlen-CSV",
+    "dataset.upload.bench": "(Optional) Benchmark-CSV",
+    "dataset.upload.grid": "(Optional) CSV mit Netzemissionsfaktoren",
+
+    "quality.outliersBy": "Ausreißer nach",
+    "quality.outlier.iqr": "IQR (außerhalb 1,5 × IQR)",
+    "quality.outlier.zscore": "z-Wert (|z| > 3)",
+    "quality.jump": "Sprung ggü. Vorjahr über (%)",
+    "quality.show": "Anzeigen",
+    "quality.allIssues": "Alle Probleme",
+    "quality.issue.missing": "Fehlend",
+    "quality.issue.non-numeric": "Nicht numerisch",
+    "quality.issue.coerced": "Umgewandelt",
+    "quality.issue.duplicate": "Doppelter Schlüssel",
+    "quality.issue.outlier": "Ausreißer",
+    "quality.issue.jump": "Sprung ggü. Vorjahr",
+    "quality.excludeShown": "Angezeigte Zeilen ausschließen",
+    "quality.includeAll": "Alle einschließen ({count} ausgeschlossen)",
+    "quality.summary": "{rows} Zeilen · {duplicates} mit gleichem Schlüssel ({key}) · {flags} Markierungen. Ausgeschlossene Zeilen bleiben gespeichert, fließen aber in kein Diagramm und keinen KPI ein; korrigierte Werte ersetzen die Zelle.",
+
+    "merge.title": "Zusammenführungskonflikte lösen: {file}",
+    "merge.summary": plural("{count} Zeile hat denselben Schlüssel ({key}) mit anderen Werten", "{count} Zeilen haben denselben Schlüssel ({key}) mit anderen Werten"),
+    "merge.keepAllExisting": "Alle bestehenden behalten",
+    "merge.useAllIncoming": "Alle neuen übernehmen",
+    "merge.key": "Schlüssel",
+    "merge.changed": "Geänderte Werte (bestehend → neu)",
+    "merge.keep": "Behalten",
+    "merge.incoming": "Neu",
+    "merge.existing": "Bestehend",
+    "import.title": "Import prüfen: {file}",
+    "import.summary": "{dataset} · {rows} Zeilen gelesen · {valid} gültig · {issues} Probleme",
+    "import.accept": plural("{count} Zeile übernehmen", "{count} Zeilen übernehmen"),
+    "import.expected": "Erwartete Spalte",
+    "import.type": "Typ",
+    "import.source": "Quellspalte",
+    "import.status": "Status",
+    "import.none": "— keine —",
+    "import.missingRequired": "Fehlt (Pflicht)",
+    "import.notMapped": "Nicht zugeordnet",
+    "import.autoMapped": "Automatisch zugeordnet",
+    "import.mappedByHand": "Von Hand zugeordnet",
+    "import.skipped": plural("{count} Zeile wird übersprungen", "{count} Zeilen werden übersprungen"),
+    "import.line": "Zeile {line}",
+    "import.more": "…und {count} weitere",
+    "import.preview": plural("Vorschau (erste gültige Zeile)", "Vorschau (erste {count} gültige Zeilen)"),
+    "import.notNumber": "„{value}“ ist keine Zahl",
+    "import.notYear": "„{value}“ ist kein gültiges Jahr",
+    "import.requiredMissing": "Pflichtwert fehlt",
+
+    "insights.provider": "Anbieter",
+    "insights.provider.rules": "Integriert (regelbasiert, offline)",
+    "insights.provider.openai": "OpenAI-kompatibler Endpunkt",
+    "insights.baseUrl": "Basis-URL",
+    "insights.model": "Modell",
+    "insights.apiKey": "API-Schlüssel (wird nicht gespeichert)",
+    "insights.generate": "Erzeugen",
+    "insights.generating": "Wird erzeugt…",
+    "insights.scope": "Zusammenfassung für {region}, FY{from}–FY{to} ({rows} Zeilen). An einen Anbieter werden nur aggregierte Werte gesendet.",
+    "insights.computedFrom": "Berechnet aus:",
+    "insights.httpError": "Der Anbieter antwortete mit HTTP {status}",
+    "insight.untitled": "Erkenntnis",
+    "insight.flat": "blieb gleich",
+    "insight.rose": "stieg um {pct} %",
+    "insight.fell": "sank um {pct} %",
+    "insight.roseFromZero": "stieg von null an",
+    "insight.fellFromZero": "sank von null aus",
+    "insight.yoyTitle": "Veränderung zum Vorjahr",
+    "insight.yoy": "CO₂e {co2} von FY{from} bis FY{to}, während der Energieverbrauch {energy}.",
+    "insight.intensityImproved": "Die Emissionen je MWh haben sich verbessert.",
+    "insight.intensityWorsened": "Die Emissionen je MWh haben sich verschlechtert.",
+    "insight.trendTitle": "Trend im gewählten Zeitraum",
+    "insight.trend": "Das gesamte CO₂e {change} im Zeitraum FY{from}–FY{to}.",
+    "insight.efficiencyTitle": "Titeleffizienz",
+    "insight.efficiency": "{best} ist der CO₂-effizienteste Titel der Ansicht, {worst} der am wenigsten effiziente.",
+    "insight.efficiencyRatio": "{best} ist der CO₂-effizienteste Titel der Ansicht, {worst} der am wenigsten effiziente mit dem {ratio}-Fachen an CO₂e je MWh.",
+    "insight.peersTitle": "Abstand zu Wettbewerbern",
+    "insight.peersBelow": "{year} liegt {metric} von {company} {pct} % unter dem Durchschnitt der Wettbewerber.",
+    "insight.peersAbove": "{year} liegt {metric} von {company} {pct} % über dem Durchschnitt der Wettbewerber.",
+    "insight.gapWidened": "Der Abstand ist seit {year} gewachsen.",
+    "insight.gapNarrowed": "Der Abstand ist seit {year} geschrumpft.",
+    "insight.esgTitle": "ESG: {metric}",
+    "insight.esg": "{metric} {change} zwischen {from} und {to}.",
+    "insight.noneTitle": "Zu wenige Daten",
+    "insight.none": "Die aktuelle Ansicht hat zu wenige Datenpunkte für einen Vergleich.",
+
+    "target.relative": "{series} {change} % ggü. {base} bis {year}",
+    "target.absolute": "{series} {value} bis {year}",
+    "status.on-track": "Im Plan",
+    "status.off-track": "Nicht im Plan",
+    "status.no-data": "Keine Daten",
+    "forecast.title": "Prognosen & Ziele",
+    "forecast.method": "Prognosemethode",
+    "forecast.method.off": "Aus",
+    "forecast.method.linear": "Linearer Trend",
+    "forecast.method.holt": "Exponentielle Glättung (Holt)",
+    "forecast.to": "Prognose bis",
+    "forecast.hint": "Gestrichelte Linien sind Prognosen mit schattiertem 95-%-Band; rot gepunktete Linien sind Zielpfade.",
+    "forecast.band": "{name} 95-%-Band",
+    "forecast.line": "{name} Prognose",
+    "forecast.target": "Ziel: {target}",
+    "forecast.projected": "Prognose {projected} ggü. Ziel {goal}",
+    "forecast.series": "Reihe",
+    "forecast.targetType": "Zieltyp",
+    "forecast.relative": "% Änderung ggü. Basisjahr",
+    "forecast.absolute": "Absoluter Wert",
+    "forecast.change": "Änderung (%)",
+    "forecast.value": "Wert",
+    "forecast.valueIn": "Wert ({unit})",
+    "forecast.byYear": "Bis Jahr",
+    "forecast.addTarget": "Ziel hinzufügen",
+    "titleDetail.title": "Titeldetails: {title}",
+    "titleDetail.AverageACPower_W": "Ø Leistung (W)",
+    "titleDetail.TitleEnergy_MWh": "Energie (MWh)",
+    "titleDetail.TitleCO2e_MetricTon": "CO₂e (t)",
+    "titleDetail.CO2e_per_MWh": "CO₂e je MWh",
+
+    "sdg.unassigned": "Ohne Zuordnung",
+    "sdg.noGoal": "Kennzahlen ohne SDG",
+    "sdg.noTrend": "Zu wenig Verlauf für einen Trend",
+    "sdg.improving": plural("{count} von {of} Kennzahl verbessert sich", "{count} von {of} Kennzahlen verbessern sich"),
+    "sdg.focused": "Nur dieses Ziel · klicken für alle",
+    "sdg.focusHint": "Klicken, um nur die Kennzahlen dieses Ziels zu zeigen",
+    "sdg.SDG 1": "Keine Armut",
+    "sdg.SDG 2": "Kein Hunger",
+    "sdg.SDG 3": "Gesundheit und Wohlergehen",
+    "sdg.SDG 4": "Hochwertige Bildung",
+    "sdg.SDG 5": "Geschlechtergleichheit",
+    "sdg.SDG 6": "Sauberes Wasser und Sanitäreinrichtungen",
+    "sdg.SDG 7": "Bezahlbare und saubere Energie",
+    "sdg.SDG 8": "Menschenwürdige Arbeit und Wirtschaftswachstum",
+    "sdg.SDG 9": "Industrie, Innovation und Infrastruktur",
+    "sdg.SDG 10": "Weniger Ungleichheiten",
+    "sdg.SDG 11": "Nachhaltige Städte und Gemeinden",
+    "sdg.SDG 12": "Nachhaltige/r Konsum und Produktion",
+    "sdg.SDG 13": "Maßnahmen zum Klimaschutz",
+    "sdg.SDG 14": "Leben unter Wasser",
+    "sdg.SDG 15": "Leben an Land",
+    "sdg.SDG 16": "Frieden, Gerechtigkeit und starke Institutionen",
+    "sdg.SDG 17": "Partnerschaften zur Erreichung der Ziele",
+    "stats.Metric": "Kennzahl",
+    "stats.Latest": "Aktuell",
+    "stats.CAGR_pct": "CAGR",
+    "stats.Min": "Min.",
+    "stats.Max": "Max.",
+    "standings.year": "Jahr",
+    "standings.company": "Unternehmen",
+    "standings.value": "Wert",
+    "standings.rank": "Rang",
+    "standings.percentile": "Perzentil",
+    "standings.gap": "Abstand zum Ersten",
+    "standings.leader": "Spitze",
+    "grid.title": "Titel",
+    "grid.year": "GJ",
+    "grid.energy": "Energie ({unit})",
+    "grid.factor": "Faktor (kg/MWh)",
+    "grid.reported": "Gemeldet ({unit})",
+    "grid.recomputed": "Neu berechnet ({unit})",
+    "grid.diff": "Abw.",
+    "grid.flag": "Hinweis",
+    "grid.flag.No factor": "Kein Faktor",
+    "grid.flag.CO₂e without energy": "CO₂e ohne Energie",
+    "grid.flag.Beyond tolerance": "Außerhalb der Toleranz",
+    "kpiBuilder.title": "KPI-Editor",
+    "kpiBuilder.label": "Bezeichnung",
+    "kpiBuilder.labelPlaceholder": "CO₂e je MWh",
+    "kpiBuilder.formula": "Formel",
+    "kpiBuilder.decimals": "Nachkommastellen",
+    "kpiBuilder.current": "Aktuelle Ansicht: {value}",
+    "kpiBuilder.functions": "Funktionen: {functions}; kombinierbar mit + − × ÷ und Klammern.",
+    "kpiBuilder.metricArg": "ESG-Kennzahl",
+    "kpiBuilder.columnArg": "Spalte",
+    "kpiBuilder.columns": "Spalten: {columns}",
+    "kpiBuilder.metrics": "ESG-Kennzahlen: {metrics}",
+    "formula.error.empty": "Die Formel ist leer",
+    "formula.error.unexpectedAt": "Unerwartetes „{char}“ an Position {position}",
+    "formula.error.unexpected": "Unerwartetes „{token}“",
+    "formula.error.expected": "„{token}“ erwartet",
+    "formula.error.endsEarly": "Die Formel endet zu früh",
+    "formula.error.unknownFunction": "Unbekannte Funktion „{name}“",
+    "formula.error.needsName": "{fn}() erwartet einen Spalten- oder Kennzahlnamen",
+    "formula.error.countNoArgument": "count() erwartet kein Argument",
+    "formula.error.needsColumn": "{fn}() benötigt eine Spalte",
+    "formula.error.needsMetric": "{fn}() benötigt eine ESG-Kennzahl",
+    "formula.error.unknownColumn": "Unbekannte Spalte „{name}“",
+    "formula.error.unknownMetric": "Unbekannte ESG-Kennzahl „{name}“",
+    "formula.error.other": "{message}",
+
+    "scenario.levers": "Szenariohebel",
+    "scenario.powerCut": "Leistungssenkung",
+    "scenario.powerCutPct": "Leistungssenkung (%)",
+    "scenario.lessPower": "% weniger Leistung",
+    "scenario.addPowerCut": "Leistungssenkung hinzufügen",
+    "scenario.shift": "Spielzeitverlagerung",
+    "scenario.shiftPct": "Verlagerter Anteil der Spielzeit (%)",
+    "scenario.shiftFrom": "% der Spielzeit von",
+    "scenario.shiftTo": "nach",
+    "scenario.addShift": "Verlagerung hinzufügen",
+    "scenario.shiftHint": "Die Spielzeit wird als Energie ÷ Leistung geschätzt; verlagerte Stunden verwenden Leistung und CO₂e je MWh des aufnehmenden Titels im selben Jahr und in derselben Region.",
+    "scenario.cleanSupply": "% CO₂e-Minderung durch saubere Versorgung",
+    "scenario.cleanSupplyHint": "% (skaliert das verbleibende CO₂e; die Energie bleibt unverändert)",
+    "scenario.name": "Szenarioname",
+    "scenario.defaultName": "Szenario {n}",
+    "scenario.update": "Aktualisieren",
+    "scenario.save": "Speichern",
+    "scenario.saveAsNew": "Als neu speichern",
+    "scenario.new": "Neues Szenario",
+    "scenario.saved": "Gespeichertes Szenario",
+    "scenario.compare": "Vergleichen",
+    "scenario.compareNamed": "{name} vergleichen",
+    "scenario.baselineName": "Ausgangslage",
+    "scenario.draftName": "Aktueller Entwurf",
+    "scenario.row.energy": "Energie ({unit})",
+    "scenario.row.co2": "CO₂e ({unit})",
+    "scenario.row.power": "Ø Leistung (W)",
+    "scenario.row.avoided": "Vermiedenes CO₂e ({unit})",
+    "scenario.row.changePct": "CO₂e-Veränderung (%)",
+
+    "quality.column": "Spalte",
+    "quality.stat.missing": "Fehlend",
+    "quality.stat.nonNumeric": "Nicht numerisch",
+    "quality.stat.coerced": "Umgewandelt",
+    "quality.row": "Zeile",
+    "quality.issue": "Problem",
+    "quality.detail": "Details",
+    "quality.fix": "Wert / Korrektur",
+    "quality.excluded": "Ausgeschlossen",
+    "quality.fixCell": "{column} in Zeile {row} korrigieren",
+    "quality.excludeRow": "Zeile {row} ausschließen",
+    "quality.truncated": "{shown} von {total} Markierungen angezeigt; für die vollständige Liste exportieren.",
+    "quality.detail.missing": "Kein Wert",
+    "quality.detail.notNumber": "„{value}“ ist keine Zahl",
+    "quality.detail.notYear": "„{value}“ ist kein Jahr",
+    "quality.detail.coerced": "Beim Import umgewandelt",
+    "quality.detail.duplicate": plural("{count} Zeile hat diesen Schlüssel", "{count} Zeilen haben diesen Schlüssel"),
+    "quality.detail.zscore": "{value} z = {z}",
+    "quality.detail.iqr": "{value} außerhalb {lo} – {hi}",
+    "quality.detail.jump": "{change} % ggü. {year}",
+    "layout.newCardTitle": "Energie nach Region",
+    "layout.error.shape": "Das Layout muss ein Objekt mit einer Liste „tabs“ sein",
+    "layout.error.version": "Layoutversion {version} ist neuer als von diesem Dashboard unterstützt",
+    "layout.error.tab": "Tab {tab}",
+    "layout.error.card": "Tab {tab}, Karte {card}",
+    "layout.error.cards": "„cards“ muss eine Liste sein",
+    "layout.error.dataset": "unbekannter Datensatz „{dataset}“",
+    "layout.error.chart": "unbekannter Diagrammtyp „{chart}“",
+    "layout.error.groupBy": "transform.groupBy ist erforderlich",
+    "layout.error.measures": "transform.measures braucht mindestens eine Kennzahl",
+    "layout.error.agg": "Kennzahl {measure}: agg muss eines von {aggs} sein",
+    "layout.error.column": "Kennzahl {measure}: Spalte ist erforderlich",
+    "layout.card": "Karte",
+    "layout.customChart": "Eigenes Diagramm",
+    "layout.builtinChart": "Eingebautes Diagramm",
+    "layout.chart": "Diagramm",
+    "layout.title": "Titel",
+    "layout.dataset": "Datensatz",
+    "layout.rows": "Zeilen",
+    "layout.scope.view": "Aktuelle Filter",
+    "layout.scope.all": "Alle Zeilen",
+    "layout.chartType": "Diagrammtyp",
+    "layout.chartType.line": "Linie",
+    "layout.chartType.bar": "Balken",
+    "layout.chartType.stacked-bar": "Gestapelte Balken",
+    "layout.chartType.area": "Fläche",
+    "layout.chartType.pie": "Kreis (erste Reihe)",
+    "layout.chartType.table": "Tabelle",
+    "layout.groupBy": "Gruppieren nach",
+    "layout.pivot": "Reihe je",
+    "layout.pivotNone": "— (eine je Kennzahl)",
+    "layout.measure": "Kennzahl {n}",
+    "layout.measureColumn": "Spalte für Kennzahl {n}",
+    "layout.columnPlaceholder": "Spalte…",
+    "layout.addMeasure": "Kennzahl hinzufügen",
+    "layout.order": "Reihenfolge",
+    "layout.order.key": "Nach Gruppe",
+    "layout.order.valueDesc": "Größte zuerst",
+    "layout.limit": "Limit",
+    "layout.saveCard": "Karte speichern",
+    "layout.tabName": "Tabname",
+    "layout.addCard": "Karte hinzufügen",
+    "layout.deleteTab": "Tab löschen",
+    "layout.empty": "Noch keine Karten. Fügen Sie ein eingebautes Diagramm hinzu oder definieren Sie ein eigenes aus einem beliebigen Datensatz.",
+    "layout.moveEarlier": "Karte nach vorn",
+    "layout.moveLater": "Karte nach hinten",
+    "layout.width": "Kartenbreite",
+    "layout.width.1": "⅓ Breite",
+    "layout.width.2": "⅔ Breite",
+    "layout.width.3": "Volle Breite",
+
+    "about.title": "So nutzen Sie dieses Dashboard",
+    "about.note": "Hinweis: Die Beispielzahlen dienen nur der Veranschaulichung. Ersetzen Sie sie für Veröffentlichungen durch offizielle Microsoft-Datensätze.",
+    "about.items": [
+      "Laden Sie Ihre **Xbox-Nachhaltigkeits-CSV** und **ESG-Kennzahlen-CSV** hoch, um die Beispieldaten zu ersetzen, oder wechseln Sie zu **Zusammenführen**, um sie anzuhängen (Zeilen werden über ihren natürlichen Schlüssel dedupliziert). Die Liste **Datenquellen** zeigt, woher die Zeilen stammen, und entfernt die Zeilen einer Datei.",
+      "Jede **KPI-Karte** vergleicht das letzte Geschäftsjahr der Ansicht mit dem Vorjahr und zeigt eine Sparkline je Jahr. Die durchschnittliche Leistung kann ein einfacher Mittelwert über die Zeilen oder nach Spielzeit gewichtet sein. Mit **KPI hinzufügen** definieren Sie eigene Karten als Formeln wie `sum(TitleCO2e_MetricTon) / sum(TitleEnergy_MWh)` oder `latest(\"Renewable Energy %\")`; sie werden mit den Dashboard-Einstellungen gespeichert.",
+      "Energie und CO₂e werden in eine gut lesbare Einheit skaliert (kWh/MWh/GWh, kg/t/kt), sofern Sie neben den KPI-Karten keine feste Einheit wählen. ESG-Kennzahlen mit gemischten Einheiten (z. B. einige Zeilen in GWh, andere in MWh) werden je Kennzahl in eine Einheit umgerechnet; ein Hinweis auf dem ESG-Tab nennt die Umrechnungen. Das **Sprachmenü** wechselt Beschriftungen und Zahlenformat zwischen Englisch und Deutsch.",
+      "Jedes Diagramm hat eine **Tabellenansicht** (Tabellensymbol neben dem Download) mit sortierbaren Spalten. Diagramme sind außerdem per Tab-Taste erreichbar: Die Pfeiltasten gehen dann die Datenpunkte durch, die unter dem Diagramm vorgelesen werden. Das Menü **Darstellung** wechselt zu einem dunklen oder kontrastreichen Design; alle Designs nutzen für Farbenblinde unterscheidbare Reihenfarben.",
+      "Der Tab **Szenarien** modelliert Maßnahmen für die Zeilen der Ansicht: Leistung für einen Titel oder eine Region senken, Spielzeit zwischen Titeln verlagern oder CO₂e durch saubere Versorgung senken. Er zeigt KPIs von Ausgangslage und Szenario, das vermiedene CO₂e und einen Wasserfall je Hebel; speichern Sie benannte Szenarien und haken Sie sie zum Vergleich an.",
+      "Der Tab **Vergleich** stellt zwei Ansichten nebeneinander, z. B. EU und USA oder GJ22 und GJ24. Die Sätze A und B haben eigene Regionen und Jahre und ignorieren die Hauptfilter. KPIs, Jahressummen und Titeleffizienz werden überlagert oder nebeneinander gezeigt, mit B − A und Veränderung in %; Jahre lassen sich nach Geschäftsjahr oder nach Position im Zeitraum ausrichten. Titel aus beiden Sätzen werden aufgelistet und markiert, wenn sie nur in einem vorkommen.",
+      "Der Tab **Datenqualität** zählt fehlende, nicht numerische und umgewandelte Zellen je Spalte und markiert doppelte Schlüssel, Ausreißer und große Sprünge gegenüber dem Vorjahr. Korrigieren Sie einen Wert direkt oder schließen Sie die Zeile aus; ein Warnhinweis auf einer KPI-Karte bedeutet, dass ihr Wert umgewandelte oder fehlende Werte enthält.",
+      "**Neuer Tab** fügt einen eigenen Tab hinzu. Füllen Sie ihn mit integrierten Diagrammen oder eigenen Karten: Datensatz, Gruppierungsspalte, optionale Reihen je Spalte, Kennzahlen (Summe, Durchschnitt, Min, Max oder Anzahl) und Diagrammtyp wählen. Karten lassen sich verschieben, in der Größe ändern und entfernen. **Layout exportieren** speichert alle eigenen Tabs als JSON-Datei, die **Layout importieren** auf einem anderen Rechner lädt.",
+      "Große CSV-Dateien werden im Hintergrund mit Fortschrittsbalken unter dem Upload gelesen, und große Xbox-Datensätze werden außerhalb des Hauptthreads aggregiert, damit die Filter flüssig bleiben.",
+      "Jeder Upload öffnet einen **Prüfschritt**: Spalten werden dem erwarteten Schema zugeordnet (bei Bedarf umbenennen), und Zeilen mit ungültigen Werten werden aufgelistet, bevor etwas geladen wird.",
+      "Filtern Sie die Ansichten mit den **Regionen** (Mehrfachauswahl) und dem **Geschäftsjahresbereich**. Ein Klick auf einen Titelbalken, ein Kreissegment oder ein Jahr in einem Jahresdiagramm filtert alle anderen Ansichten; aktive Filter erscheinen als entfernbare Chips. Bei genau einem Titel öffnet sich dessen Detailansicht.",
+      "Das Diagramm **Zusammensetzung** im Innovations-Tab summiert Energie und CO₂e nach Titel, Region oder Geschäftsjahr, behält die Top N und fasst den Rest unter „Sonstige“ zusammen. Jeder Titel, jede Region und jedes Jahr behält in allen Diagrammen dieselbe Farbe.",
+      "Uploads werden in diesem Browser gespeichert, Filter und Tab stehen in der URL, sodass **Link kopieren** genau diese Ansicht teilt. **Auf Beispieldaten zurücksetzen** löscht das Gespeicherte.",
+      "Der Tab **Wettbewerbsanalyse** zeigt jedes Unternehmen der Benchmark-Datei für jede numerische Kennzahlspalte, erstellt Ranglisten je Jahr und zeigt den Abstand des Fokusunternehmens zum Spitzenreiter. Ohne Zeile „Peer Avg“ wird der Vergleichsdurchschnitt aus den übrigen Unternehmen berechnet.",
+      "**Prognosen & Ziele** ergänzt die CO₂e-, Energie- und SDG-Diagramme um gestrichelte Projektionen und zeichnet jedes Ziel als erforderlichen Pfad, mit einem Hinweis im Diagramm, ob es erreicht wird.",
+      "Der Tab **Netz-Prüfung** berechnet das CO₂e jeder Zeile aus ihrer Energie und einem Netzemissionsfaktor neu (eigene Faktoren-CSV hochladen) und markiert Zeilen, deren gemeldeter Wert um mehr als die Toleranz abweicht.",
+      "Der Tab **SDG** gruppiert Ihre ESG-Kennzahlen nach dem Ziel in ihrer Spalte **SDG**, bewertet jedes Ziel anhand aktueller Werte, Trends und Zielvorgaben und zeichnet ein Diagramm je Kennzahl. Klicken Sie auf ein Ziel, um sich darauf zu konzentrieren.",
+      "Der Tab **ESG** zeigt jährliche CO₂e- und Energiesummen und einen **Explorer**, um beliebige ESG-Kennzahlen als absolute Werte (eine Achse je Einheit), als auf 100 indexierte Reihe oder als Veränderung ggü. Vorjahr in % zu vergleichen, mit sortierbarer Übersichtstabelle.",
+      "Alle Diagramme aktualisieren sich sofort bei Daten- oder Filteränderungen. Über das **Download**-Symbol eines Diagramms exportieren Sie seine Daten (CSV/XLSX) oder das Diagramm selbst (SVG/PNG), über **Bericht** erstellen Sie ein PDF mit den KPI-Karten, ausgewählten Diagrammen und aktiven Filtern.",
+    ],
+  },
+};
+
+let current = DEFAULT_LOCALE;
+
+// Called by the dashboard once a language choice commits, so module-level
+// formatters agree with the locale the user picked
+export const setLocale = (id) => {
+  current = MESSAGES[id] ? id : "en";
+};
+
+export const numberLocale = () => LOCALES.find(l => l.id === current).numberLocale;
+
+export const t = (key, vars) => {
+  const msg = MESSAGES[current][key] ?? MESSAGES.en[key];
+  if (msg === undefined) return key;
+  if (typeof msg === "function") return msg(vars || {});
+  return typeof msg === "string" ? fill(msg, vars) : msg;
+};
+
+// Label of an option object ({ id | key, label }) in the current locale
+export const tLabel = (prefix, item) => {
+  if (!item) return "";
+  return MESSAGES[current][`${prefix}.${item.id ?? item.key}`] ?? item.label;
+};
+
+// **bold** and `code` in catalog strings
+export const richText = (text) => text.split(/(\*\*[^*]+\*\*|`[^`]+`)/).map((part, i) => {
+  if (part.startsWith("**") && part.endsWith("**")) return React.createElement("strong", { key: i }, part.slice(2, -2));
+  if (part.startsWith("`") && part.endsWith("`")) return React.createElement("code", { key: i }, part.slice(1, -1));
+  return part;
+});
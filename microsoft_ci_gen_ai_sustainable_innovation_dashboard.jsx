@@ -1,12 +1,15 @@
 import React, { useMemo, useState } from "react";
 import Papa from "papaparse";
+import * as XLSX from "xlsx";
+import { jsPDF } from "jspdf";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/components/ui/tabs";
 import { Slider } from "@/components/ui/slider";
-import { Check, Cloud, Gauge, Leaf, LineChart as LineIcon, Sparkles, Upload, Factory, Recycle, Droplets } from "lucide-react";
+import { AlertTriangle, Check, Globe, Minus, TrendingDown, TrendingUp, Download, FileText, Link as LinkIcon, RotateCcw, Table as TableIcon, BarChart3, Cloud, Gauge, Leaf, LineChart as LineIcon, Sparkles, Upload, Factory, Recycle, Droplets } from "lucide-react";
 import {
+  ComposedChart,
   LineChart,
   Line,
   XAxis,
@@ -17,12 +20,54 @@ import {
   BarChart,
   Bar,
   Legend,
+  ReferenceLine,
   AreaChart,
   Area,
   PieChart,
   Pie,
-  Cell
+  Cell,
+  Treemap
 } from "recharts";
+import {
+  isBlank,
+  pctChange,
+  filterXbox,
+  buildEsgSeries,
+  COMPOSITION_MEASURES,
+  OTHER_CATEGORY,
+  compositionShares,
+  PEER_AVG,
+  benchMetricColumns,
+  pivotBenchmark,
+  benchmarkStandings,
+  rowKey,
+  normalizeBasis,
+  OUTLIER_METHODS,
+  assessDataQuality,
+  kpiQuality,
+  EMPTY_SCENARIO,
+  waterfallRows,
+  POWER_WEIGHTINGS,
+  KPI_FUNCTIONS,
+  parseKpiFormula,
+  evaluateKpiFormula,
+  COMPARE_ALIGNMENTS,
+  CARD_AGGREGATES,
+  runCardTransform,
+  runXboxQuery,
+} from "./aggregation_engine";
+import {
+  UNIT_DIMENSIONS,
+  AUTO_UNIT,
+  DEFAULT_DISPLAY_UNITS,
+  BASE_UNITS,
+  unitFactor,
+  parseUnit,
+  formatUnitLabel,
+  resolveUnit,
+  normalizeUnits,
+} from "./units";
+import { LOCALES, DEFAULT_LOCALE, setLocale, numberLocale, t, tLabel, richText } from "./locales";
 
 /**
  * Microsoft CI + GenAI Sustainable Innovation Dashboard
@@ -30,15 +75,64 @@ import {
  * This single-file React app provides an interactive dashboard structure
  * you can use for your research report. It supports:
  *  - Uploading CSVs (Xbox Sustainability dataset; ESG metrics)
+ *  - Schema checks on upload: known column aliases are auto-mapped, the rest
+ *    can be mapped by hand, and type errors are listed row by row
+ *  - Replace or merge uploads (deduplicated on natural keys), with every row
+ *    tagged by the file it came from
  *  - Exploring CI + GenAI sustainability KPIs (energy, CO2e, efficiency)
- *  - SDG alignment views (SDG 6, 7, 9, 12, 13)
- *  - Year/region filters
+ *  - SDG alignment views built from the ESG file's SDG column: a progress
+ *    scorecard per goal and one chart per metric
+ *  - ESG metric explorer: any metrics together (one axis per unit), as
+ *    absolute values, a rebased index or YoY % change, with summary stats
+ *  - Year/region filters, plus click-to-filter across charts (titles, years)
+ *    with removable chips and a per-title drill-down
+ *  - Composition by title, region or year as pie, treemap or stacked bar,
+ *    with a top-N + "Other" cut and fixed colors per category
+ *  - Grid emission factors: recompute title CO2e from energy (location- or
+ *    market-based) and flag rows that disagree with the reported figure
+ *  - Competitive intelligence over any number of peers and benchmark metrics,
+ *    with per-year rank, percentile and gap to the leader
+ *  - Forecasts (linear or exponential smoothing, with 95% bands) and target
+ *    trajectories with on-track badges for CO2e, energy and ESG series
+ *  - Export: each chart's data as CSV/XLSX and the chart as SVG/PNG, plus a
+ *    PDF report with KPI cards, chosen charts, filters and data sources
+ *  - AI Insights: plain-language summaries of the current view from a built-in
+ *    rule-based generator, or from an optional OpenAI-compatible endpoint
+ *  - KPI cards with the change vs the previous fiscal year and a sparkline,
+ *    weighted or unweighted average power, and user-defined formula KPIs
+ *  - What-if scenarios: power cuts per title or region, play-time shifts and a
+ *    CO2e reduction from clean supply, with a CO2e waterfall and saved
+ *    scenarios compared side by side
+ *  - Compare mode: two independent filter sets (regions + years), with KPIs,
+ *    yearly series and title efficiency overlaid or side by side, B − A and %
+ *    differences, and titles matched across both sets
+ *  - Data quality: missing, non-numeric and coerced cells per column, duplicate
+ *    keys, outliers and year-over-year jumps, with row fixes and exclusions
+ *  - Custom tabs: cards defined as JSON (dataset, transform, chart type,
+ *    series, title) or picked from the built-in charts, which can be added,
+ *    reordered, resized and removed; layouts import/export as JSON files
+ *  - Units and language: energy/CO2e auto-scale (kWh…GWh, kg…kt) or use a
+ *    picked unit, ESG values in mixed units are converted per metric
+ *    (units.js), and labels/number formats switch between English and
+ *    German (locales.js)
+ *  - Accessibility: every chart can switch to a sortable data table, chart
+ *    points can be stepped through with the keyboard and are announced, and
+ *    light, dark and high-contrast themes use color-blind-safe palettes
+ *  - Large files: CSVs are stream-parsed in a background worker with a progress
+ *    bar, and above WORKER_ROW_THRESHOLD rows the Xbox aggregations run there
+ *    too; grid, scenario and compare figures are only computed while shown
+ *    (aggregation_engine.js holds the framework-free aggregation code)
+ *  - Persistence: uploaded datasets are kept in IndexedDB, and filters plus the
+ *    active tab are mirrored in the URL (?region=EU&from=2023&to=2024&tab=innovation);
+ *    region, title and year may repeat for multi-selections
  *
  * CSV expectations (you can adapt in code):
  * 1) Xbox Sustainability dataset (example columns):
  *    Title,FiscalYear,Region,AverageACPower_W,TitleEnergy_MWh,TitleCO2e_MetricTon
  * 2) ESG Metrics (example columns):
  *    Metric,Year,Value,Unit,SDG
+ * 3) Grid emission factors (optional):
+ *    Region,Year,kgCO2e_per_MWh,Basis   (Basis: location | market)
  *
  * The dashboard ships with clean SAMPLE DATA so it's usable immediately.
  * Replace or append your own CSVs via the uploaders below.
@@ -80,14 +174,195 @@ const SAMPLE_BENCHMARK = [
   { Company: "Peer Avg", Year: 2024, EmissionsIntensity: 20.4 },
 ];
 
+// Grid emission factors by region/year, location- and market-based
+const SAMPLE_GRID_FACTORS = [
+  { Region: "US", Year: 2022, kgCO2e_per_MWh: 450, Basis: "location" },
+  { Region: "US", Year: 2023, kgCO2e_per_MWh: 437, Basis: "location" },
+  { Region: "US", Year: 2024, kgCO2e_per_MWh: 431, Basis: "location" },
+  { Region: "EU", Year: 2022, kgCO2e_per_MWh: 435, Basis: "location" },
+  { Region: "EU", Year: 2023, kgCO2e_per_MWh: 422, Basis: "location" },
+  { Region: "EU", Year: 2024, kgCO2e_per_MWh: 410, Basis: "location" },
+  { Region: "APAC", Year: 2022, kgCO2e_per_MWh: 520, Basis: "location" },
+  { Region: "APAC", Year: 2023, kgCO2e_per_MWh: 510, Basis: "location" },
+  { Region: "APAC", Year: 2024, kgCO2e_per_MWh: 400, Basis: "location" },
+  { Region: "US", Year: 2022, kgCO2e_per_MWh: 180, Basis: "market" },
+  { Region: "US", Year: 2023, kgCO2e_per_MWh: 150, Basis: "market" },
+  { Region: "US", Year: 2024, kgCO2e_per_MWh: 120, Basis: "market" },
+  { Region: "EU", Year: 2022, kgCO2e_per_MWh: 120, Basis: "market" },
+  { Region: "EU", Year: 2023, kgCO2e_per_MWh: 100, Basis: "market" },
+  { Region: "EU", Year: 2024, kgCO2e_per_MWh: 90, Basis: "market" },
+  { Region: "APAC", Year: 2022, kgCO2e_per_MWh: 450, Basis: "market" },
+  { Region: "APAC", Year: 2023, kgCO2e_per_MWh: 420, Basis: "market" },
+  { Region: "APAC", Year: 2024, kgCO2e_per_MWh: 380, Basis: "market" },
+];
+
+// ------------- Dataset schemas -------------
+// Expected columns per uploader. Aliases are compared after normalizeHeader,
+// so "CO2e_t", "co2e (t)" and "CO2E T" all resolve the same way.
+// naturalKey identifies "the same row" when merging uploads.
+const DATASET_SCHEMAS = {
+  xbox: {
+    name: "Xbox",
+    label: "Xbox Sustainability CSV",
+    naturalKey: ["Title", "FiscalYear", "Region"],
+    columns: [
+      { key: "Title", type: "string", required: true, aliases: ["game", "gametitle", "name"] },
+      { key: "FiscalYear", type: "year", required: true, aliases: ["fy", "year"] },
+      { key: "Region", type: "string", required: false, aliases: ["market", "geo", "geography"] },
+      { key: "AverageACPower_W", type: "number", required: false, aliases: ["avgpowerw", "averagepowerw", "avgacpowerw", "powerw", "averageacpower"] },
+      { key: "TitleEnergy_MWh", type: "number", required: true, aliases: ["energymwh", "energy", "titleenergy"] },
+      { key: "TitleCO2e_MetricTon", type: "number", required: true, aliases: ["co2et", "co2e", "co2emetricton", "co2etonnes", "titleco2e", "emissionst"] },
+    ],
+  },
+  esg: {
+    name: "ESG",
+    label: "ESG Metrics CSV",
+    naturalKey: ["Metric", "Year"],
+    columns: [
+      { key: "Metric", type: "string", required: true, aliases: ["indicator", "kpi", "name"] },
+      { key: "Year", type: "year", required: true, aliases: ["fiscalyear", "fy"] },
+      { key: "Value", type: "number", required: true, aliases: ["amount", "val"] },
+      { key: "Unit", type: "string", required: false, aliases: ["units", "uom"] },
+      { key: "SDG", type: "string", required: false, aliases: ["goal", "sdggoal"] },
+    ],
+  },
+  bench: {
+    name: "Benchmark",
+    label: "(Optional) Benchmark CSV",
+    naturalKey: ["Company", "Year"],
+    columns: [
+      { key: "Company", type: "string", required: true, aliases: ["peer", "organization", "name"] },
+      { key: "Year", type: "year", required: true, aliases: ["fiscalyear", "fy"] },
+      { key: "EmissionsIntensity", type: "number", required: false, aliases: ["intensity", "co2eintensity", "carbonintensity"] },
+    ],
+  },
+  grid: {
+    name: "Grid factors",
+    label: "(Optional) Grid Emission Factors CSV",
+    naturalKey: ["Region", "Year", "Basis"],
+    columns: [
+      { key: "Region", type: "string", required: true, aliases: ["market", "geo", "geography", "gridregion"] },
+      { key: "Year", type: "year", required: true, aliases: ["fiscalyear", "fy"] },
+      { key: "kgCO2e_per_MWh", type: "number", required: true, aliases: ["kgco2emwh", "factor", "emissionfactor", "gridfactor", "ef", "kgco2epermwh"] },
+      { key: "Basis", type: "string", required: false, aliases: ["method", "scope2method", "type"] },
+    ],
+  },
+};
+
+const datasetName = (kind) => tLabel("dataset.name", { id: kind, label: DATASET_SCHEMAS[kind].name });
+
 // ------------- Utilities -------------
-const parseCsv = (file, onDone) => {
+const parseCsvOnMainThread = (file, onDone) => {
   Papa.parse(file, {
     header: true,
     dynamicTyping: true,
     skipEmptyLines: true,
-    complete: (results) => onDone(results.data || []),
+    complete: (results) => onDone(results.data || [], results.meta?.fields || [], results.errors || []),
+  });
+};
+
+// null where workers are unavailable (or during server rendering)
+const createDashboardWorker = () => (typeof Worker === "undefined"
+  ? null
+  : new Worker(new URL("./dashboard_worker.js", import.meta.url), { type: "module" }));
+
+// Parse in the background worker so large files don't freeze the page;
+// onProgress gets the share of the file read so far (0–1). Falls back to
+// the main thread if the worker can't be started.
+const parseCsv = (file, onDone, onProgress = () => {}) => {
+  let worker = null;
+  try {
+    worker = createDashboardWorker();
+  } catch (err) {
+    console.warn("CSV worker unavailable, parsing on the main thread", err);
+  }
+  if (!worker) {
+    parseCsvOnMainThread(file, onDone);
+    return;
+  }
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === "progress") onProgress(msg.total ? msg.loaded / msg.total : 0);
+    if (msg.type === "parsed" || msg.type === "error") worker.terminate();
+    if (msg.type === "parsed") onDone(msg.rows, msg.fields, msg.errors);
+    if (msg.type === "error") onDone([], [], [{ row: undefined, message: msg.message }]);
+  };
+  worker.onerror = (err) => {
+    console.warn("CSV worker failed, parsing on the main thread", err);
+    worker.terminate();
+    parseCsvOnMainThread(file, onDone);
+  };
+  worker.postMessage({ type: "parse", id: 1, file });
+};
+
+const normalizeHeader = (h) => String(h ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Map each schema column to a CSV header: exact names first, then aliases.
+const autoMapColumns = (fields, schema) => {
+  const used = new Set();
+  const mapping = {};
+  schema.columns.forEach(col => {
+    const exact = fields.find(f => normalizeHeader(f) === normalizeHeader(col.key));
+    mapping[col.key] = exact ?? "";
+    if (exact) used.add(exact);
+  });
+  schema.columns.forEach(col => {
+    if (mapping[col.key]) return;
+    const alias = fields.find(f => !used.has(f) && col.aliases.includes(normalizeHeader(f)));
+    mapping[col.key] = alias ?? "";
+    if (alias) used.add(alias);
+  });
+  return mapping;
+};
+
+// Returns { value } or { error }. Blank cells come back as { value: null }.
+// coerced is set when the value had to be converted (e.g. "1,234", "FY24").
+const coerceCell = (raw, type) => {
+  if (isBlank(raw)) return { value: null };
+  if (type === "string") return { value: String(raw).trim() };
+  if (type === "number") {
+    if (typeof raw === "number") return Number.isFinite(raw) ? { value: raw } : { error: t("import.notNumber", { value: raw }) };
+    const n = Number(String(raw).replace(/[,\s]/g, ""));
+    return Number.isFinite(n) ? { value: n, coerced: true } : { error: t("import.notNumber", { value: raw }) };
+  }
+  // type === "year": accepts 2024, "FY2024", "FY24"
+  const m = String(raw).trim().match(/^(?:FY\s*)?(\d{2}|\d{4})$/i);
+  const y = m ? (m[1].length === 2 ? 2000 + Number(m[1]) : Number(m[1])) : NaN;
+  if (!(y >= 1900 && y <= 2100)) return { error: t("import.notYear", { value: raw }) };
+  return raw === y ? { value: y } : { value: y, coerced: true };
+};
+
+// Apply a column mapping to parsed rows. Rows with any error are rejected;
+// unmapped extra columns are passed through untouched. Columns whose value
+// was converted are listed in the row's _coerced array.
+const applySchemaMapping = (rows, mapping, schema, parseErrors = []) => {
+  const mappedFields = new Set(Object.values(mapping).filter(Boolean));
+  const errors = parseErrors.map(e => ({ line: (e.row ?? 0) + 2, column: "", message: e.message }));
+  const badRows = new Set(parseErrors.map(e => e.row));
+  const valid = [];
+  (rows || []).forEach((raw, i) => {
+    const out = {};
+    Object.keys(raw).forEach(f => { if (!mappedFields.has(f)) out[f] = raw[f]; });
+    let ok = !badRows.has(i);
+    const coerced = [];
+    schema.columns.forEach(col => {
+      const src = mapping[col.key];
+      const res = src ? coerceCell(raw[src], col.type) : { value: null };
+      if (res.coerced) coerced.push(col.key);
+      if (res.error) {
+        errors.push({ line: i + 2, column: col.key, message: res.error });
+        ok = false;
+      } else if (res.value === null && col.required) {
+        errors.push({ line: i + 2, column: col.key, message: t("import.requiredMissing") });
+        ok = false;
+      }
+      out[col.key] = res.value ?? null;
+    });
+    if (coerced.length > 0) out._coerced = coerced;
+    if (ok) valid.push(out);
   });
+  errors.sort((a, b) => a.line - b.line);
+  return { rows: valid, errors, rejected: (rows || []).length - valid.length };
 };
 
 const yearsRangeFromData = (rows, key = "FiscalYear") => {
@@ -98,422 +373,4211 @@ const yearsRangeFromData = (rows, key = "FiscalYear") => {
 
 const numberFmt = (n, digits = 0) => {
   if (n === undefined || n === null || isNaN(n)) return "–";
-  return n.toLocaleString(undefined, { maximumFractionDigits: digits, minimumFractionDigits: digits });
+  return n.toLocaleString(numberLocale(), { maximumFractionDigits: digits, minimumFractionDigits: digits });
 };
 
-// ------------- Main App -------------
-export default function Dashboard() {
-  const [xboxRows, setXboxRows] = useState(SAMPLE_XBOX);
-  const [esgRows, setEsgRows] = useState(SAMPLE_ESG);
-  const [benchRows, setBenchRows] = useState(SAMPLE_BENCHMARK);
+// ------------- Units -------------
+// Xbox energy and CO2e are stored in MWh and metric tons (the base units in
+// units.js) and only scaled for display. quantity() picks the unit for a set
+// of base values: the user's choice for the dimension, or an auto-scaled one.
+const unitLabel = (unit) => t(`unit.${unit}`);
 
-  const [region, setRegion] = useState("ALL");
-  const [yearRange, setYearRange] = useState(yearsRangeFromData(SAMPLE_XBOX));
+const quantity = (dimension, choice, values) => {
+  const unit = resolveUnit(dimension, choice, values);
+  const factor = unitFactor(unit);
+  return {
+    unit,
+    label: unitLabel(unit),
+    scale: (v) => (v === null || v === undefined ? v : v / factor),
+    toBase: (v) => v * factor,
+    fmt: (v, digits) => numberFmt(v === null || v === undefined ? v : v / factor, digits ?? (Math.abs(v / factor) < 100 ? 1 : 0)),
+  };
+};
 
-  const allRegions = useMemo(() => ["ALL", ...Array.from(new Set((xboxRows || []).map(r => r.Region).filter(Boolean)))], [xboxRows]);
-  const [minYear, maxYear] = useMemo(() => yearsRangeFromData(xboxRows), [xboxRows]);
+// Free-text ESG unit in the current locale ("billion L" -> "Mrd. L")
+const localUnit = (text) => {
+  const p = parseUnit(text);
+  return p ? formatUnitLabel(unitLabel(p.unit), p.qualifier) : text;
+};
 
-  // Adjust slider if new data changes bounds
-  React.useEffect(() => {
-    const [minY, maxY] = yearsRangeFromData(xboxRows);
-    setYearRange([minY, maxY]);
-  }, [xboxRows]);
-
-  const filteredXbox = useMemo(() => {
-    return (xboxRows || []).filter(r => {
-      const inYear = r.FiscalYear >= yearRange[0] && r.FiscalYear <= yearRange[1];
-      const inRegion = region === "ALL" ? true : r.Region === region;
-      return inYear && inRegion;
-    });
-  }, [xboxRows, yearRange, region]);
-
-  // Aggregations for KPIs
-  const kpis = useMemo(() => {
-    if (filteredXbox.length === 0) return { totalEnergy: 0, totalCO2: 0, avgPower: 0, titles: 0 };
-    const totalEnergy = filteredXbox.reduce((s, r) => s + (Number(r.TitleEnergy_MWh) || 0), 0);
-    const totalCO2 = filteredXbox.reduce((s, r) => s + (Number(r.TitleCO2e_MetricTon) || 0), 0);
-    const avgPower = filteredXbox.reduce((s, r) => s + (Number(r.AverageACPower_W) || 0), 0) / filteredXbox.length;
-    const titles = new Set(filteredXbox.map(r => r.Title)).size;
-    return { totalEnergy, totalCO2, avgPower, titles };
-  }, [filteredXbox]);
-
-  // Time series for CO2 and Energy
-  const byYear = useMemo(() => {
-    const map = new Map();
-    filteredXbox.forEach(r => {
-      const y = Number(r.FiscalYear);
-      if (!map.has(y)) map.set(y, { Year: y, Energy_MWh: 0, CO2e_t: 0 });
-      const obj = map.get(y);
-      obj.Energy_MWh += Number(r.TitleEnergy_MWh) || 0;
-      obj.CO2e_t += Number(r.TitleCO2e_MetricTon) || 0;
-    });
-    return Array.from(map.values()).sort((a,b) => a.Year - b.Year);
-  }, [filteredXbox]);
+// ESG metrics are held in their dimension's base unit (see normalizeUnits in
+// the Dashboard) -> { unit, scale, toBase } for showing one metric's points
+// in the display unit and reading values typed in it. Metrics without a
+// known unit are shown as uploaded.
+const esgQuantity = (points, choice) => {
+  const text = points.find(p => !isBlank(p.Unit))?.Unit || "";
+  const p = parseUnit(text);
+  if (!p) return { unit: text, dimension: null, scale: (v) => v, toBase: (v) => v };
+  const q = quantity(p.dimension, choice[p.dimension], points.filter(x => parseUnit(x.Unit)?.dimension === p.dimension).map(x => x.Value));
+  return { unit: formatUnitLabel(q.unit, p.qualifier), dimension: p.dimension, scale: q.scale, toBase: q.toBase };
+};
 
-  // Top titles by efficiency proxy: lower CO2e per MWh is better
-  const titleEfficiency = useMemo(() => {
-    const map = new Map();
-    filteredXbox.forEach(r => {
-      const key = r.Title;
-      if (!map.has(key)) map.set(key, { Title: key, Energy_MWh: 0, CO2e_t: 0 });
-      const o = map.get(key);
-      o.Energy_MWh += Number(r.TitleEnergy_MWh) || 0;
-      o.CO2e_t += Number(r.TitleCO2e_MetricTon) || 0;
-    });
-    const rows = Array.from(map.values()).map(o => ({
-      ...o,
-      CO2e_per_MWh: o.Energy_MWh > 0 ? o.CO2e_t / o.Energy_MWh : 0,
-    }));
-    return rows.sort((a,b) => a.CO2e_per_MWh - b.CO2e_per_MWh).slice(0, 10);
-  }, [filteredXbox]);
-
-  // ESG time series by metric
-  const esgSeries = useMemo(() => {
-    const byMetric = {};
-    (esgRows || []).forEach(r => {
-      const key = r.Metric;
-      if (!byMetric[key]) byMetric[key] = [];
-      byMetric[key].push({ Year: Number(r.Year), Value: Number(r.Value), Unit: r.Unit, SDG: r.SDG });
-    });
-    Object.values(byMetric).forEach(arr => arr.sort((a,b) => a.Year - b.Year));
-    return byMetric;
-  }, [esgRows]);
+// Divide a series and its forecast/target companions (<key>__*) for display
+const scaleSeries = (rows, key, q) => rows.map(r => {
+  const out = { ...r };
+  Object.keys(r).forEach(k => {
+    if (k !== key && !k.startsWith(`${key}__`)) return;
+    out[k] = Array.isArray(r[k]) ? r[k].map(q.scale) : q.scale(r[k]);
+  });
+  return out;
+});
 
-  // Benchmark chart data (optional)
-  const benchSeries = useMemo(() => {
-    const map = new Map();
-    (benchRows || []).forEach(r => {
-      const y = Number(r.Year);
-      if (!map.has(y)) map.set(y, { Year: y });
-      const obj = map.get(y);
-      obj[r.Company] = Number(r.EmissionsIntensity);
-    });
-    return Array.from(map.values()).sort((a,b) => a.Year - b.Year);
-  }, [benchRows]);
-
-  const sdgs = [
-    { code: "SDG 6", label: "Clean Water & Sanitation", icon: <Droplets className="w-5 h-5" /> },
-    { code: "SDG 7", label: "Affordable & Clean Energy", icon: <Cloud className="w-5 h-5" /> },
-    { code: "SDG 9", label: "Industry, Innovation & Infrastructure", icon: <Factory className="w-5 h-5" /> },
-    { code: "SDG 12", label: "Responsible Consumption & Production", icon: <Recycle className="w-5 h-5" /> },
-    { code: "SDG 13", label: "Climate Action", icon: <Leaf className="w-5 h-5" /> },
-  ];
+const tickFmt = (v) => numberFmt(v, Math.abs(v) < 10 && v % 1 !== 0 ? 1 : 0);
+
+// ------------- Persistence -------------
+// Datasets and dashboard configuration are saved to IndexedDB (best effort;
+// failures are only logged).
+// Filters and the active tab round-trip through the query string instead so
+// that a link reproduces the same view.
+const IDB_NAME = "ima3-dash";
+const IDB_STORE = "state";
+const DATASETS_KEY = "datasets";
+const CONFIG_KEY = "config";
+const TAB_VALUES = ["ci", "innovation", "sdg", "esg", "grid", "scenarios", "compare", "quality", "about"];
+const CUSTOM_TAB_PREFIX = "custom-"; // ids of user-defined tabs (see Custom layouts)
+
+const openDb = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === "undefined") return resolve(null);
+  const req = indexedDB.open(IDB_NAME, 1);
+  req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const idbRequest = async (mode, fn) => {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_STORE, mode);
+    const req = fn(tx.objectStore(IDB_STORE));
+    tx.oncomplete = () => { db.close(); resolve(req.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+};
+
+const idbGet = (key) => idbRequest("readonly", store => store.get(key));
+const idbSet = (key, value) => idbRequest("readwrite", store => store.put(value, key));
+const idbDelete = (key) => idbRequest("readwrite", store => store.delete(key));
+
+const readUrlState = () => {
+  if (typeof window === "undefined") return {};
+  const q = new URLSearchParams(window.location.search);
+  const from = Number(q.get("from"));
+  const to = Number(q.get("to"));
+  return {
+    regions: q.getAll("region").filter(r => r && r !== "ALL"),
+    titles: q.getAll("title").filter(Boolean),
+    years: q.getAll("year").map(Number).filter(Boolean),
+    yearRange: from && to ? [Math.min(from, to), Math.max(from, to)] : undefined,
+    tab: TAB_VALUES.includes(q.get("tab")) || q.get("tab")?.startsWith(CUSTOM_TAB_PREFIX) ? q.get("tab") : undefined,
+  };
+};
+
+const writeUrlState = ({ regions, titles, years, yearRange, tab }) => {
+  if (typeof window === "undefined") return;
+  const q = new URLSearchParams(window.location.search);
+  const setAll = (key, values) => {
+    q.delete(key);
+    values.forEach(v => q.append(key, String(v)));
+  };
+  setAll("region", regions);
+  setAll("title", titles);
+  setAll("year", years);
+  q.set("from", String(yearRange[0]));
+  q.set("to", String(yearRange[1]));
+  q.set("tab", tab);
+  window.history.replaceState(null, "", `${window.location.pathname}?${q.toString()}${window.location.hash}`);
+};
+
+// ------------- Data sources & merging -------------
+// Rows carry the id of the source (file) they were loaded from in _sourceId.
+// Fields starting with "_" are bookkeeping and never compared or displayed.
+const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const SAMPLE_SOURCES = Object.keys(DATASET_SCHEMAS).map(kind => ({ id: `sample-${kind}`, kind, fileName: "Sample data", loadedAt: null }));
+const sourceFileName = (src) => (src.id.startsWith("sample-") ? t("sources.sample") : src.fileName);
+
+const tagRows = (rows, sourceId) => (rows || []).map(r => ({ ...r, _sourceId: sourceId }));
+
+const dataFields = (row) => Object.keys(row).filter(k => !k.startsWith("_"));
+
+const rowsDiffer = (a, b) => {
+  const fields = new Set([...dataFields(a), ...dataFields(b)]);
+  return Array.from(fields).some(f => (a[f] ?? null) !== (b[f] ?? null));
+};
+
+// Within one file the last row for a key wins.
+const dedupeRows = (rows, keyCols) => {
+  const map = new Map();
+  rows.forEach(r => map.set(rowKey(r, keyCols), r));
+  return Array.from(map.values());
+};
+
+// The version of a key that loses a merge is kept in the winner's _shadowed
+// list (oldest first), so removing the winning source can bring it back.
+const shadowRow = (winner, loser) => {
+  const { _shadowed = [], ...rest } = loser;
+  return { ...winner, _shadowed: [...(winner._shadowed || []), ..._shadowed, rest] };
+};
+
+// Drop a source's rows; where one of them had displaced another version, the
+// latest displaced version from a remaining source takes its place.
+const withoutSource = (rows, sourceId) => rows.flatMap(r => {
+  const { _shadowed = [], ...rest } = r;
+  const kept = _shadowed.filter(x => x._sourceId !== sourceId);
+  if (r._sourceId !== sourceId) return [kept.length ? { ...rest, _shadowed: kept } : rest];
+  if (kept.length === 0) return [];
+  const restored = kept[kept.length - 1];
+  return [kept.length > 1 ? { ...restored, _shadowed: kept.slice(0, -1) } : restored];
+});
 
-  const colors = ["#2563eb", "#16a34a", "#f59e0b", "#ef4444", "#14b8a6", "#a855f7", "#0ea5e9"]; // For pies only; recharts otherwise auto-colors
+// Merge incoming rows into existing ones on keyCols.
+// policy: "newest" (incoming wins), "existing" (existing wins) or "ask"
+// (differing rows are returned as conflicts and left untouched).
+const mergeRows = (existing, incoming, keyCols, policy) => {
+  const rows = [...existing];
+  const index = new Map();
+  rows.forEach((r, i) => index.set(rowKey(r, keyCols), i));
+  const conflicts = [];
+  const stats = { added: 0, replaced: 0, kept: 0, duplicates: 0 };
+  dedupeRows(incoming, keyCols).forEach(r => {
+    const k = rowKey(r, keyCols);
+    if (!index.has(k)) {
+      index.set(k, rows.length);
+      rows.push(r);
+      stats.added++;
+      return;
+    }
+    const i = index.get(k);
+    if (!rowsDiffer(rows[i], r)) { rows[i] = shadowRow(rows[i], r); stats.duplicates++; }
+    else if (policy === "newest") { rows[i] = shadowRow(r, rows[i]); stats.replaced++; }
+    else if (policy === "ask") conflicts.push({ key: k, index: i, existing: rows[i], incoming: r });
+    else { rows[i] = shadowRow(rows[i], r); stats.kept++; }
+  });
+  return { rows, conflicts, stats };
+};
+
+// Lets the user pick, per conflicting key, which version to keep.
+function MergeConflictResolver({ schema, pending, onApply, onCancel }) {
+  const [choice, setChoice] = useState(() => pending.conflicts.map(() => "incoming"));
+  const setAll = (v) => setChoice(pending.conflicts.map(() => v));
 
   return (
-    <div className="min-h-screen w-full bg-neutral-50 text-neutral-900 p-6">
-      <div className="max-w-7xl mx-auto space-y-6">
-        {/* Header */}
-        <div className="flex items-center justify-between">
-          <div>
-            <h1 className="text-3xl font-bold tracking-tight">Microsoft: CI + Generative AI for Sustainable Innovation</h1>
-            <p className="text-sm text-neutral-600 mt-1">Interactive dashboard aligning operational metrics with SDGs and competitive intelligence.</p>
+    <div className="rounded-2xl border bg-white p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="font-semibold">{t("merge.title", { file: pending.source.fileName })}</div>
+          <div className="text-xs text-neutral-600">
+            {t("merge.summary", { n: pending.conflicts.length, count: numberFmt(pending.conflicts.length), key: schema.naturalKey.join(" + ") })}
           </div>
-          <div className="flex gap-2">
-            <Button variant="secondary" className="rounded-2xl"><Sparkles className="w-4 h-4 mr-2"/>AI Insights (demo)</Button>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" className="rounded-2xl" onClick={() => setAll("existing")}>{t("merge.keepAllExisting")}</Button>
+          <Button variant="outline" size="sm" className="rounded-2xl" onClick={() => setAll("incoming")}>{t("merge.useAllIncoming")}</Button>
+          <Button variant="outline" size="sm" className="rounded-2xl" onClick={onCancel}>{t("action.cancel")}</Button>
+          <Button size="sm" className="rounded-2xl" onClick={() => onApply(choice)}><Check className="w-4 h-4 mr-2"/>{t("action.apply")}</Button>
+        </div>
+      </div>
+      <div className="max-h-72 overflow-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-neutral-500"><th className="py-1">{t("merge.key")}</th><th>{t("merge.changed")}</th><th>{t("merge.keep")}</th></tr>
+          </thead>
+          <tbody>
+            {pending.conflicts.map((c, i) => {
+              const changed = Array.from(new Set([...dataFields(c.existing), ...dataFields(c.incoming)]))
+                .filter(f => (c.existing[f] ?? null) !== (c.incoming[f] ?? null));
+              return (
+                <tr key={c.key} className="border-t align-top">
+                  <td className="py-1 pr-3 font-medium">{schema.naturalKey.map(k => c.incoming[k]).join(" · ")}</td>
+                  <td className="pr-3">
+                    {changed.map(f => (<div key={f}>{f}: {String(c.existing[f] ?? "–")} → {String(c.incoming[f] ?? "–")}</div>))}
+                  </td>
+                  <td>
+                    <select
+                      className="border rounded-md px-2 py-1 bg-white"
+                      value={choice[i]}
+                      onChange={(e) => setChoice(ch => ch.map((v, j) => (j === i ? e.target.value : v)))}
+                    >
+                      <option value="incoming">{t("merge.incoming")}</option>
+                      <option value="existing">{t("merge.existing")}</option>
+                    </select>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ------------- Import wizard -------------
+// Preview step shown after a file is picked: column mapping, row-level
+// errors and a sample of the cleaned rows. Nothing is loaded until Accept.
+function CsvImportWizard({ schema, pending, onAccept, onCancel }) {
+  const [mapping, setMapping] = useState(() => autoMapColumns(pending.fields, schema));
+  const autoMapping = useMemo(() => autoMapColumns(pending.fields, schema), [pending, schema]);
+  const result = useMemo(
+    () => applySchemaMapping(pending.rows, mapping, schema, pending.parseErrors),
+    [pending, mapping, schema]
+  );
+  const missingRequired = schema.columns.filter(c => c.required && !mapping[c.key]);
+  const preview = result.rows.slice(0, 5);
+
+  const statusOf = (col) => {
+    if (!mapping[col.key]) return col.required ? <span className="text-red-600">{t("import.missingRequired")}</span> : <span className="text-neutral-500">{t("import.notMapped")}</span>;
+    if (mapping[col.key] === autoMapping[col.key]) return <span className="text-green-700">{t("import.autoMapped")}</span>;
+    return <span className="text-blue-700">{t("import.mappedByHand")}</span>;
+  };
+
+  return (
+    <div className="rounded-2xl border bg-white p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="font-semibold">{t("import.title", { file: pending.fileName })}</div>
+          <div className="text-xs text-neutral-600">
+            {t("import.summary", { dataset: schema.label, rows: numberFmt(pending.rows.length), valid: numberFmt(result.rows.length), issues: numberFmt(result.errors.length) })}
           </div>
         </div>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" className="rounded-2xl" onClick={onCancel}>{t("action.cancel")}</Button>
+          <Button size="sm" className="rounded-2xl" disabled={missingRequired.length > 0 || result.rows.length === 0} onClick={() => onAccept(result.rows)}>
+            <Check className="w-4 h-4 mr-2"/>{t("import.accept", { n: result.rows.length, count: numberFmt(result.rows.length) })}
+          </Button>
+        </div>
+      </div>
 
-        {/* Uploaders & Filters */}
-        <Card className="rounded-2xl shadow-sm">
-          <CardHeader>
-            <CardTitle className="text-lg">Data Inputs</CardTitle>
-          </CardHeader>
-          <CardContent className="space-y-4">
-            <div className="grid md:grid-cols-3 gap-4">
-              <div className="space-y-2">
-                <div className="text-sm font-medium">Xbox Sustainability CSV</div>
-                <Input type="file" accept=".csv" onChange={(e) => {
-                  const f = e.target.files?.[0];
-                  if (!f) return;
-                  parseCsv(f, setXboxRows);
-                }}/>
-                <div className="text-xs text-neutral-500">Columns: Title, FiscalYear, Region, AverageACPower_W, TitleEnergy_MWh, TitleCO2e_MetricTon</div>
-              </div>
-              <div className="space-y-2">
-                <div className="text-sm font-medium">ESG Metrics CSV</div>
-                <Input type="file" accept=".csv" onChange={(e) => {
-                  const f = e.target.files?.[0];
-                  if (!f) return;
-                  parseCsv(f, setEsgRows);
-                }}/>
-                <div className="text-xs text-neutral-500">Columns: Metric,Year,Value,Unit,SDG</div>
-              </div>
-              <div className="space-y-2">
-                <div className="text-sm font-medium">(Optional) Benchmark CSV</div>
-                <Input type="file" accept=".csv" onChange={(e) => {
-                  const f = e.target.files?.[0];
-                  if (!f) return;
-                  parseCsv(f, setBenchRows);
-                }}/>
-                <div className="text-xs text-neutral-500">Columns: Company,Year,EmissionsIntensity</div>
-              </div>
-            </div>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-neutral-500">
+            <th className="py-1">{t("import.expected")}</th><th>{t("import.type")}</th><th>{t("import.source")}</th><th>{t("import.status")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {schema.columns.map(col => (
+            <tr key={col.key} className="border-t">
+              <td className="py-1 font-medium">{col.key}{col.required ? " *" : ""}</td>
+              <td className="text-neutral-600">{col.type}</td>
+              <td>
+                <select
+                  className="border rounded-md px-2 py-1 text-sm bg-white"
+                  value={mapping[col.key]}
+                  onChange={(e) => setMapping(m => ({ ...m, [col.key]: e.target.value }))}
+                >
+                  <option value="">{t("import.none")}</option>
+                  {pending.fields.map(f => (<option key={f} value={f}>{f}</option>))}
+                </select>
+              </td>
+              <td className="text-xs">{statusOf(col)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
 
-            <div className="grid md:grid-cols-3 gap-4 pt-2">
-              <div className="space-y-1">
-                <div className="text-sm font-medium">Region</div>
-                <div className="flex flex-wrap gap-2">
-                  {allRegions.map(r => (
-                    <Button key={r} variant={region===r?"default":"outline"} size="sm" className="rounded-full" onClick={()=>setRegion(r)}>{r}</Button>
-                  ))}
-                </div>
-              </div>
-              <div className="space-y-1 md:col-span-2">
-                <div className="text-sm font-medium">Fiscal Year Range</div>
-                <div className="px-2">
-                  <Slider min={minYear} max={maxYear} step={1} value={yearRange} onValueChange={setYearRange} />
-                  <div className="flex justify-between text-xs text-neutral-600 mt-1">
-                    <span>{yearRange[0]}</span>
-                    <span>{yearRange[1]}</span>
-                  </div>
+      {result.errors.length > 0 && (
+        <div className="space-y-1">
+          <div className="flex items-center gap-2 text-sm font-medium text-amber-700">
+            <AlertTriangle className="w-4 h-4"/>{t("import.skipped", { n: result.rejected, count: numberFmt(result.rejected) })}
+          </div>
+          <ul className="max-h-40 overflow-auto text-xs text-neutral-700 space-y-0.5">
+            {result.errors.slice(0, 50).map((e, i) => (
+              <li key={i}>{t("import.line", { line: e.line })}{e.column ? ` · ${e.column}` : ""}: {e.message}</li>
+            ))}
+            {result.errors.length > 50 && <li className="text-neutral-500">{t("import.more", { count: numberFmt(result.errors.length - 50) })}</li>}
+          </ul>
+        </div>
+      )}
+
+      {preview.length > 0 && (
+        <div className="overflow-auto">
+          <div className="text-xs text-neutral-500 mb-1">{t("import.preview", { count: preview.length })}</div>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-neutral-500">{schema.columns.map(c => (<th key={c.key} className="pr-3">{c.key}</th>))}</tr>
+            </thead>
+            <tbody>
+              {preview.map((r, i) => (
+                <tr key={i} className="border-t">{schema.columns.map(c => (<td key={c.key} className="pr-3 py-0.5">{r[c.key] ?? "–"}</td>))}</tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ------------- Insights -------------
+// The insights panel works from a structured summary of the current view:
+// a flat list of facts ({ id, label, value, unit }) plus the ordering info
+// needed to read them. Providers turn the summary into
+// [{ title, text, factIds }] so every insight can show its figures.
+const factText = (f) => `${f.label}: ${numberFmt(f.value, Math.abs(f.value) < 100 ? 2 : 0)}${f.unit ? ` ${f.unit}` : ""}`;
+
+// locale is passed along so rule-based text follows the language and a
+// provider can be asked to answer in it. esgSeries holds display-unit values.
+const buildInsightSummary = ({ locale, region, yearRange, rowCount, byYear, titleEfficiency, benchSeries, benchMetric, benchFocus, esgSeries }) => {
+  const facts = [];
+  const add = (id, label, value, unit) => { if (Number.isFinite(value)) facts.push({ id, label, value, unit }); };
+  byYear.forEach(r => {
+    add(`co2.${r.Year}`, `${t("measure.co2")} ${t("fy", { year: r.Year })}`, r.CO2e_t, "t");
+    add(`energy.${r.Year}`, `${t("measure.energy")} ${t("fy", { year: r.Year })}`, r.Energy_MWh, "MWh");
+  });
+  titleEfficiency.forEach(r => add(`eff.${r.Title}`, `${r.Title} CO₂e/MWh`, r.CO2e_per_MWh, "t/MWh"));
+  benchSeries.forEach(r => Object.keys(r).filter(k => k !== "Year").forEach(c => add(`bench.${c}.${r.Year}`, `${c} ${humanize(benchMetric)} ${r.Year}`, r[c], "")));
+  Object.entries(esgSeries).forEach(([m, arr]) => arr.forEach(p => add(`esg.${m}.${p.Year}`, `${m} ${p.Year}`, p.Value, localUnit(p.Unit || ""))));
+  return {
+    view: { locale, region, from: yearRange[0], to: yearRange[1], rows: rowCount },
+    years: byYear.map(r => r.Year),
+    titlesByEfficiency: titleEfficiency.map(r => r.Title),
+    benchYears: benchSeries.map(r => r.Year),
+    benchMetric,
+    benchFocus,
+    esgMetrics: Object.keys(esgSeries),
+    facts,
+  };
+};
+
+const ruleBasedInsights = (summary) => {
+  const byId = new Map(summary.facts.map(f => [f.id, f.value]));
+  const val = (id) => byId.get(id);
+  const has = (...ids) => ids.every(id => byId.has(id));
+  // A change from zero has no percentage; its direction is still worth saying
+  const change = (from, to) => {
+    const p = pctChange(from, to);
+    if (p === null) return t(to === from ? "insight.flat" : to < from ? "insight.fellFromZero" : "insight.roseFromZero");
+    return Math.abs(p) < 0.05 ? t("insight.flat") : t(p < 0 ? "insight.fell" : "insight.rose", { pct: numberFmt(Math.abs(p), 1) });
+  };
+  const out = [];
+
+  const ys = summary.years;
+  if (ys.length >= 2) {
+    const [y0, y1] = ys.slice(-2);
+    const ids = [`co2.${y0}`, `co2.${y1}`, `energy.${y0}`, `energy.${y1}`];
+    if (has(...ids)) {
+      const co2 = pctChange(val(ids[0]), val(ids[1]));
+      const en = pctChange(val(ids[2]), val(ids[3]));
+      let text = t("insight.yoy", { co2: change(val(ids[0]), val(ids[1])), from: y0, to: y1, energy: change(val(ids[2]), val(ids[3])) });
+      if (co2 !== null && en !== null && co2 < en) text += ` ${t("insight.intensityImproved")}`;
+      else if (co2 !== null && en !== null && co2 > en) text += ` ${t("insight.intensityWorsened")}`;
+      out.push({ title: t("insight.yoyTitle"), text, factIds: ids });
+    }
+  }
+  if (ys.length >= 3 && has(`co2.${ys[0]}`, `co2.${ys[ys.length - 1]}`)) {
+    const ids = [`co2.${ys[0]}`, `co2.${ys[ys.length - 1]}`];
+    out.push({ title: t("insight.trendTitle"), text: t("insight.trend", { from: ys[0], to: ys[ys.length - 1], change: change(val(ids[0]), val(ids[1])) }), factIds: ids });
+  }
+
+  const titles = summary.titlesByEfficiency;
+  if (titles.length >= 2) {
+    const best = titles[0];
+    const worst = titles[titles.length - 1];
+    const ids = [`eff.${best}`, `eff.${worst}`];
+    const ratio = val(ids[0]) > 0 ? val(ids[1]) / val(ids[0]) : null;
+    out.push({
+      title: t("insight.efficiencyTitle"),
+      text: t(ratio ? "insight.efficiencyRatio" : "insight.efficiency", { best, worst, ratio: numberFmt(ratio, 2) }),
+      factIds: ids,
+    });
+  }
+
+  const focus = summary.benchFocus;
+  const peerPair = (y) => [`bench.${focus}.${y}`, `bench.${PEER_AVG}.${y}`];
+  const benchYear = [...summary.benchYears].reverse().find(y => has(...peerPair(y)));
+  if (focus && benchYear !== undefined) {
+    const ids = peerPair(benchYear);
+    const gap = pctChange(val(ids[1]), val(ids[0]));
+    let text = t(gap < 0 ? "insight.peersBelow" : "insight.peersAbove", { year: benchYear, company: focus, metric: humanize(summary.benchMetric), pct: numberFmt(Math.abs(gap), 1) });
+    const firstYear = summary.benchYears.find(y => has(...peerPair(y)));
+    if (firstYear !== benchYear) {
+      const firstIds = peerPair(firstYear);
+      const before = val(firstIds[1]) - val(firstIds[0]);
+      const after = val(ids[1]) - val(ids[0]);
+      text += ` ${t(Math.abs(after) >= Math.abs(before) ? "insight.gapWidened" : "insight.gapNarrowed", { year: firstYear })}`;
+      ids.unshift(...firstIds);
+    }
+    out.push({ title: t("insight.peersTitle"), text, factIds: ids });
+  }
+
+  summary.esgMetrics.forEach(m => {
+    const years = summary.facts.filter(f => f.id.startsWith(`esg.${m}.`)).map(f => Number(f.id.slice(m.length + 5)));
+    if (years.length < 2) return;
+    const ids = [`esg.${m}.${years[0]}`, `esg.${m}.${years[years.length - 1]}`];
+    out.push({ title: t("insight.esgTitle", { metric: m }), text: t("insight.esg", { metric: m, change: change(val(ids[0]), val(ids[1])), from: years[0], to: years[years.length - 1] }), factIds: ids });
+  });
+
+  if (out.length === 0) out.push({ title: t("insight.noneTitle"), text: t("insight.none"), factIds: [] });
+  return out;
+};
+
+const INSIGHT_SYSTEM_PROMPT = [
+  "You are a sustainability analyst. You receive a JSON summary of a dashboard view.",
+  "Write 3-6 short, factual insights in plain language using only the figures in `facts`.",
+  'Reply with JSON: {"insights":[{"title":string,"text":string,"factIds":[fact id, ...]}]}.',
+  "Every insight must list the ids of the facts it was computed from.",
+  "Write in the language of `view.locale`.",
+].join(" ");
+
+// Providers: { id, label, auto, generate(summary, config) => Promise<insights> }.
+// "auto" providers re-run whenever the view changes and are called without
+// config; others run on demand with the endpoint settings.
+const INSIGHT_PROVIDERS = [
+  {
+    id: "rules",
+    label: "Built-in (rule-based, offline)",
+    auto: true,
+    generate: async (summary) => ruleBasedInsights(summary),
+  },
+  {
+    id: "openai",
+    label: "OpenAI-compatible endpoint",
+    auto: false,
+    generate: async (summary, config) => {
+      const res = await fetch(`${config.baseUrl.replace(/\/+$/, "")}/chat/completions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}) },
+        body: JSON.stringify({
+          model: config.model,
+          temperature: 0.2,
+          response_format: { type: "json_object" },
+          messages: [
+            { role: "system", content: INSIGHT_SYSTEM_PROMPT },
+            { role: "user", content: JSON.stringify(summary) },
+          ],
+        }),
+      });
+      if (!res.ok) throw new Error(t("insights.httpError", { status: res.status }));
+      const body = await res.json();
+      const parsed = JSON.parse(body.choices?.[0]?.message?.content || "{}");
+      const known = new Set(summary.facts.map(f => f.id));
+      return (parsed.insights || []).map(i => ({
+        title: String(i.title || t("insight.untitled")),
+        text: String(i.text || ""),
+        factIds: Array.isArray(i.factIds) ? i.factIds.filter(id => known.has(id)) : [],
+      }));
+    },
+  },
+];
+
+function InsightsPanel({ summary, onClose }) {
+  const [providerId, setProviderId] = useState("rules");
+  const [config, setConfig] = useState({ baseUrl: "http://localhost:8080/v1", model: "gpt-4o-mini", apiKey: "" });
+  const [insights, setInsights] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const provider = INSIGHT_PROVIDERS.find(p => p.id === providerId);
+  const factsById = useMemo(() => new Map(summary.facts.map(f => [f.id, f])), [summary]);
+
+  // Only the latest request may update the panel; a slow earlier answer (or
+  // one for a view that has since changed) is dropped
+  const requestId = React.useRef(0);
+  const generate = React.useCallback(async (cfg) => {
+    const id = ++requestId.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await provider.generate(summary, cfg);
+      if (id === requestId.current) setInsights(result);
+    } catch (err) {
+      if (id === requestId.current) setError(err.message || String(err));
+    } finally {
+      if (id === requestId.current) setLoading(false);
+    }
+  }, [provider, summary]);
+
+  // Auto providers follow the view; on-demand results are cleared when it changes
+  React.useEffect(() => {
+    if (provider.auto) {
+      generate();
+      return;
+    }
+    requestId.current += 1;
+    setInsights([]);
+    setLoading(false);
+    setError(null);
+  }, [provider, generate]);
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="text-lg flex items-center gap-2"><Sparkles className="w-5 h-5"/>{t("app.insights")}</CardTitle>
+        <Button variant="ghost" size="sm" onClick={onClose}>{t("action.close")}</Button>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-end gap-3 text-sm">
+          <label className="space-y-1">
+            <div className="text-xs text-neutral-600">{t("insights.provider")}</div>
+            <select className="border rounded-md px-2 py-1 bg-white" value={providerId} onChange={(e) => setProviderId(e.target.value)}>
+              {INSIGHT_PROVIDERS.map(p => (<option key={p.id} value={p.id}>{tLabel("insights.provider", p)}</option>))}
+            </select>
+          </label>
+          {providerId === "openai" && (
+            <>
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("insights.baseUrl")}</div>
+                <Input value={config.baseUrl} onChange={(e) => setConfig(c => ({ ...c, baseUrl: e.target.value }))} />
+              </label>
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("insights.model")}</div>
+                <Input value={config.model} onChange={(e) => setConfig(c => ({ ...c, model: e.target.value }))} />
+              </label>
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("insights.apiKey")}</div>
+                <Input type="password" value={config.apiKey} onChange={(e) => setConfig(c => ({ ...c, apiKey: e.target.value }))} />
+              </label>
+              <Button size="sm" className="rounded-2xl" disabled={loading} onClick={() => generate(config)}>{t(loading ? "insights.generating" : "insights.generate")}</Button>
+            </>
+          )}
+        </div>
+        <div className="text-xs text-neutral-500">
+          {t("insights.scope", { region: summary.view.region === "ALL" ? t("compare.allRegions") : summary.view.region, from: summary.view.from, to: summary.view.to, rows: numberFmt(summary.view.rows) })}
+        </div>
+        {error && <div className="flex items-center gap-2 text-sm text-red-600"><AlertTriangle className="w-4 h-4"/>{error}</div>}
+        <div className="grid md:grid-cols-2 gap-4">
+          {insights.map((ins, i) => (
+            <div key={i} className="rounded-xl border p-3 space-y-2">
+              <div className="font-medium">{ins.title}</div>
+              <div className="text-sm text-neutral-700">{ins.text}</div>
+              {ins.factIds.length > 0 && (
+                <div className="text-xs text-neutral-500">
+                  {t("insights.computedFrom")} {ins.factIds.map(id => factsById.get(id)).filter(Boolean).map(factText).join(" · ")}
                 </div>
-              </div>
+              )}
             </div>
-          </CardContent>
-        </Card>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
 
-        {/* KPI Cards */}
-        <div className="grid md:grid-cols-4 gap-4">
-          <Card className="rounded-2xl shadow-sm">
-            <CardHeader className="pb-2"><CardTitle className="text-sm text-neutral-600">Total Energy (MWh)</CardTitle></CardHeader>
-            <CardContent className="flex items-end justify-between"><div className="text-3xl font-semibold">{numberFmt(kpis.totalEnergy)}</div><Gauge className="w-5 h-5"/></CardContent>
-          </Card>
-          <Card className="rounded-2xl shadow-sm">
-            <CardHeader className="pb-2"><CardTitle className="text-sm text-neutral-600">Total CO₂e (t)</CardTitle></CardHeader>
-            <CardContent className="flex items-end justify-between"><div className="text-3xl font-semibold">{numberFmt(kpis.totalCO2)}</div><Cloud className="w-5 h-5"/></CardContent>
-          </Card>
-          <Card className="rounded-2xl shadow-sm">
-            <CardHeader className="pb-2"><CardTitle className="text-sm text-neutral-600">Avg Power (W)</CardTitle></CardHeader>
-            <CardContent className="flex items-end justify-between"><div className="text-3xl font-semibold">{numberFmt(kpis.avgPower,1)}</div><LineIcon className="w-5 h-5"/></CardContent>
-          </Card>
-          <Card className="rounded-2xl shadow-sm">
-            <CardHeader className="pb-2"><CardTitle className="text-sm text-neutral-600">Active Titles</CardTitle></CardHeader>
-            <CardContent className="flex items-end justify-between"><div className="text-3xl font-semibold">{numberFmt(kpis.titles)}</div><Check className="w-5 h-5"/></CardContent>
-          </Card>
+// ------------- Cross-filtering -------------
+// Filter state and the except-one-dimension rule live in filterXbox
+// (aggregation_engine.js).
+const toggleIn = (list, value) => (list.includes(value) ? list.filter(x => x !== value) : [...list, value]);
+
+const DIMMED_OPACITY = 0.3;
+
+const TITLE_DETAIL_METRICS = [
+  { key: "AverageACPower_W", label: "Avg Power (W)" },
+  { key: "TitleEnergy_MWh", label: "Energy (MWh)" },
+  { key: "TitleCO2e_MetricTon", label: "CO₂e (t)" },
+  { key: "CO2e_per_MWh", label: "CO₂e per MWh" },
+];
+
+// One title across the regions and years in view (rows come filtered on
+// everything except the title): a small chart per metric with one line per
+// region.
+function TitleDetail({ title, rows, regionColor, onClose }) {
+  const titleRows = rows
+    .filter(r => r.Title === title)
+    .map(r => {
+      const energy = Number(r.TitleEnergy_MWh) || 0;
+      const co2 = Number(r.TitleCO2e_MetricTon) || 0;
+      return { ...r, CO2e_per_MWh: energy > 0 ? co2 / energy : null };
+    })
+    .sort((a, b) => a.FiscalYear - b.FiscalYear);
+  const regionsOfTitle = Array.from(new Set(titleRows.map(r => r.Region || "–")));
+  const pivot = (key) => {
+    const map = new Map();
+    titleRows.forEach(r => {
+      const y = Number(r.FiscalYear);
+      if (!map.has(y)) map.set(y, { FiscalYear: y });
+      map.get(y)[r.Region || "–"] = Number(r[key]);
+    });
+    return Array.from(map.values());
+  };
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="text-lg">{t("titleDetail.title", { title })}</CardTitle>
+        <Button variant="ghost" size="sm" onClick={onClose}>{t("action.close")}</Button>
+      </CardHeader>
+      <CardContent className="grid md:grid-cols-4 gap-4">
+        {TITLE_DETAIL_METRICS.map(m => (
+          <div key={m.key} className="h-48">
+            <div className="text-xs text-neutral-600 mb-1">{tLabel("titleDetail", m)}</div>
+            <ResponsiveContainer width="100%" height="90%">
+              <LineChart data={pivot(m.key)}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="FiscalYear" />
+                <YAxis width={40} />
+                <Tooltip />
+                {regionsOfTitle.map(reg => (<Line key={reg} type="monotone" dataKey={reg} stroke={regionColor(reg)} connectNulls />))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ))}
+        <div className="md:col-span-4 flex flex-wrap gap-3 text-xs text-neutral-600">
+          {regionsOfTitle.map(reg => (
+            <span key={reg} className="flex items-center gap-1"><span className="inline-block w-3 h-0.5" style={{ background: regionColor(reg) }} />{reg}</span>
+          ))}
         </div>
+      </CardContent>
+    </Card>
+  );
+}
 
-        {/* Tabs */}
-        <Tabs defaultValue="ci" className="w-full">
-          <TabsList className="grid grid-cols-4 md:grid-cols-5 gap-2 rounded-2xl">
-            <TabsTrigger value="ci">Competitive Intelligence</TabsTrigger>
-            <TabsTrigger value="innovation">Sustainable Innovation</TabsTrigger>
-            <TabsTrigger value="sdg">SDG Alignment</TabsTrigger>
-            <TabsTrigger value="esg">ESG Metrics</TabsTrigger>
-            <TabsTrigger value="about">About</TabsTrigger>
-          </TabsList>
+// ------------- Themes -------------
+// Each theme brings its own series palette. Light starts with the Okabe–Ito
+// colors and continues with Paul Tol's muted set, both chosen to stay apart
+// under the common color-vision deficiencies; dark and high contrast use
+// lighter tones of the same order so a category keeps its hue. Categories
+// past the palette get generated hues at the theme's `extraLightness`, and
+// `marker` draws the point reached with the arrow keys (see ChartCard). The page
+// classes pair with THEME_CSS, which restyles the neutral utility classes, the
+// status colors of badges, flagged rows and messages, and Recharts' axis text
+// for the dark backgrounds.
+const THEMES = [
+  {
+    id: "light", label: "Light", className: "bg-neutral-50 text-neutral-900", other: "#9ca3af", extraLightness: 42, marker: "#111827",
+    palette: ["#0072b2", "#e69f00", "#009e73", "#d55e00", "#cc79a7", "#56b4e9", "#332288", "#117733", "#882255", "#999933", "#44aa99", "#aa4499"],
+  },
+  {
+    id: "dark", label: "Dark", className: "dark theme-dark bg-neutral-950 text-neutral-100", other: "#737373", extraLightness: 62, marker: "#f5f5f5",
+    palette: ["#56b4e9", "#e69f00", "#33c29a", "#f07e3e", "#e08bc0", "#f0e442", "#9f8fef", "#6ccb5f", "#e06c8f", "#c8c85a", "#7fd6c8", "#c77cd9"],
+  },
+  {
+    id: "contrast", label: "High contrast", className: "dark theme-dark theme-contrast bg-black text-white", other: "#d4d4d4", extraLightness: 72, marker: "#ffd700",
+    palette: ["#00e5ff", "#ffd700", "#7cff4f", "#ff9f1c", "#ff6ec7", "#ffffff", "#9db7ff", "#b4ff9f", "#ff5c5c", "#e0b0ff", "#66ffd9", "#ffb3e6"],
+  },
+];
 
-          {/* CI Tab */}
-          <TabsContent value="ci" className="mt-4">
-            <div className="grid md:grid-cols-2 gap-6">
-              <Card className="rounded-2xl shadow-sm">
-                <CardHeader><CardTitle>Emissions Intensity Benchmark (optional)</CardTitle></CardHeader>
-                <CardContent className="h-72">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={benchSeries}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="Year" />
-                      <YAxis />
-                      <Tooltip />
-                      <Legend />
-                      <Line type="monotone" dataKey="Microsoft" />
-                      <Line type="monotone" dataKey="Peer Avg" />
-                    </LineChart>
-                  </ResponsiveContainer>
-                </CardContent>
-              </Card>
+const THEME_CSS = `
+.theme-dark .bg-white, .theme-dark .bg-neutral-50 { background-color: #171717; }
+.theme-dark .bg-neutral-100, .theme-dark .hover\\:bg-neutral-100:hover, .theme-dark .bg-neutral-200 { background-color: #262626; }
+.theme-dark .text-neutral-400, .theme-dark .text-neutral-500, .theme-dark .text-neutral-600, .theme-dark .text-neutral-700 { color: #d4d4d4; }
+.theme-dark .border, .theme-dark .border-t { border-color: #404040; }
+.theme-dark select, .theme-dark input { background-color: #171717; color: inherit; }
+.theme-dark .recharts-text, .theme-dark .recharts-legend-item-text { fill: #e5e5e5; color: #e5e5e5; }
+.theme-dark .recharts-cartesian-grid line { stroke: #404040; }
+.theme-dark .recharts-default-tooltip { background-color: #171717 !important; border-color: #525252 !important; }
+.theme-dark .bg-green-100 { background-color: #14532d; }
+.theme-dark .bg-red-100 { background-color: #7f1d1d; }
+.theme-dark .bg-amber-100 { background-color: #78350f; }
+.theme-dark .bg-amber-50 { background-color: #422006; }
+.theme-dark .bg-blue-100 { background-color: #1e3a8a; }
+.theme-dark .hover\\:bg-blue-200:hover { background-color: #1e40af; }
+.theme-dark .bg-blue-50 { background-color: #172554; }
+.theme-dark .border-blue-200 { border-color: #1d4ed8; }
+.theme-dark .text-green-600, .theme-dark .text-green-700, .theme-dark .text-green-800 { color: #86efac; }
+.theme-dark .text-red-600, .theme-dark .text-red-700, .theme-dark .text-red-800 { color: #fca5a5; }
+.theme-dark .text-amber-700, .theme-dark .text-amber-800 { color: #fcd34d; }
+.theme-dark .text-blue-700, .theme-dark .text-blue-900 { color: #bfdbfe; }
+.theme-contrast .bg-white, .theme-contrast .bg-neutral-50 { background-color: #000000; }
+.theme-contrast .text-neutral-400, .theme-contrast .text-neutral-500, .theme-contrast .text-neutral-600, .theme-contrast .text-neutral-700 { color: #ffffff; }
+.theme-contrast .border, .theme-contrast .border-t { border-color: #ffffff; }
+.theme-contrast .recharts-text, .theme-contrast .recharts-legend-item-text { fill: #ffffff; color: #ffffff; }
+.theme-contrast .recharts-cartesian-grid line { stroke: #a3a3a3; }
+.theme-contrast .bg-green-100, .theme-contrast .bg-red-100, .theme-contrast .bg-amber-100, .theme-contrast .bg-blue-100 { background-color: #000000; box-shadow: inset 0 0 0 1px currentColor; }
+.theme-contrast .bg-amber-50, .theme-contrast .bg-blue-50, .theme-contrast .hover\\:bg-blue-200:hover { background-color: #262626; }
+.theme-contrast .border-blue-200 { border-color: #ffd700; }
+.theme-contrast .text-green-600, .theme-contrast .text-green-700, .theme-contrast .text-green-800 { color: #7cff4f; }
+.theme-contrast .text-red-600, .theme-contrast .text-red-700, .theme-contrast .text-red-800 { color: #ff8080; }
+.theme-contrast .text-amber-700, .theme-contrast .text-amber-800 { color: #ffd700; }
+.theme-contrast .text-blue-700, .theme-contrast .text-blue-900 { color: #9db7ff; }
+.theme-contrast :focus-visible { outline: 3px solid #ffd700; outline-offset: 2px; }
+`;
 
-              <Card className="rounded-2xl shadow-sm">
-                <CardHeader><CardTitle>CO₂e vs Energy (Yearly)</CardTitle></CardHeader>
-                <CardContent className="h-72">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <AreaChart data={byYear}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="Year" />
-                      <YAxis />
-                      <Tooltip />
-                      <Legend />
-                      <Area type="monotone" dataKey="CO2e_t" name="CO₂e (t)" />
-                      <Area type="monotone" dataKey="Energy_MWh" name="Energy (MWh)" />
-                    </AreaChart>
-                  </ResponsiveContainer>
-                </CardContent>
-              </Card>
-            </div>
-          </TabsContent>
+// The dashboard passes the theme in use to the color helpers below and to
+// the components that draw their own series
+const themeById = (id) => THEMES.find(x => x.id === id) || THEMES[0];
+// Outline for the bar or slice reached with the arrow keys
+const markStroke = (theme, marked) => (marked ? { stroke: theme.marker, strokeWidth: 3 } : {});
+const PALETTE_SIZE = THEMES[0].palette.length;
 
-          {/* Innovation Tab */}
-          <TabsContent value="innovation" className="mt-4">
-            <div className="grid md:grid-cols-2 gap-6">
-              <Card className="rounded-2xl shadow-sm">
-                <CardHeader><CardTitle>Top 10 Titles by Efficiency (lowest CO₂e per MWh)</CardTitle></CardHeader>
-                <CardContent className="h-80">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart data={titleEfficiency} layout="vertical" margin={{ left: 80 }}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis type="number" />
-                      <YAxis dataKey="Title" type="category" width={120} />
-                      <Tooltip />
-                      <Bar dataKey="CO2e_per_MWh" name="CO₂e / MWh" />
-                    </BarChart>
-                  </ResponsiveContainer>
-                </CardContent>
-              </Card>
+// ------------- Composition -------------
+const COMPOSITION_DIMENSIONS = [
+  { id: "Title", label: "Title", except: "title" },
+  { id: "Region", label: "Region", except: "region" },
+  { id: "FiscalYear", label: "Fiscal year", except: "year" },
+];
 
-              <Card className="rounded-2xl shadow-sm">
-                <CardHeader><CardTitle>Energy & CO₂e Composition</CardTitle></CardHeader>
-                <CardContent className="h-80 grid md:grid-cols-2 gap-4">
-                  <div className="h-72">
-                    <ResponsiveContainer width="100%" height="100%">
-                      <PieChart>
-                        <Pie dataKey="TitleEnergy_MWh" nameKey="Title" data={filteredXbox} outerRadius={90}>
-                          {filteredXbox.map((_, i) => (<Cell key={i} fill={colors[i % colors.length]} />))}
-                        </Pie>
-                        <Tooltip />
-                      </PieChart>
-                    </ResponsiveContainer>
-                    <div className="text-center text-xs text-neutral-600 mt-1">Energy by Title</div>
-                  </div>
-                  <div className="h-72">
-                    <ResponsiveContainer width="100%" height="100%">
-                      <PieChart>
-                        <Pie dataKey="TitleCO2e_MetricTon" nameKey="Title" data={filteredXbox} outerRadius={90}>
-                          {filteredXbox.map((_, i) => (<Cell key={i} fill={colors[i % colors.length]} />))}
-                        </Pie>
-                        <Tooltip />
-                      </PieChart>
-                    </ResponsiveContainer>
-                    <div className="text-center text-xs text-neutral-600 mt-1">CO₂e by Title</div>
-                  </div>
-                </CardContent>
-              </Card>
-            </div>
-          </TabsContent>
+const COMPOSITION_VIEWS = [
+  { id: "pie", label: "Pie" },
+  { id: "treemap", label: "Treemap" },
+  { id: "stacked", label: "Stacked bar" },
+];
 
-          {/* SDG Tab */}
-          <TabsContent value="sdg" className="mt-4">
-            <div className="grid md:grid-cols-5 gap-4">
-              {sdgs.map((s, idx) => (
-                <Card key={s.code} className="rounded-2xl shadow-sm hover:shadow transition p-4 flex flex-col items-start gap-2">
-                  <div className="flex items-center gap-2"><div>{s.icon}</div><div className="font-semibold">{s.code}</div></div>
-                  <div className="text-sm text-neutral-600">{s.label}</div>
-                  <div className="mt-auto text-xs text-neutral-500">Click ESG tab for time series</div>
-                </Card>
-              ))}
-            </div>
-            <div className="grid md:grid-cols-2 gap-6 mt-6">
-              {/* Link SDG 7 to Renewable Energy */}
-              <Card className="rounded-2xl shadow-sm">
-                <CardHeader><CardTitle>SDG 7 • Renewable Energy Share (%)</CardTitle></CardHeader>
-                <CardContent className="h-72">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={(esgSeries["RenewableEnergyShare"]||[])}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="Year" />
-                      <YAxis />
-                      <Tooltip />
-                      <Line type="monotone" dataKey="Value" name="Renewables %" />
-                    </LineChart>
-                  </ResponsiveContainer>
-                </CardContent>
-              </Card>
+// Past the palette, hues step round the color wheel by the golden angle so
+// no two categories share a color however many a file holds
+const GOLDEN_ANGLE = 137.508;
+const extraCategoryColor = (theme, i) => `hsl(${Math.round((i * GOLDEN_ANGLE + 20) % 360)}, 65%, ${theme.extraLightness}%)`;
 
-              <Card className="rounded-2xl shadow-sm">
-                <CardHeader><CardTitle>SDG 6 • Water Replenished (billion L)</CardTitle></CardHeader>
-                <CardContent className="h-72">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={(esgSeries["WaterReplenished"]||[])}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="Year" />
-                      <YAxis />
-                      <Tooltip />
-                      <Line type="monotone" dataKey="Value" name="Water (bn L)" />
-                    </LineChart>
-                  </ResponsiveContainer>
-                </CardContent>
-              </Card>
+// Category -> color per dimension, assigned over the full (unfiltered)
+// dataset in sorted order so a category keeps its color in every chart and
+// under every filter.
+const buildCategoryColors = (rows, dimensions, theme) => {
+  const out = {};
+  dimensions.forEach(dim => {
+    const values = Array.from(new Set((rows || []).map(r => String(r[dim] ?? "–"))))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    out[dim] = new Map(values.map((v, i) => [v, i < PALETTE_SIZE ? theme.palette[i] : extraCategoryColor(theme, i - PALETTE_SIZE)]));
+  });
+  return out;
+};
 
-              <Card className="rounded-2xl shadow-sm">
-                <CardHeader><CardTitle>SDG 12 • Waste Diverted (%)</CardTitle></CardHeader>
-                <CardContent className="h-72">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={(esgSeries["WasteDiverted"]||[])}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="Year" />
-                      <YAxis />
-                      <Tooltip />
-                      <Line type="monotone" dataKey="Value" name="Waste Diverted %" />
-                    </LineChart>
-                  </ResponsiveContainer>
-                </CardContent>
-              </Card>
+const categoryColor = (theme, categoryColors, dim, name) => (
+  name === OTHER_CATEGORY ? theme.other : categoryColors[dim]?.get(String(name)) || theme.palette[0]
+);
 
-              <Card className="rounded-2xl shadow-sm">
-                <CardHeader><CardTitle>SDG 13 • Low-Carbon Power Contracts (GW)</CardTitle></CardHeader>
-                <CardContent className="h-72">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <AreaChart data={(esgSeries["LowCarbonContracts"]||[])}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="Year" />
-                      <YAxis />
-                      <Tooltip />
-                      <Area type="monotone" dataKey="Value" name="GW" />
-                    </AreaChart>
-                  </ResponsiveContainer>
-                </CardContent>
-              </Card>
-            </div>
-          </TabsContent>
+// Treemap tile: Recharts passes layout and the data entry's fields as props.
+// An `outline` color on the entry marks the tile reached with the arrow keys.
+const TreemapTile = ({ x, y, width, height, name, depth, fill, fillOpacity, outline }) => {
+  if (depth !== 1) return null;
+  return (
+    <g>
+      <rect x={x} y={y} width={width} height={height} fill={fill} fillOpacity={fillOpacity} stroke={outline || "#fff"} strokeWidth={outline ? 3 : 1} />
+      {width > 48 && height > 18 && (
+        <text x={x + 4} y={y + 14} fontSize={11} fill="#fff">{String(name).slice(0, Math.floor(width / 7))}</text>
+      )}
+    </g>
+  );
+};
 
-          {/* ESG Tab */}
-          <TabsContent value="esg" className="mt-4">
-            <div className="grid md:grid-cols-2 gap-6">
-              <Card className="rounded-2xl shadow-sm">
-                <CardHeader><CardTitle>CO₂e (t) by Year</CardTitle></CardHeader>
-                <CardContent className="h-72">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={byYear}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="Year" />
-                      <YAxis />
-                      <Tooltip />
-                      <Line type="monotone" dataKey="CO2e_t" name="CO₂e (t)" />
-                    </LineChart>
-                  </ResponsiveContainer>
-                </CardContent>
-              </Card>
+// ------------- Forecasts & targets -------------
+// Series are [{ x: year, y: value }] sorted by year. Forecasts carry a 95%
+// band; targets are drawn as a straight required trajectory from their
+// start point to the goal. Projected rows use "<key>__fc", "<key>__band" and
+// "<key>__target_<id>" so they can sit next to the history in one chart.
+const Z95 = 1.96;
+const FORECAST_METHODS = [
+  { id: "off", label: "Off" },
+  { id: "linear", label: "Linear trend" },
+  { id: "holt", label: "Exponential smoothing (Holt)" },
+];
+const PROJECTION_COLOR = "#3182bd"; // Recharts' default series color
+const TARGET_COLOR = "#ef4444";
+const EMPTY_PROJECTION = { rows: [], statuses: [] };
 
-              <Card className="rounded-2xl shadow-sm">
-                <CardHeader><CardTitle>Energy (MWh) by Year</CardTitle></CardHeader>
-                <CardContent className="h-72">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart data={byYear}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="Year" />
-                      <YAxis />
-                      <Tooltip />
-                      <Bar dataKey="Energy_MWh" name="Energy (MWh)" />
-                    </BarChart>
-                  </ResponsiveContainer>
-                </CardContent>
-              </Card>
+const linearForecast = (points, toYear) => {
+  const n = points.length;
+  if (n < 2) return [];
+  const mx = points.reduce((s, p) => s + p.x, 0) / n;
+  const my = points.reduce((s, p) => s + p.y, 0) / n;
+  const sxx = points.reduce((s, p) => s + (p.x - mx) ** 2, 0);
+  const sxy = points.reduce((s, p) => s + (p.x - mx) * (p.y - my), 0);
+  const slope = sxx ? sxy / sxx : 0;
+  const intercept = my - slope * mx;
+  const sse = points.reduce((s, p) => s + (p.y - (intercept + slope * p.x)) ** 2, 0);
+  const sd = n > 2 ? Math.sqrt(sse / (n - 2)) : 0;
+  const out = [];
+  for (let x = points[n - 1].x + 1; x <= toYear; x++) {
+    const value = intercept + slope * x;
+    const band = Z95 * sd * Math.sqrt(1 + 1 / n + (sxx ? (x - mx) ** 2 / sxx : 0));
+    out.push({ Year: x, value, lower: value - band, upper: value + band });
+  }
+  return out;
+};
+
+// Holt's linear exponential smoothing (level + trend); the band grows with
+// the square root of the horizon from the one-step-ahead error.
+const holtForecast = (points, toYear, alpha = 0.5, beta = 0.3) => {
+  const n = points.length;
+  if (n < 2) return [];
+  let level = points[0].y;
+  let trend = points[1].y - points[0].y;
+  const errors = [];
+  for (let i = 1; i < n; i++) {
+    errors.push(points[i].y - (level + trend));
+    const prevLevel = level;
+    level = alpha * points[i].y + (1 - alpha) * (level + trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+  }
+  const sd = Math.sqrt(errors.reduce((s, e) => s + e * e, 0) / errors.length);
+  const last = points[n - 1].x;
+  const out = [];
+  for (let x = last + 1; x <= toYear; x++) {
+    const h = x - last;
+    const value = level + h * trend;
+    const band = Z95 * sd * Math.sqrt(h);
+    out.push({ Year: x, value, lower: value - band, upper: value + band });
+  }
+  return out;
+};
+
+const runForecast = (points, method, toYear) => (method === "holt" ? holtForecast(points, toYear) : linearForecast(points, toYear));
+
+const toPoints = (rows, key) => (rows || [])
+  .filter(r => Number.isFinite(r[key]))
+  .map(r => ({ x: Number(r.Year), y: r[key] }))
+  .sort((a, b) => a.x - b.x);
+
+// Targets: { id, series, kind: "relative" | "absolute", value, baseYear, targetYear }.
+// Relative targets are a % change vs baseYear; absolute targets start from
+// baseYear if it has data, else from the latest year.
+const targetPath = (target, basePoints) => {
+  const at = (yr) => basePoints.find(p => p.x === yr)?.y;
+  const latest = basePoints[basePoints.length - 1]?.x;
+  const startYear = target.kind === "relative" || at(target.baseYear) !== undefined ? target.baseYear : latest;
+  const startValue = at(startYear);
+  if (startValue === undefined || !(target.targetYear > startYear)) return null;
+  const goal = target.kind === "relative" ? startValue * (1 + target.value / 100) : target.value;
+  const span = target.targetYear - startYear;
+  const path = [];
+  for (let y = startYear; y <= target.targetYear; y++) path.push({ Year: y, value: startValue + ((goal - startValue) * (y - startYear)) / span });
+  return { startYear, startValue, goal, path };
+};
+
+// "on-track" when the forecast (or the actual, once the year has data)
+// reaches the goal in the goal's direction.
+const targetStatus = (target, points, basePoints, method) => {
+  const trajectory = targetPath(target, basePoints);
+  if (!trajectory || points.length === 0) return { state: "no-data" };
+  const last = points[points.length - 1];
+  const projected = target.targetYear <= last.x
+    ? (points.find(p => p.x === target.targetYear) ?? last).y
+    : runForecast(points, method === "off" ? "linear" : method, target.targetYear).at(-1)?.value;
+  if (projected === undefined) return { ...trajectory, state: "no-data" };
+  const reducing = trajectory.goal < trajectory.startValue;
+  const met = reducing ? projected <= trajectory.goal : projected >= trajectory.goal;
+  return { ...trajectory, projected, state: met ? "on-track" : "off-track" };
+};
+
+// History rows plus forecast/target columns for one value key.
+// baseRows (defaults to rows) supplies target start values, so a target
+// "vs 2022" still works when 2022 is filtered out of the view.
+const withProjection = (rows, key, { method, horizon, targets, baseRows }) => {
+  const points = toPoints(rows, key);
+  const basePoints = toPoints(baseRows || rows, key);
+  const byYr = new Map((rows || []).map(r => [Number(r.Year), { ...r }]));
+  const row = (y) => {
+    if (!byYr.has(y)) byYr.set(y, { Year: y });
+    return byYr.get(y);
+  };
+  if (method !== "off" && points.length >= 2) {
+    const last = points[points.length - 1];
+    Object.assign(row(last.x), { [`${key}__fc`]: last.y, [`${key}__band`]: [last.y, last.y] });
+    runForecast(points, method, horizon).forEach(f => {
+      Object.assign(row(f.Year), { [`${key}__fc`]: f.value, [`${key}__band`]: [f.lower, f.upper] });
+    });
+  }
+  const statuses = targets.map(t => ({ target: t, ...targetStatus(t, points, basePoints, method) }));
+  statuses.forEach(s => (s.path || []).forEach(p => { row(p.Year)[`${key}__target_${s.target.id}`] = p.value; }));
+  return { rows: Array.from(byYr.values()).sort((a, b) => a.Year - b.Year), statuses };
+};
+
+const mergeByYear = (...tables) => {
+  const map = new Map();
+  tables.flat().forEach(r => map.set(r.Year, { ...map.get(r.Year), ...r }));
+  return Array.from(map.values()).sort((a, b) => a.Year - b.Year);
+};
+
+const seriesLabel = (series) => (series === "CO2e_t" ? t("measure.co2") : series === "Energy_MWh" ? t("measure.energy") : series.replace(/^esg:/, ""));
+
+// Absolute targets are stored in the series' base unit; q ({ label, scale })
+// shows them in its display unit
+const displayFmt = (v) => numberFmt(v, Math.abs(v) < 100 ? 1 : 0);
+const targetLabel = (target, q) => (target.kind === "relative"
+  ? t("target.relative", { series: seriesLabel(target.series), change: `${target.value < 0 ? "−" : "+"}${numberFmt(Math.abs(target.value))}`, base: target.baseYear, year: target.targetYear })
+  : t("target.absolute", { series: seriesLabel(target.series), value: q ? `${displayFmt(q.scale(target.value))} ${q.label}` : numberFmt(target.value), year: target.targetYear }));
+
+const STATUS_BADGES = {
+  "on-track": { text: "On track", className: "bg-green-100 text-green-800" },
+  "off-track": { text: "Off track", className: "bg-red-100 text-red-800" },
+  "no-data": { text: "No data", className: "bg-neutral-100 text-neutral-600" },
+};
+const statusText = (state) => tLabel("status", { id: state, label: STATUS_BADGES[state].text });
+
+const statusBadges = (projection) => projection.statuses.map(s => ({
+  key: s.target.id,
+  text: `${statusText(s.state)}: ${targetLabel(s.target, projection.qty)}`,
+  className: STATUS_BADGES[s.state].className,
+}));
+
+// Band, dashed forecast and target lines for a ComposedChart
+const projectionLayers = (key, projection, name) => [
+  <Area key={`${key}-band`} type="monotone" dataKey={`${key}__band`} name={t("forecast.band", { name })} stroke="none" fill={PROJECTION_COLOR} fillOpacity={0.12} legendType="none" />,
+  <Line key={`${key}-fc`} type="monotone" dataKey={`${key}__fc`} name={t("forecast.line", { name })} stroke={PROJECTION_COLOR} strokeDasharray="6 4" dot={false} />,
+  ...projection.statuses.filter(s => s.path).map(s => (
+    <Line key={`${key}-t-${s.target.id}`} type="linear" dataKey={`${key}__target_${s.target.id}`} name={t("forecast.target", { target: targetLabel(s.target, projection.qty) })} stroke={TARGET_COLOR} strokeDasharray="2 4" dot={false} />
+  )),
+];
+
+// seriesQty: display unit per series id ({ label, scale, toBase }); absolute
+// targets are typed in it and stored in the base unit
+function ForecastPanel({ forecast, onForecastChange, targets, onTargetsChange, seriesOptions, seriesQty, statuses }) {
+  const [draft, setDraft] = useState({ series: "CO2e_t", kind: "relative", value: -50, baseYear: 2022, targetYear: 2030 });
+  const field = (k, v) => setDraft(d => ({ ...d, [k]: v }));
+  const statusById = new Map(statuses.map(s => [s.target.id, s]));
+  const draftQty = seriesQty[draft.series];
+  const addTarget = () => {
+    const value = draft.kind === "absolute" && draftQty ? draftQty.toBase(Number(draft.value)) : Number(draft.value);
+    const target = { ...draft, id: newId("target"), value, baseYear: Number(draft.baseYear), targetYear: Number(draft.targetYear) };
+    if (!Number.isFinite(target.value) || !target.targetYear) return;
+    onTargetsChange([...targets, target]);
+  };
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader><CardTitle className="text-lg">{t("forecast.title")}</CardTitle></CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="space-y-1">
+            <div className="text-xs text-neutral-600">{t("forecast.method")}</div>
+            <select className="border rounded-md px-2 py-1 bg-white" value={forecast.method} onChange={(e) => onForecastChange({ ...forecast, method: e.target.value })}>
+              {FORECAST_METHODS.map(m => (<option key={m.id} value={m.id}>{tLabel("forecast.method", m)}</option>))}
+            </select>
+          </label>
+          <label className="space-y-1">
+            <div className="text-xs text-neutral-600">{t("forecast.to")}</div>
+            <Input type="number" className="w-24" value={forecast.horizon} onChange={(e) => onForecastChange({ ...forecast, horizon: Number(e.target.value) || forecast.horizon })} />
+          </label>
+          <div className="text-xs text-neutral-500">{t("forecast.hint")}</div>
+        </div>
+
+        {targets.length > 0 && (
+          <table className="w-full">
+            <tbody>
+              {targets.map(target => {
+                const st = statusById.get(target.id);
+                const state = st?.state || "no-data";
+                const q = seriesQty[target.series];
+                const scale = q ? q.scale : (v) => v;
+                return (
+                  <tr key={target.id} className="border-t">
+                    <td className="py-1">{targetLabel(target, q)}</td>
+                    <td className="text-xs text-neutral-600">
+                      {st?.projected !== undefined ? t("forecast.projected", { projected: numberFmt(scale(st.projected), 1), goal: numberFmt(scale(st.goal), 1) }) : ""}
+                    </td>
+                    <td><span className={`rounded-full px-2 py-0.5 text-xs ${STATUS_BADGES[state].className}`}>{statusText(state)}</span></td>
+                    <td className="text-right"><Button variant="ghost" size="sm" onClick={() => onTargetsChange(targets.filter(x => x.id !== target.id))}>{t("action.remove")}</Button></td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="space-y-1">
+            <div className="text-xs text-neutral-600">{t("forecast.series")}</div>
+            <select className="border rounded-md px-2 py-1 bg-white" value={draft.series} onChange={(e) => field("series", e.target.value)}>
+              {seriesOptions.map(o => (<option key={o} value={o}>{seriesLabel(o)}</option>))}
+            </select>
+          </label>
+          <label className="space-y-1">
+            <div className="text-xs text-neutral-600">{t("forecast.targetType")}</div>
+            <select className="border rounded-md px-2 py-1 bg-white" value={draft.kind} onChange={(e) => field("kind", e.target.value)}>
+              <option value="relative">{t("forecast.relative")}</option>
+              <option value="absolute">{t("forecast.absolute")}</option>
+            </select>
+          </label>
+          <label className="space-y-1">
+            <div className="text-xs text-neutral-600">{draft.kind === "relative" ? t("forecast.change") : draftQty?.label ? t("forecast.valueIn", { unit: draftQty.label }) : t("forecast.value")}</div>
+            <Input type="number" className="w-24" value={draft.value} onChange={(e) => field("value", e.target.value)} />
+          </label>
+          <label className="space-y-1">
+            <div className="text-xs text-neutral-600">{t("explorer.baseYear")}</div>
+            <Input type="number" className="w-24" value={draft.baseYear} onChange={(e) => field("baseYear", e.target.value)} />
+          </label>
+          <label className="space-y-1">
+            <div className="text-xs text-neutral-600">{t("forecast.byYear")}</div>
+            <Input type="number" className="w-24" value={draft.targetYear} onChange={(e) => field("targetYear", e.target.value)} />
+          </label>
+          <Button size="sm" className="rounded-2xl" onClick={addTarget}>{t("forecast.addTarget")}</Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// ------------- SDG scorecard -------------
+// SDG groups come from the ESG file's SDG column. Each metric's progress is
+// its latest value and last-step trend; a target on the metric (see
+// Forecasts & Targets) sets which direction counts as improvement, otherwise
+// rising is treated as improving.
+const SDG_LABELS = {
+  "SDG 1": "No Poverty",
+  "SDG 2": "Zero Hunger",
+  "SDG 3": "Good Health & Well-being",
+  "SDG 4": "Quality Education",
+  "SDG 5": "Gender Equality",
+  "SDG 6": "Clean Water & Sanitation",
+  "SDG 7": "Affordable & Clean Energy",
+  "SDG 8": "Decent Work & Economic Growth",
+  "SDG 9": "Industry, Innovation & Infrastructure",
+  "SDG 10": "Reduced Inequalities",
+  "SDG 11": "Sustainable Cities & Communities",
+  "SDG 12": "Responsible Consumption & Production",
+  "SDG 13": "Climate Action",
+  "SDG 14": "Life Below Water",
+  "SDG 15": "Life on Land",
+  "SDG 16": "Peace, Justice & Strong Institutions",
+  "SDG 17": "Partnerships for the Goals",
+};
+const SDG_ICONS = { "SDG 6": Droplets, "SDG 7": Cloud, "SDG 9": Factory, "SDG 12": Recycle, "SDG 13": Leaf };
+const UNASSIGNED_SDG = "Unassigned";
+
+const normalizeSdg = (raw) => {
+  const m = String(raw ?? "").match(/(\d{1,2})/);
+  return m ? `SDG ${Number(m[1])}` : UNASSIGNED_SDG;
+};
+
+// Display text for a goal code; codes themselves stay untranslated for grouping
+const sdgCode = (code) => (code === UNASSIGNED_SDG ? t("sdg.unassigned") : code);
+const sdgName = (code) => (SDG_LABELS[code] ? tLabel("sdg", { id: code, label: SDG_LABELS[code] }) : t("sdg.noGoal"));
+
+const sdgOrder = (code) => (code === UNASSIGNED_SDG ? 99 : Number(code.replace("SDG ", "")));
+
+// [{ code, metrics: [metric] }] sorted by goal number
+const groupMetricsBySdg = (esgSeries) => {
+  const groups = new Map();
+  Object.entries(esgSeries).forEach(([metric, points]) => {
+    const code = normalizeSdg(points.find(p => !isBlank(p.SDG))?.SDG);
+    if (!groups.has(code)) groups.set(code, { code, metrics: [] });
+    groups.get(code).metrics.push(metric);
+  });
+  return Array.from(groups.values()).sort((a, b) => sdgOrder(a.code) - sdgOrder(b.code));
+};
+
+const metricProgress = (metric, points, statuses) => {
+  const valid = points.filter(p => Number.isFinite(p.Value));
+  const latest = valid[valid.length - 1];
+  const prev = valid[valid.length - 2];
+  const delta = latest && prev ? latest.Value - prev.Value : null;
+  const trend = delta === null ? null : Math.abs(delta) < 1e-9 ? "flat" : delta > 0 ? "up" : "down";
+  const target = statuses.find(s => s.state !== "no-data") || statuses[0];
+  const wantsDown = target?.goal !== undefined && target.goal < target.startValue;
+  const improving = trend === null || trend === "flat" ? null : (trend === "down") === wantsDown;
+  return { metric, latest, trend, improving, target };
+};
+
+const TREND_ICONS = { up: TrendingUp, down: TrendingDown, flat: Minus };
+
+function SdgScoreCard({ group, progress, selected, onSelect }) {
+  const Icon = SDG_ICONS[group.code] || Globe;
+  const scored = progress.filter(p => p.improving !== null);
+  const score = scored.length ? (scored.filter(p => p.improving).length / scored.length) * 100 : null;
+  return (
+    <Card
+      role="button"
+      tabIndex={0}
+      aria-pressed={selected}
+      onClick={onSelect}
+      onKeyDown={(e) => { if (e.key === "Enter" || e.key === " ") { e.preventDefault(); onSelect(); } }}
+      className={`rounded-2xl shadow-sm hover:shadow transition p-4 flex flex-col items-start gap-2 cursor-pointer ${selected ? "ring-2 ring-blue-500" : ""}`}
+    >
+      <div className="flex items-center gap-2"><Icon className="w-5 h-5" /><div className="font-semibold">{sdgCode(group.code)}</div></div>
+      <div className="text-sm text-neutral-600">{sdgName(group.code)}</div>
+      <div className="w-full">
+        <div className="h-1.5 w-full rounded-full bg-neutral-200">
+          <div className="h-1.5 rounded-full bg-green-600" style={{ width: `${score ?? 0}%` }} />
+        </div>
+        <div className="text-xs text-neutral-500 mt-1">
+          {score === null ? t("sdg.noTrend") : t("sdg.improving", { n: scored.length, count: scored.filter(p => p.improving).length, of: scored.length })}
+        </div>
+      </div>
+      <ul className="w-full space-y-1 text-xs">
+        {progress.map(p => {
+          const TrendIcon = TREND_ICONS[p.trend];
+          return (
+            <li key={p.metric} className="flex items-center justify-between gap-2">
+              <span className="truncate" title={p.metric}>{humanize(p.metric)}</span>
+              <span className="flex items-center gap-1 whitespace-nowrap">
+                {p.latest ? `${numberFmt(p.latest.Value, 1)} ${localUnit(p.latest.Unit) || ""}` : "–"}
+                {TrendIcon && <TrendIcon className={`w-3 h-3 ${p.improving === true ? "text-green-600" : p.improving === false ? "text-red-600" : "text-neutral-500"}`} />}
+                {p.target && <span className={`rounded-full px-1.5 ${STATUS_BADGES[p.target.state].className}`}>{statusText(p.target.state)}</span>}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+      <div className="mt-auto text-xs text-neutral-500">{t(selected ? "sdg.focused" : "sdg.focusHint")}</div>
+    </Card>
+  );
+}
+
+// ------------- ESG explorer -------------
+// Compare any ESG metrics on one chart. "absolute" keeps raw values with one
+// y-axis per unit; "index" rebases each metric to 100 at the base year (or
+// its first year when it has no value then); "yoy" is % change vs the
+// metric's value for the previous year, empty when that year is missing.
+const EXPLORER_MODES = [
+  { id: "absolute", label: "Absolute" },
+  { id: "index", label: "Index (base = 100)" },
+  { id: "yoy", label: "YoY % change" },
+];
+
+const metricUnit = (points) => points.find(p => !isBlank(p.Unit))?.Unit || "";
+
+const explorerSeries = (esgSeries, metrics, mode, baseYear) => {
+  const map = new Map();
+  const put = (y, m, v) => {
+    if (!map.has(y)) map.set(y, { Year: y });
+    map.get(y)[m] = v;
+  };
+  const bases = {};
+  metrics.forEach(m => {
+    const points = (esgSeries[m] || []).filter(p => Number.isFinite(p.Value));
+    const base = points.find(p => p.Year === baseYear) || points[0];
+    bases[m] = base?.Year;
+    const valueIn = new Map(points.map(p => [p.Year, p.Value]));
+    points.forEach(p => {
+      if (mode === "absolute") put(p.Year, m, p.Value);
+      else if (mode === "index") { if (base?.Value) put(p.Year, m, (p.Value / base.Value) * 100); }
+      else if (valueIn.has(p.Year - 1)) put(p.Year, m, pctChange(valueIn.get(p.Year - 1), p.Value));
+    });
+  });
+  return { rows: Array.from(map.values()).sort((a, b) => a.Year - b.Year), bases };
+};
+
+// Latest value, CAGR between first and latest point, min and max
+const metricStats = (metric, points) => {
+  const valid = points.filter(p => Number.isFinite(p.Value));
+  const first = valid[0];
+  const latest = valid[valid.length - 1];
+  const span = latest && first ? latest.Year - first.Year : 0;
+  const min = valid.reduce((a, p) => (a === null || p.Value < a.Value ? p : a), null);
+  const max = valid.reduce((a, p) => (a === null || p.Value > a.Value ? p : a), null);
+  return {
+    Metric: metric,
+    Unit: metricUnit(points),
+    LatestYear: latest?.Year ?? null,
+    Latest: latest?.Value ?? null,
+    CAGR_pct: span > 0 && first.Value > 0 && latest.Value > 0 ? (Math.pow(latest.Value / first.Value, 1 / span) - 1) * 100 : null,
+    Min: min?.Value ?? null,
+    MinYear: min?.Year ?? null,
+    Max: max?.Value ?? null,
+    MaxYear: max?.Year ?? null,
+  };
+};
+
+const STATS_COLUMNS = [
+  { key: "Metric", label: "Metric" },
+  { key: "Latest", label: "Latest", numeric: true },
+  { key: "CAGR_pct", label: "CAGR", numeric: true },
+  { key: "Min", label: "Min", numeric: true },
+  { key: "Max", label: "Max", numeric: true },
+];
+
+function MetricStatsTable({ rows }) {
+  const [sort, setSort] = useState({ key: "Metric", dir: 1 });
+  const sorted = [...rows].sort((a, b) => {
+    const x = a[sort.key];
+    const y = b[sort.key];
+    if (x === null) return 1;
+    if (y === null) return -1;
+    return (typeof x === "number" ? x - y : String(x).localeCompare(String(y))) * sort.dir;
+  });
+  const onSort = (key) => setSort(s => ({ key, dir: s.key === key ? -s.dir : 1 }));
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs text-neutral-500">
+          {STATS_COLUMNS.map(c => (
+            <th key={c.key} className={`py-1 ${c.numeric ? "text-right" : ""}`} aria-sort={sort.key === c.key ? (sort.dir > 0 ? "ascending" : "descending") : "none"}>
+              <button className="hover:underline" onClick={() => onSort(c.key)}>
+                {tLabel("stats", c)}{sort.key === c.key ? (sort.dir > 0 ? " ▲" : " ▼") : ""}
+              </button>
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {sorted.map(r => (
+          <tr key={r.Metric} className="border-t">
+            <td className="py-1">{humanize(r.Metric)}</td>
+            <td className="text-right">{numberFmt(r.Latest, 1)} {localUnit(r.Unit)} <span className="text-xs text-neutral-500">({r.LatestYear ?? "–"})</span></td>
+            <td className="text-right">{r.CAGR_pct === null ? "–" : `${numberFmt(r.CAGR_pct, 1)}%`}</td>
+            <td className="text-right">{numberFmt(r.Min, 1)} <span className="text-xs text-neutral-500">({r.MinYear ?? "–"})</span></td>
+            <td className="text-right">{numberFmt(r.Max, 1)} <span className="text-xs text-neutral-500">({r.MaxYear ?? "–"})</span></td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// ------------- Benchmark -------------
+// Pivoting, peer averages and standings live in aggregation_engine.js.
+const humanize = (key) => String(key).replace(/_/g, " ").replace(/([a-z])([A-Z])/g, "$1 $2");
+
+function StandingsTable({ rows, focus, firstColumn }) {
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs text-neutral-500">
+          <th className="py-1">{t(firstColumn === "Year" ? "standings.year" : "standings.company")}</th>
+          <th className="text-right">{t("standings.value")}</th><th className="text-right">{t("standings.rank")}</th><th className="text-right">{t("standings.percentile")}</th><th className="text-right">{t("standings.gap")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(r => (
+          <tr key={`${r.Year}-${r.Company}`} className={`border-t ${firstColumn !== "Year" && r.Company === focus ? "font-semibold bg-blue-50" : ""}`}>
+            <td className="py-1">{r[firstColumn]}</td>
+            <td className="text-right">{numberFmt(r.Value, 2)}</td>
+            <td className="text-right">{r.Rank} / {r.Of}</td>
+            <td className="text-right">{numberFmt(r.Percentile)}%</td>
+            <td className="text-right">{r.Rank === 1 ? t("standings.leader") : `${numberFmt(r.GapToLeader, 2)} (${numberFmt(r.GapToLeaderPct, 1)}%)`}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// ------------- Grid emission factors -------------
+// Factor lookup and reconciliation live in aggregation_engine.js.
+const GRID_BASES = [
+  { id: "location", label: "Location-based" },
+  { id: "market", label: "Market-based" },
+];
+
+// units: display choice per dimension; energy and CO2e scale over the rows shown
+function ReconciliationTable({ rows, units, limit = 200 }) {
+  const shown = rows.slice(0, limit);
+  const energy = quantity("energy", units.energy, shown.map(r => r.TitleEnergy_MWh));
+  const mass = quantity("mass", units.mass, shown.flatMap(r => [r.Reported_t, r.Recomputed_t]));
+  return (
+    <div className="max-h-80 overflow-auto">
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-neutral-500">
+            <th className="py-1">{t("grid.title")}</th><th>{t("grid.year")}</th><th>{t("filters.region")}</th>
+            <th className="text-right">{t("grid.energy", { unit: energy.label })}</th><th className="text-right">{t("grid.factor")}</th>
+            <th className="text-right">{t("grid.reported", { unit: mass.label })}</th><th className="text-right">{t("grid.recomputed", { unit: mass.label })}</th><th className="text-right">{t("grid.diff")}</th><th>{t("grid.flag")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {shown.map((r, i) => (
+            <tr key={i} className={`border-t ${r.Flag ? "bg-amber-50" : ""}`}>
+              <td className="py-0.5">{r.Title}</td><td>{r.FiscalYear}</td><td>{r.Region}</td>
+              <td className="text-right">{energy.fmt(r.TitleEnergy_MWh)}</td>
+              <td className="text-right">{numberFmt(r.Factor_kgCO2e_per_MWh)}{r.FactorYear !== null && r.FactorYear !== Number(r.FiscalYear) ? ` (${r.FactorYear})` : ""}</td>
+              <td className="text-right">{mass.fmt(r.Reported_t)}</td>
+              <td className="text-right">{mass.fmt(r.Recomputed_t)}</td>
+              <td className="text-right">{r.DiffPct === null ? "–" : `${r.DiffPct > 0 ? "+" : ""}${numberFmt(r.DiffPct, 1)}%`}</td>
+              <td className="text-amber-700">{r.Flag && tLabel("grid.flag", { id: r.Flag, label: r.Flag })}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length > limit && <div className="text-xs text-neutral-500 mt-1">{t("a11y.tableTruncated", { shown: numberFmt(limit), total: numberFmt(rows.length) })}</div>}
+    </div>
+  );
+}
+
+// ------------- KPI cards -------------
+// Each card: { id, label, value (formatted), icon?, warning?, series:
+// [{ Year, value }], goodWhen?: "up" | "down", onRemove? }. The change is
+// the last fiscal year in view against the one before it.
+const periodChange = (series) => {
+  const points = (series || []).filter(p => Number.isFinite(p.value));
+  if (points.length < 2) return null;
+  const [prev, last] = points.slice(-2);
+  return { from: prev.Year, to: last.Year, pct: pctChange(prev.value, last.value) };
+};
+
+// color: the sparkline stroke
+function KpiCard({ card, color, onWarningClick }) {
+  const change = periodChange(card.series);
+  const flat = !change || change.pct === null || Math.abs(change.pct) < 0.05;
+  const Icon = flat ? Minus : change.pct > 0 ? TrendingUp : TrendingDown;
+  const good = !flat && card.goodWhen && (card.goodWhen === "up") === (change.pct > 0);
+  const tone = flat || !card.goodWhen ? "text-neutral-600" : good ? "text-green-700" : "text-red-700";
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader className="pb-2 flex flex-row items-center justify-between">
+        <CardTitle className="text-sm text-neutral-600">{card.label}</CardTitle>
+        <div className="flex items-center gap-1">
+          {card.warning && (
+            <button
+              className="flex items-center gap-1 rounded-full bg-amber-100 text-amber-800 text-xs px-2 py-0.5"
+              title={t("kpi.warningHint", { warning: card.warning })}
+              onClick={onWarningClick}
+            >
+              <AlertTriangle className="w-3 h-3"/>{t("kpi.warningBadge")}
+            </button>
+          )}
+          {card.onRemove && (
+            <button className="rounded-full px-1 text-neutral-400 hover:text-neutral-700" aria-label={t("action.removeNamed", { name: card.label })} onClick={card.onRemove}>×</button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-1">
+        <div className="flex items-end justify-between"><div className="text-3xl font-semibold">{card.value}</div>{card.icon}</div>
+        {card.error ? (
+          <div className="text-xs text-red-600">{card.error}</div>
+        ) : (
+          <div className="flex items-center justify-between gap-2">
+            <div className={`flex items-center gap-1 text-xs ${tone}`}>
+              {change && <Icon className="w-3 h-3"/>}
+              {change
+                ? t("kpi.change", { change: change.pct === null ? "–" : `${change.pct > 0 ? "+" : ""}${numberFmt(change.pct, 1)}%`, to: change.to, from: change.from })
+                : t("kpi.singleYear")}
+            </div>
+            {card.series?.length > 1 && (
+              <div className="h-8 w-24" aria-hidden="true">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={card.series}>
+                    <Line type="monotone" dataKey="value" stroke={color} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// Words for a formula error's problem (see parseKpiFormula)
+const formulaProblem = ({ key, ...vars }) => t(`formula.error.${key}`, vars);
+
+// Define a card as a formula (see parseKpiFormula); the preview uses the
+// current view.
+function KpiBuilder({ columns, metrics, preview, onAdd, onClose }) {
+  const [draft, setDraft] = useState({ label: "", formula: "sum(TitleCO2e_MetricTon) / sum(TitleEnergy_MWh)", digits: 2 });
+  let error = null;
+  let value = null;
+  try {
+    value = preview(parseKpiFormula(draft.formula, { columns, metrics }));
+  } catch (err) {
+    error = err.problem ? formulaProblem(err.problem) : err.message;
+  }
+  const add = () => {
+    if (error) return;
+    onAdd({ id: newId("kpi"), label: draft.label.trim() || draft.formula, formula: draft.formula, digits: Number(draft.digits) || 0 });
+    setDraft(d => ({ ...d, label: "" }));
+  };
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="text-lg">{t("kpiBuilder.title")}</CardTitle>
+        <Button variant="ghost" size="sm" onClick={onClose}>{t("action.close")}</Button>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="space-y-1">
+            <div className="text-xs text-neutral-600">{t("kpiBuilder.label")}</div>
+            <Input className="w-48" value={draft.label} placeholder={t("kpiBuilder.labelPlaceholder")} onChange={(e) => setDraft(d => ({ ...d, label: e.target.value }))} />
+          </label>
+          <label className="space-y-1 flex-1 min-w-[16rem]">
+            <div className="text-xs text-neutral-600">{t("kpiBuilder.formula")}</div>
+            <Input className="font-mono" value={draft.formula} onChange={(e) => setDraft(d => ({ ...d, formula: e.target.value }))} />
+          </label>
+          <label className="space-y-1">
+            <div className="text-xs text-neutral-600">{t("kpiBuilder.decimals")}</div>
+            <Input type="number" min={0} max={6} className="w-20" value={draft.digits} onChange={(e) => setDraft(d => ({ ...d, digits: e.target.value }))} />
+          </label>
+          <Button size="sm" className="rounded-2xl" disabled={!!error} onClick={add}>{t("kpi.add")}</Button>
+        </div>
+        <div className={error ? "text-red-600" : "text-neutral-600"}>
+          {error || t("kpiBuilder.current", { value: numberFmt(value, Number(draft.digits) || 0) })}
+        </div>
+        <div className="text-xs text-neutral-500 space-y-1">
+          <div>{t("kpiBuilder.functions", { functions: KPI_FUNCTIONS.map(f => (f === "count" ? "count()" : f === "latest" ? `latest("${t("kpiBuilder.metricArg")}")` : `${f}(${t("kpiBuilder.columnArg")})`)).join(", ") })}</div>
+          <div>{t("kpiBuilder.columns", { columns: columns.join(", ") })}</div>
+          {metrics.length > 0 && <div>{t("kpiBuilder.metrics", { metrics: metrics.join(", ") })}</div>}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// ------------- Scenarios -------------
+// The levers themselves live in applyScenario (aggregation_engine.js); this
+// is the editor and the saved-scenario list.
+// Palette slots: blue, green and vermillion in the light theme
+const WATERFALL_SLOTS = { total: 0, decrease: 2, increase: 3 };
+
+const newScenarioDraft = () => ({ id: null, name: "", ...EMPTY_SCENARIO });
+
+const pctInput = (value, onChange, label) => (
+  <Input type="number" min={0} max={100} className="w-20 h-8" aria-label={label} value={value} onChange={(e) => onChange(Math.min(100, Math.max(0, Number(e.target.value) || 0)))} />
+);
+
+function ScenarioPanel({ draft, onDraftChange, titles, regions, scenarios, onScenariosChange, compareIds, onCompareChange }) {
+  const set = (patch) => onDraftChange({ ...draft, ...patch });
+  const updateAt = (key, i, patch) => set({ [key]: draft[key].map((x, j) => (j === i ? { ...x, ...patch } : x)) });
+  const removeAt = (key, i) => set({ [key]: draft[key].filter((_, j) => j !== i) });
+  const optionsFor = (dimension) => (dimension === "Region" ? regions : titles);
+  const save = (asNew) => {
+    const id = asNew || !draft.id ? newId("scenario") : draft.id;
+    const saved = { ...draft, id, name: draft.name.trim() || t("scenario.defaultName", { n: scenarios.length + 1 }) };
+    onScenariosChange(asNew || !draft.id ? [...scenarios, saved] : scenarios.map(s => (s.id === id ? saved : s)));
+    onDraftChange(saved);
+  };
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader><CardTitle className="text-lg">{t("scenario.levers")}</CardTitle></CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        <div className="space-y-2">
+          <div className="font-medium">{t("scenario.powerCut")}</div>
+          {draft.powerCuts.map((c, i) => (
+            <div key={i} className="flex flex-wrap items-center gap-2">
+              <select className="border rounded-md px-2 py-1 bg-white" value={c.dimension} onChange={(e) => updateAt("powerCuts", i, { dimension: e.target.value, value: optionsFor(e.target.value)[0] ?? "" })}>
+                <option value="Title">{t("compare.title")}</option>
+                <option value="Region">{t("filters.region")}</option>
+              </select>
+              <select className="border rounded-md px-2 py-1 bg-white" value={c.value} onChange={(e) => updateAt("powerCuts", i, { value: e.target.value })}>
+                {optionsFor(c.dimension).map(v => (<option key={v} value={v}>{v}</option>))}
+              </select>
+              {pctInput(c.pct, (pct) => updateAt("powerCuts", i, { pct }), t("scenario.powerCutPct"))}
+              <span className="text-neutral-600">{t("scenario.lessPower")}</span>
+              <Button variant="ghost" size="sm" onClick={() => removeAt("powerCuts", i)}>{t("action.remove")}</Button>
+            </div>
+          ))}
+          <Button variant="outline" size="sm" disabled={titles.length === 0} onClick={() => set({ powerCuts: [...draft.powerCuts, { dimension: "Title", value: titles[0], pct: 10 }] })}>{t("scenario.addPowerCut")}</Button>
+        </div>
+
+        <div className="space-y-2">
+          <div className="font-medium">{t("scenario.shift")}</div>
+          {draft.shifts.map((sh, i) => (
+            <div key={i} className="flex flex-wrap items-center gap-2">
+              {pctInput(sh.pct, (pct) => updateAt("shifts", i, { pct }), t("scenario.shiftPct"))}
+              <span className="text-neutral-600">{t("scenario.shiftFrom")}</span>
+              <select className="border rounded-md px-2 py-1 bg-white" value={sh.from} onChange={(e) => updateAt("shifts", i, { from: e.target.value })}>
+                {titles.map(title => (<option key={title} value={title}>{title}</option>))}
+              </select>
+              <span className="text-neutral-600">{t("scenario.shiftTo")}</span>
+              <select className="border rounded-md px-2 py-1 bg-white" value={sh.to} onChange={(e) => updateAt("shifts", i, { to: e.target.value })}>
+                {titles.map(title => (<option key={title} value={title}>{title}</option>))}
+              </select>
+              <Button variant="ghost" size="sm" onClick={() => removeAt("shifts", i)}>{t("action.remove")}</Button>
+            </div>
+          ))}
+          <Button variant="outline" size="sm" disabled={titles.length < 2} onClick={() => set({ shifts: [...draft.shifts, { from: titles[0], to: titles[1], pct: 20 }] })}>{t("scenario.addShift")}</Button>
+          <div className="text-xs text-neutral-500">{t("scenario.shiftHint")}</div>
+        </div>
+
+        <label className="flex flex-wrap items-center gap-2">
+          <span className="font-medium">{t("scenario.cleanSupply")}</span>
+          {pctInput(draft.renewablePct, (renewablePct) => set({ renewablePct }), t("scenario.cleanSupply"))}
+          <span className="text-neutral-600">{t("scenario.cleanSupplyHint")}</span>
+        </label>
+
+        <div className="flex flex-wrap items-end gap-2 border-t pt-3">
+          <label className="space-y-1">
+            <div className="text-xs text-neutral-600">{t("scenario.name")}</div>
+            <Input className="w-56" value={draft.name} placeholder={t("scenario.defaultName", { n: scenarios.length + 1 })} onChange={(e) => set({ name: e.target.value })} />
+          </label>
+          <Button size="sm" className="rounded-2xl" onClick={() => save(false)}>{t(draft.id ? "scenario.update" : "scenario.save")}</Button>
+          {draft.id && <Button variant="outline" size="sm" onClick={() => save(true)}>{t("scenario.saveAsNew")}</Button>}
+          <Button variant="ghost" size="sm" onClick={() => onDraftChange(newScenarioDraft())}>{t("scenario.new")}</Button>
+        </div>
+
+        {scenarios.length > 0 && (
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-xs text-neutral-500"><th className="py-1">{t("scenario.saved")}</th><th>{t("scenario.compare")}</th><th /></tr>
+            </thead>
+            <tbody>
+              {scenarios.map(s => (
+                <tr key={s.id} className={`border-t ${s.id === draft.id ? "font-medium" : ""}`}>
+                  <td className="py-1">{s.name}</td>
+                  <td>
+                    <input type="checkbox" aria-label={t("scenario.compareNamed", { name: s.name })} checked={compareIds.includes(s.id)} onChange={() => onCompareChange(toggleIn(compareIds, s.id))} />
+                  </td>
+                  <td className="text-right">
+                    <Button variant="ghost" size="sm" onClick={() => onDraftChange(s)}>{t("action.edit")}</Button>
+                    <Button variant="ghost" size="sm" onClick={() => {
+                      onScenariosChange(scenarios.filter(x => x.id !== s.id));
+                      onCompareChange(compareIds.filter(id => id !== s.id));
+                      if (draft.id === s.id) onDraftChange({ ...draft, id: null });
+                    }}>{t("action.delete")}</Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// label: message key; dimension: unit dimension for display scaling
+const SCENARIO_COMPARE_ROWS = [
+  { key: "Energy_MWh", label: "scenario.row.energy", dimension: "energy" },
+  { key: "CO2e_t", label: "scenario.row.co2", dimension: "mass" },
+  { key: "AvgPower_W", label: "scenario.row.power", digits: 1 },
+  { key: "CO2e_avoided_t", label: "scenario.row.avoided", dimension: "mass" },
+  { key: "CO2e_change_pct", label: "scenario.row.changePct", digits: 1 },
+];
+
+// Scenarios side by side, one column each. units: display choice per
+// dimension; each row scales over its scenarios' values.
+function ScenarioCompareTable({ rows, units }) {
+  return (
+    <div className="overflow-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-neutral-500">
+            <th className="py-1" />
+            {rows.map(r => (<th key={r.Scenario} className="text-right">{r.Scenario}</th>))}
+          </tr>
+        </thead>
+        <tbody>
+          {SCENARIO_COMPARE_ROWS.map(m => {
+            const q = m.dimension ? quantity(m.dimension, units[m.dimension], rows.map(r => r[m.key])) : null;
+            return (
+              <tr key={m.key} className="border-t">
+                <td className="py-1 text-neutral-600">{t(m.label, { unit: q?.label })}</td>
+                {rows.map(r => (<td key={r.Scenario} className="text-right">{q ? q.fmt(r[m.key]) : numberFmt(r[m.key], m.digits)}</td>))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ------------- Compare mode -------------
+// Two filter sets, A and B, each with its own regions and year range, applied
+// to the Xbox rows independently of the global filters (see compareXbox).
+const COMPARE_SETS = ["A", "B"];
+const compareColor = (theme, set) => theme.palette[set === "A" ? 0 : 1];
+const COMPARE_VIEWS = [
+  { id: "overlay", label: "Overlay" },
+  { id: "side", label: "Side by side" },
+];
+// label: message key; dimension: unit dimension for display scaling
+const COMPARE_KPIS = [
+  { key: "totalEnergy", label: "kpi.energy", dimension: "energy", digits: 0 },
+  { key: "totalCO2", label: "kpi.co2", dimension: "mass", digits: 0 },
+  { key: "avgPower", label: "kpi.power", digits: 1 },
+  { key: "titles", label: "kpi.titles", digits: 0 },
+];
+const COMPARE_YEAR_MEASURES = [
+  { key: "Energy_MWh", label: "measure.energy", dimension: "energy" },
+  { key: "CO2e_t", label: "measure.co2", dimension: "mass" },
+];
+
+// A covers the first year with data and B the last, e.g. FY22 vs FY24
+const newCompare = ([from, to]) => ({ view: "overlay", align: "year", A: { regions: [], yearRange: [from, from] }, B: { regions: [], yearRange: [to, to] } });
+// Keep both sets within the data's years when other data is loaded: a set
+// that no longer overlaps them starts over like newCompare, others are clamped
+const fitCompare = (c, [minY, maxY]) => {
+  const seeds = { A: [minY, minY], B: [maxY, maxY] };
+  const fit = (name) => {
+    const [from, to] = c[name].yearRange;
+    const next = to < minY || from > maxY ? seeds[name] : [Math.max(minY, from), Math.min(maxY, to)];
+    return next[0] === from && next[1] === to ? c[name] : { ...c[name], yearRange: next };
+  };
+  const A = fit("A");
+  const B = fit("B");
+  return A === c.A && B === c.B ? c : { ...c, A, B };
+};
+const compareFilters = (set) => ({ regions: set.regions, yearRange: set.yearRange, titles: [], years: [] });
+const compareSetLabel = (set) => `${set.regions.length ? set.regions.join(", ") : t("compare.allRegions")} · ${t("fy", { year: set.yearRange[0] })}${set.yearRange[1] !== set.yearRange[0] ? `–${t("fy", { year: set.yearRange[1] })}` : ""}`;
+const signedFmt = (n, digits = 0) => (n === null || n === undefined ? "–" : `${n > 0 ? "+" : ""}${numberFmt(n, digits)}`);
+const pctFmt = (n) => (n === null || n === undefined ? "–" : `${signedFmt(n, 1)}%`);
+
+function CompareSetPicker({ name, set, color, regions, years, onChange }) {
+  const setYear = (i, y) => {
+    const range = set.yearRange.slice();
+    range[i] = y;
+    onChange({ ...set, yearRange: [Math.min(...range), Math.max(...range)] });
+  };
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2 text-sm font-medium">
+        <span className="inline-block w-3 h-3 rounded-full" style={{ background: color }} />
+        {t("compare.set", { name })}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {regions.map(r => {
+          const active = r === "ALL" ? set.regions.length === 0 : set.regions.includes(r);
+          return (
+            <Button key={r} variant={active ? "default" : "outline"} size="sm" className="rounded-full" aria-pressed={active} onClick={() => onChange({ ...set, regions: r === "ALL" ? [] : toggleIn(set.regions, r) })}>{r === "ALL" ? t("filters.all") : r}</Button>
+          );
+        })}
+      </div>
+      <div className="flex items-center gap-2 text-sm">
+        <span className="text-neutral-600">{t("compare.years")}</span>
+        {[0, 1].map(i => (
+          <select key={i} className="border rounded-md px-2 py-1 bg-white" aria-label={t(i === 0 ? "compare.firstYear" : "compare.lastYear", { name })} value={set.yearRange[i]} onChange={(e) => setYear(i, Number(e.target.value))}>
+            {years.map(y => (<option key={y} value={y}>{y}</option>))}
+          </select>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// KPI values of both sets (in display units) with B − A and % change
+function CompareKpiTable({ rows }) {
+  return (
+    <div className="overflow-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-neutral-500">
+            <th className="py-1">{t("compare.kpi")}</th>
+            <th className="text-right">A</th>
+            <th className="text-right">B</th>
+            <th className="text-right">B − A</th>
+            <th className="text-right">%</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(r => (
+            <tr key={r.KPI} className="border-t">
+              <td className="py-1 text-neutral-600">{r.KPI}</td>
+              <td className="text-right">{numberFmt(r.A, r._digits)}</td>
+              <td className="text-right">{numberFmt(r.B, r._digits)}</td>
+              <td className="text-right">{signedFmt(r.Difference, r._digits)}</td>
+              <td className="text-right">{pctFmt(r.Change_pct)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Titles from either set; a title missing from one side reads as 0 there.
+// energy: quantity() for the energy columns
+function CompareTitlesTable({ rows, energy, limit = 200 }) {
+  return (
+    <div className="max-h-96 overflow-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-neutral-500">
+            <th className="py-1">{t("compare.title")}</th>
+            <th>{t("compare.in")}</th>
+            <th className="text-right">{t("compare.energyOf", { set: "A", unit: energy.label })}</th>
+            <th className="text-right">{t("compare.energyOf", { set: "B", unit: energy.label })}</th>
+            <th className="text-right">Δ</th>
+            <th className="text-right">Δ%</th>
+            <th className="text-right">{t("compare.intensityOf", { set: "A" })}</th>
+            <th className="text-right">{t("compare.intensityOf", { set: "B" })}</th>
+            <th className="text-right">Δ%</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.slice(0, limit).map(r => (
+            <tr key={r.Title} className="border-t">
+              <td className="py-1">{r.Title}</td>
+              <td className="text-neutral-600">{r.In === "both" ? "A + B" : t("compare.only", { set: r.In })}</td>
+              <td className="text-right">{energy.fmt(r.Energy_MWh_A, 1)}</td>
+              <td className="text-right">{energy.fmt(r.Energy_MWh_B, 1)}</td>
+              <td className="text-right">{signedFmt(energy.scale(r.Energy_MWh_diff), 1)}</td>
+              <td className="text-right">{pctFmt(r.Energy_MWh_pct)}</td>
+              <td className="text-right">{numberFmt(r.CO2e_per_MWh_A, 3)}</td>
+              <td className="text-right">{numberFmt(r.CO2e_per_MWh_B, 3)}</td>
+              <td className="text-right">{pctFmt(r.CO2e_per_MWh_pct)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length > limit && <div className="text-xs text-neutral-500 pt-1">{t("table.truncated", { shown: numberFmt(limit), total: numberFmt(rows.length) })}</div>}
+    </div>
+  );
+}
+
+// ------------- Data quality -------------
+// Checks per dataset on top of the per-column counts. Column checks use the
+// column key as label so the flags table can offer an inline fix.
+const numOrNaN = (v) => (isBlank(v) ? NaN : Number(v));
+
+const ISSUE_LABELS = {
+  missing: "Missing",
+  "non-numeric": "Non-numeric",
+  coerced: "Coerced",
+  duplicate: "Duplicate key",
+  outlier: "Outlier",
+  jump: "YoY jump",
+};
+const issueLabel = (id) => tLabel("quality.issue", { id, label: ISSUE_LABELS[id] });
+
+// Flag details come from assessDataQuality as { key, ...values }
+const sigFmt = (n) => n.toLocaleString(numberLocale(), { maximumSignificantDigits: 4 });
+const qualityDetail = ({ key, group, ...vars }) => {
+  const shown = { ...vars };
+  ["value", "lo", "hi", "z"].forEach(k => { if (typeof vars[k] === "number") shown[k] = sigFmt(vars[k]); });
+  if (vars.n !== undefined) shown.count = numberFmt(vars.n);
+  if (vars.change !== undefined) shown.change = signedFmt(vars.change);
+  const text = t(`quality.detail.${key}`, shown);
+  return group ? `${text} (${group})` : text;
+};
+
+const DATA_QUALITY_RULES = {
+  xbox: () => ({
+    outliers: [
+      { label: "AverageACPower_W", value: r => numOrNaN(r.AverageACPower_W) },
+      { label: "CO₂e per MWh", value: r => (numOrNaN(r.TitleEnergy_MWh) > 0 ? numOrNaN(r.TitleCO2e_MetricTon) / numOrNaN(r.TitleEnergy_MWh) : NaN) },
+    ],
+    jumps: ["TitleEnergy_MWh", "TitleCO2e_MetricTon"].map(key => ({
+      label: key, value: r => numOrNaN(r[key]), groupBy: r => `${r.Title} · ${r.Region ?? "–"}`, year: r => Number(r.FiscalYear),
+    })),
+  }),
+  esg: () => ({
+    outliers: [{ label: "Value", value: r => numOrNaN(r.Value), groupBy: r => r.Metric }],
+    jumps: [{ label: "Value", value: r => numOrNaN(r.Value), groupBy: r => r.Metric, year: r => Number(r.Year) }],
+  }),
+  bench: (metrics) => ({
+    outliers: [],
+    jumps: metrics.map(key => ({ label: key, value: r => numOrNaN(r[key]), groupBy: r => r.Company, year: r => Number(r.Year) })),
+  }),
+  grid: () => ({
+    outliers: [{ label: "kgCO2e_per_MWh", value: r => numOrNaN(r.kgCO2e_per_MWh), groupBy: r => normalizeBasis(r.Basis) }],
+    jumps: [{ label: "kgCO2e_per_MWh", value: r => numOrNaN(r.kgCO2e_per_MWh), groupBy: r => `${r.Region} · ${normalizeBasis(r.Basis)}`, year: r => Number(r.Year) }],
+  }),
+};
+
+// Schema columns, plus the extra metric columns a benchmark file may carry
+const qualityColumns = (kind, rows) => {
+  const schema = DATASET_SCHEMAS[kind];
+  if (kind !== "bench") return schema.columns;
+  const known = new Set(schema.columns.map(c => c.key));
+  return [...schema.columns, ...benchMetricColumns(rows).filter(k => !known.has(k)).map(key => ({ key, type: "number" }))];
+};
+
+const QUALITY_COLUMN_STATS = [
+  { key: "missing", label: "Missing" },
+  { key: "nonNumeric", label: "Non-numeric" },
+  { key: "coerced", label: "Coerced" },
+];
+
+function QualityColumnsTable({ rows }) {
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-neutral-500">
+          <th className="py-1">{t("quality.column")}</th><th>{t("import.type")}</th>
+          {QUALITY_COLUMN_STATS.map(c => (<th key={c.key} className="text-right">{tLabel("quality.stat", c)}</th>))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(r => (
+          <tr key={r.key} className="border-t">
+            <td className="py-1">{r.key}</td><td className="text-neutral-500">{r.type}</td>
+            {QUALITY_COLUMN_STATS.map(c => (
+              <td key={c.key} className={`text-right ${r[c.key] > 0 ? "text-amber-700 font-medium" : ""}`}>{numberFmt(r[c.key])}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Flagged rows with an inline fix for numeric cells and an exclude toggle.
+// Fixes apply on Enter or when the field loses focus.
+function QualityFlagsTable({ flags, rows, columns, keyCols, onExclude, onFix, limit = 200 }) {
+  const fixable = new Map(columns.filter(c => c.type === "number" || c.type === "year").map(c => [c.key, c]));
+  const applyFix = (flag, raw) => {
+    const res = coerceCell(raw, fixable.get(flag.column).type);
+    if (!res.error && res.value !== null && res.value !== rows[flag.index][flag.column]) onFix(flag.index, flag.column, res.value);
+  };
+  return (
+    <div className="max-h-96 overflow-auto">
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-neutral-500">
+            <th className="py-1">{t("quality.row")}</th><th>{t("merge.key")}</th><th>{t("quality.issue")}</th><th>{t("quality.column")}</th><th>{t("quality.detail")}</th><th>{t("quality.fix")}</th><th>{t("quality.excluded")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {flags.slice(0, limit).map((f, i) => {
+            const row = rows[f.index];
+            return (
+              <tr key={`${f.index}-${f.issue}-${f.column}-${i}`} className={`border-t ${row._excluded ? "text-neutral-400" : ""}`}>
+                <td className="py-0.5">{f.index + 1}</td>
+                <td>{keyCols.map(c => row[c] ?? "–").join(" · ")}</td>
+                <td>{issueLabel(f.issue)}</td>
+                <td>{f.column}</td>
+                <td className="text-amber-700">{qualityDetail(f.detail)}</td>
+                <td>
+                  {fixable.has(f.column) ? (
+                    <Input
+                      key={`${f.index}-${f.column}-${row[f.column]}`}
+                      className="h-7 w-28 text-xs"
+                      defaultValue={row[f.column] ?? ""}
+                      aria-label={t("quality.fixCell", { column: f.column, row: f.index + 1 })}
+                      onBlur={(e) => applyFix(f, e.target.value)}
+                      onKeyDown={(e) => { if (e.key === "Enter") applyFix(f, e.target.value); }}
+                    />
+                  ) : "–"}
+                </td>
+                <td>
+                  <input type="checkbox" checked={!!row._excluded} aria-label={t("quality.excludeRow", { row: f.index + 1 })} onChange={(e) => onExclude([f.index], e.target.checked)} />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {flags.length > limit && <div className="text-xs text-neutral-500 mt-1">{t("quality.truncated", { shown: numberFmt(limit), total: numberFmt(flags.length) })}</div>}
+    </div>
+  );
+}
+
+// ------------- Export -------------
+// Every chart card is described by a spec ({ id, title, data, height, render })
+// so the same chart can be drawn in its tab, exported on its own, or drawn
+// off-screen for the PDF report.
+const REPORT_RENDER_DELAY_MS = 1800; // Recharts animates for 1.5s on mount
+const REPORT_CHART_SIZE = { width: 900, height: 360 };
+
+const fileStamp = () => new Date().toISOString().slice(0, 10);
+
+const exportRows = (rows) => (rows || []).map(r => Object.fromEntries(dataFields(r).map(k => [k, r[k]])));
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const downloadCsv = (rows, baseName) => {
+  downloadBlob(new Blob([Papa.unparse(exportRows(rows))], { type: "text/csv;charset=utf-8" }), `${baseName}-${fileStamp()}.csv`);
+};
+
+const downloadXlsx = (rows, baseName, sheetName = "Data") => {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(exportRows(rows)), sheetName.slice(0, 31));
+  XLSX.writeFile(wb, `${baseName}-${fileStamp()}.xlsx`);
+};
+
+// Serialize every Recharts surface inside node into one standalone SVG,
+// laid out left to right (the composition card holds two pies).
+const chartSvgMarkup = (node) => {
+  const surfaces = Array.from(node?.querySelectorAll("svg.recharts-surface") || []);
+  if (surfaces.length === 0) return null;
+  const serializer = new XMLSerializer();
+  let width = 0;
+  let height = 0;
+  const parts = surfaces.map(svg => {
+    const box = svg.getBoundingClientRect();
+    const clone = svg.cloneNode(true);
+    clone.setAttribute("x", String(width));
+    clone.setAttribute("y", "0");
+    clone.setAttribute("width", String(box.width));
+    clone.setAttribute("height", String(box.height));
+    width += box.width;
+    height = Math.max(height, box.height);
+    return serializer.serializeToString(clone);
+  });
+  const markup = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="12">`
+    + `<rect width="100%" height="100%" fill="#ffffff"/>${parts.join("")}</svg>`;
+  return { markup, width, height };
+};
+
+const svgToPngDataUrl = ({ markup, width, height }, scale = 2) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }));
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    resolve(canvas.toDataURL("image/png"));
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(t("export.imageFailed")));
+  };
+  img.src = url;
+});
+
+const downloadChartSvg = (node, baseName) => {
+  const svg = chartSvgMarkup(node);
+  if (svg) downloadBlob(new Blob([svg.markup], { type: "image/svg+xml;charset=utf-8" }), `${baseName}-${fileStamp()}.svg`);
+};
+
+const downloadChartPng = async (node, baseName) => {
+  const svg = chartSvgMarkup(node);
+  if (!svg) return;
+  const dataUrl = await svgToPngDataUrl(svg);
+  const blob = await (await fetch(dataUrl)).blob();
+  downloadBlob(blob, `${baseName}-${fileStamp()}.png`);
+};
+
+// Report layout: A4 portrait, mm units.
+const buildReportPdf = async ({ title, filters, sources, kpiCards, charts }) => {
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const pageW = doc.internal.pageSize.getWidth();
+  const pageH = doc.internal.pageSize.getHeight();
+  const margin = 14;
+  const contentW = pageW - margin * 2;
+  let y = margin;
+
+  const ensureSpace = (h) => {
+    if (y + h <= pageH - margin) return;
+    doc.addPage();
+    y = margin;
+  };
+  const textBlock = (text, size, style = "normal") => {
+    doc.setFont("helvetica", style);
+    doc.setFontSize(size);
+    const lines = doc.splitTextToSize(text, contentW);
+    ensureSpace(lines.length * size * 0.45);
+    doc.text(lines, margin, y + size * 0.35);
+    y += lines.length * size * 0.45 + 1;
+  };
+
+  textBlock(title, 16, "bold");
+  textBlock(t("report.generated", { date: new Date().toLocaleString(numberLocale()) }), 9);
+  textBlock(t("report.filters", { filters }), 9);
+  textBlock(t("report.sources", { sources }), 9);
+  y += 3;
+
+  if (kpiCards.length > 0) {
+    const boxW = (contentW - 3 * (kpiCards.length - 1)) / kpiCards.length;
+    ensureSpace(20);
+    kpiCards.forEach((k, i) => {
+      const x = margin + i * (boxW + 3);
+      doc.setDrawColor(210);
+      doc.roundedRect(x, y, boxW, 18, 2, 2);
+      doc.setFont("helvetica", "normal");
+      doc.setFontSize(8);
+      doc.text(k.label, x + 3, y + 5);
+      doc.setFont("helvetica", "bold");
+      doc.setFontSize(14);
+      doc.text(k.value, x + 3, y + 14);
+    });
+    y += 24;
+  }
+
+  for (const chart of charts) {
+    const svg = chartSvgMarkup(chart.node);
+    if (!svg) continue;
+    const imgH = (contentW * svg.height) / svg.width;
+    ensureSpace(imgH + 10);
+    textBlock(chart.title, 11, "bold");
+    doc.addImage(await svgToPngDataUrl(svg), "PNG", margin, y, contentW, imgH);
+    y += imgH + 6;
+  }
+
+  doc.save(`dashboard-report-${fileStamp()}.pdf`);
+};
+
+// A failed export is reported under the button until the menu is opened again
+function ExportMenu({ spec, chartNode }) {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const baseName = spec.id;
+  const actions = [
+    [t("export.csv"), () => downloadCsv(spec.data, baseName)],
+    [t("export.xlsx"), () => downloadXlsx(spec.data, baseName, spec.title)],
+    ...(spec.table ? [] : [
+      [t("export.svg"), () => downloadChartSvg(chartNode(), baseName)],
+      [t("export.png"), () => downloadChartPng(chartNode(), baseName)],
+    ]),
+  ];
+  const runAction = (run) => {
+    setOpen(false);
+    Promise.resolve().then(run).catch(err => setError(t("export.failed", { message: err.message || String(err) })));
+  };
+  return (
+    <div className="relative">
+      <Button variant="ghost" size="sm" aria-label={t("export.named", { title: spec.title })} onClick={() => { setError(null); setOpen(o => !o); }}><Download className="w-4 h-4"/></Button>
+      {open && (
+        <div className="absolute right-0 z-10 mt-1 w-40 rounded-xl border bg-white shadow-md py-1 text-sm">
+          {actions.map(([label, run]) => (
+            <button key={label} className="block w-full text-left px-3 py-1.5 hover:bg-neutral-100" onClick={() => runAction(run)}>{label}</button>
+          ))}
+        </div>
+      )}
+      {error && (
+        <div className="absolute right-0 z-10 mt-1 w-56 rounded-xl border bg-white shadow-md px-3 py-2 text-xs text-red-600" role="alert">{error}</div>
+      )}
+    </div>
+  );
+}
+
+// ------------- Chart accessibility -------------
+// Every chart card can show its rows as a table instead, and the chart area
+// is a focus stop: arrow keys (Home/End) step through spec.data, the
+// current row is passed to spec.render to be marked in the chart and read
+// out through a live region under the chart.
+const DATA_TABLE_LIMIT = 200;
+
+const cellText = (v) => {
+  if (v === null || v === undefined || v === "") return "–";
+  if (typeof v === "number") return numberFmt(v, Number.isInteger(v) ? 0 : 2);
+  return String(v);
+};
+
+const describePoint = (row) => dataFields(row).map(k => `${humanize(k)}: ${cellText(row[k])}`).join(", ");
+
+// Next point index for a key press, or undefined when the key isn't ours
+const stepPoint = (key, index, count) => {
+  if (count === 0) return undefined;
+  if (key === "ArrowRight" || key === "ArrowDown") return index === null ? 0 : Math.min(count - 1, index + 1);
+  if (key === "ArrowLeft" || key === "ArrowUp") return index === null ? 0 : Math.max(0, index - 1);
+  if (key === "Home") return 0;
+  if (key === "End") return count - 1;
+  if (key === "Escape") return null;
+  return undefined;
+};
+
+function ChartDataTable({ spec }) {
+  const [sort, setSort] = useState({ key: null, dir: 1 });
+  const rows = exportRows(spec.data);
+  const columns = Array.from(new Set(rows.slice(0, 1000).flatMap(r => Object.keys(r))));
+  const numeric = new Set(columns.filter(c => rows.some(r => typeof r[c] === "number")));
+  const sorted = sort.key === null ? rows : [...rows].sort((a, b) => {
+    const x = a[sort.key] ?? null;
+    const y = b[sort.key] ?? null;
+    if (x === null) return 1;
+    if (y === null) return -1;
+    return (typeof x === "number" && typeof y === "number" ? x - y : String(x).localeCompare(String(y), undefined, { numeric: true })) * sort.dir;
+  });
+  const onSort = (key) => setSort(s => ({ key, dir: s.key === key ? -s.dir : 1 }));
+  if (rows.length === 0) return <div className="text-sm text-neutral-500">{t("a11y.noRows")}</div>;
+  return (
+    <table className="w-full text-sm">
+      <caption className="text-left text-xs text-neutral-500 pb-1">{t("a11y.tableCaption", { title: spec.title, count: numberFmt(rows.length) })}</caption>
+      <thead>
+        <tr className="text-left text-xs text-neutral-500">
+          {columns.map(c => (
+            <th key={c} scope="col" className={`py-1 ${numeric.has(c) ? "text-right" : ""}`} aria-sort={sort.key === c ? (sort.dir > 0 ? "ascending" : "descending") : "none"}>
+              <button className="hover:underline" onClick={() => onSort(c)}>
+                {humanize(c)}{sort.key === c ? (sort.dir > 0 ? " ▲" : " ▼") : ""}
+              </button>
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {sorted.slice(0, DATA_TABLE_LIMIT).map((r, i) => (
+          <tr key={i} className="border-t">
+            {columns.map(c => (<td key={c} className={`py-1 ${numeric.has(c) ? "text-right" : ""}`}>{cellText(r[c])}</td>))}
+          </tr>
+        ))}
+      </tbody>
+      {rows.length > DATA_TABLE_LIMIT && (
+        <tfoot>
+          <tr><td colSpan={columns.length} className="text-xs text-neutral-500 pt-1">{t("a11y.tableTruncated", { shown: numberFmt(DATA_TABLE_LIMIT), total: numberFmt(rows.length) })}</td></tr>
+        </tfoot>
+      )}
+    </table>
+  );
+}
+
+function ChartCard({ spec }) {
+  const ref = React.useRef(null);
+  const hintId = React.useId();
+  const [asTable, setAsTable] = useState(false);
+  const [point, setPoint] = useState(null);
+  const rows = spec.data || [];
+  const current = point !== null && point < rows.length ? rows[point] : null;
+  const onKeyDown = (e) => {
+    const next = stepPoint(e.key, point, rows.length);
+    if (next === undefined) return;
+    e.preventDefault();
+    setPoint(next);
+  };
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader className="flex flex-row items-start justify-between gap-2">
+        <div className="space-y-1">
+          <CardTitle>{spec.title}</CardTitle>
+          {spec.badges?.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {spec.badges.map(b => (<span key={b.key} className={`rounded-full px-2 py-0.5 text-xs ${b.className}`}>{b.text}</span>))}
+            </div>
+          )}
+        </div>
+        <div className="flex items-center">
+          {!spec.table && (
+            <Button variant="ghost" size="sm" aria-pressed={asTable} aria-label={t(asTable ? "a11y.showChart" : "a11y.showTable", { title: spec.title })} title={t(asTable ? "a11y.showChart" : "a11y.showTable", { title: spec.title })} onClick={() => { setAsTable(v => !v); setPoint(null); }}>
+              {asTable ? <BarChart3 className="w-4 h-4"/> : <TableIcon className="w-4 h-4"/>}
+            </Button>
+          )}
+          <ExportMenu spec={asTable ? { ...spec, table: true } : spec} chartNode={() => ref.current} />
+        </div>
+      </CardHeader>
+      <CardContent ref={ref} className={asTable ? "max-h-96 overflow-auto" : spec.height}>
+        {spec.table ? spec.render() : asTable ? <ChartDataTable spec={spec} /> : (
+          <div
+            className="h-full rounded-md focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-600"
+            tabIndex={0}
+            role="group"
+            aria-label={spec.title}
+            aria-describedby={hintId}
+            onKeyDown={onKeyDown}
+            onBlur={() => setPoint(null)}
+          >
+            {spec.render(current)}
+          </div>
+        )}
+      </CardContent>
+      {!spec.table && !asTable && (
+        <div id={hintId} className={current ? "px-6 pb-4 text-xs text-neutral-600" : "sr-only"} aria-live="polite">
+          {current
+            ? t("a11y.point", { n: point + 1, count: rows.length, text: describePoint(current) })
+            : t("a11y.chartHint", { count: rows.length })}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+function ReportBuilder({ specs, busy, error, onBuild, onClose }) {
+  const [selected, setSelected] = useState(() => specs.map(s => s.id));
+  const [includeKpis, setIncludeKpis] = useState(true);
+  const toggle = (id) => setSelected(sel => (sel.includes(id) ? sel.filter(x => x !== id) : [...sel, id]));
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="text-lg flex items-center gap-2"><FileText className="w-5 h-5"/>{t("report.title")}</CardTitle>
+        <Button variant="ghost" size="sm" onClick={onClose}>{t("action.close")}</Button>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={includeKpis} onChange={(e) => setIncludeKpis(e.target.checked)} />
+          {t("report.kpis")}
+        </label>
+        <div className="grid md:grid-cols-2 gap-1">
+          {specs.map(s => (
+            <label key={s.id} className="flex items-center gap-2">
+              <input type="checkbox" checked={selected.includes(s.id)} onChange={() => toggle(s.id)} />
+              {s.title}
+            </label>
+          ))}
+        </div>
+        <div className="flex items-center gap-3">
+          <Button size="sm" className="rounded-2xl" disabled={busy} onClick={() => onBuild({ chartIds: specs.filter(s => selected.includes(s.id)).map(s => s.id), includeKpis })}>
+            <Download className="w-4 h-4 mr-2"/>{t(busy ? "report.building" : "report.build")}
+          </Button>
+          <span className="text-xs text-neutral-500">{t("report.hint")}</span>
+        </div>
+        {error && <div className="flex items-center gap-2 text-xs text-red-600" role="alert"><AlertTriangle className="w-4 h-4"/>{error}</div>}
+      </CardContent>
+    </Card>
+  );
+}
+
+// ------------- Custom layouts -------------
+// Custom tabs are plain JSON so each team can keep and share its own view:
+//   { version: 1, tabs: [{ id, title, cards: [card] }] }
+// A card is a built-in chart, { id, width, builtin: "<chart id>" }, or
+// declarative: { id, width, title, dataset, scope, chart, transform, series? }
+//  - dataset: xbox | esg | bench | grid
+//  - scope: "view" applies the dashboard filters (only the year range for
+//    datasets other than Xbox); "all" uses every row
+//  - transform: grouping and measures, see runCardTransform
+//  - chart: one of CARD_CHARTS
+//  - series: optional [{ key, label?, color? }] to pick, rename and color
+//    series; without it every series is drawn
+// width is the number of grid columns (1–3) the card spans.
+const LAYOUT_VERSION = 1;
+const EMPTY_LAYOUT = { version: LAYOUT_VERSION, tabs: [] };
+
+const CARD_CHARTS = [
+  { id: "line", label: "Line" },
+  { id: "bar", label: "Bar" },
+  { id: "stacked-bar", label: "Stacked bar" },
+  { id: "area", label: "Area" },
+  { id: "pie", label: "Pie (first series)" },
+  { id: "table", label: "Table" },
+];
+
+const CARD_WIDTHS = [
+  { id: 1, label: "⅓ width" },
+  { id: 2, label: "⅔ width" },
+  { id: 3, label: "Full width" },
+];
+const CARD_SPAN = { 1: "md:col-span-1", 2: "md:col-span-2", 3: "md:col-span-3" };
+
+const newLayoutCard = () => ({
+  id: newId("card"),
+  width: 1,
+  title: t("layout.newCardTitle"),
+  dataset: "xbox",
+  scope: "view",
+  chart: "stacked-bar",
+  transform: { groupBy: "FiscalYear", pivot: "Region", measures: [{ column: "TitleEnergy_MWh", agg: "sum" }] },
+});
+
+// Check an imported or restored layout; throws Error naming the bad part,
+// with the problem alone (without the tab and card) as `problem`.
+// Missing or repeated tab and card ids are replaced with fresh ones.
+const layoutProblem = (where, key, vars) => {
+  const problem = t(key, vars);
+  return Object.assign(new Error(where ? `${where}: ${problem}` : problem), { problem });
+};
+const normalizeLayout = (raw) => {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.tabs)) throw layoutProblem("", "layout.error.shape");
+  if (raw.version !== undefined && raw.version > LAYOUT_VERSION) throw layoutProblem("", "layout.error.version", { version: raw.version });
+  const seen = new Set();
+  const uniqueId = (id, prefix, valid) => {
+    const next = valid && !seen.has(id) ? id : newId(prefix);
+    seen.add(next);
+    return next;
+  };
+  const tabs = raw.tabs.map((tab, ti) => {
+    const where = t("layout.error.tab", { tab: ti + 1 });
+    if (!tab || !Array.isArray(tab.cards)) throw layoutProblem(where, "layout.error.cards");
+    const id = uniqueId(tab.id, CUSTOM_TAB_PREFIX.slice(0, -1), typeof tab.id === "string" && tab.id.startsWith(CUSTOM_TAB_PREFIX));
+    const cards = tab.cards.map((c, ci) => {
+      const at = t("layout.error.card", { tab: ti + 1, card: ci + 1 });
+      const width = Math.min(3, Math.max(1, Math.round(Number(c?.width) || 1)));
+      const base = { id: uniqueId(c?.id, "card", typeof c?.id === "string" && c.id !== ""), width };
+      if (typeof c?.builtin === "string") return { ...base, builtin: c.builtin };
+      if (!DATASET_SCHEMAS[c?.dataset]) throw layoutProblem(at, "layout.error.dataset", { dataset: c?.dataset });
+      if (!CARD_CHARTS.some(x => x.id === c.chart)) throw layoutProblem(at, "layout.error.chart", { chart: c.chart });
+      const tr = c.transform || {};
+      if (typeof tr.groupBy !== "string" || !tr.groupBy) throw layoutProblem(at, "layout.error.groupBy");
+      if (!Array.isArray(tr.measures) || tr.measures.length === 0) throw layoutProblem(at, "layout.error.measures");
+      tr.measures.forEach((m, mi) => {
+        if (!CARD_AGGREGATES.includes(m?.agg)) throw layoutProblem(at, "layout.error.agg", { measure: mi + 1, aggs: CARD_AGGREGATES.join(", ") });
+        if (m.agg !== "count" && (typeof m.column !== "string" || !m.column)) throw layoutProblem(at, "layout.error.column", { measure: mi + 1 });
+      });
+      return {
+        ...base,
+        title: String(c.title ?? ""),
+        dataset: c.dataset,
+        scope: c.scope === "all" ? "all" : "view",
+        chart: c.chart,
+        transform: { ...tr, limit: tr.limit ? Number(tr.limit) : undefined },
+        ...(Array.isArray(c.series) ? { series: c.series.filter(s => s && typeof s.key === "string") } : {}),
+      };
+    });
+    return { id, title: String(tab.title ?? t("layout.newTabTitle", { n: ti + 1 })), cards };
+  });
+  return { version: LAYOUT_VERSION, tabs };
+};
+
+// Chart for a declarative card. series: [{ key, label?, color }]
+// active: the row reached with the arrow keys, marked in the chart
+function LayoutChart({ chart, data, xKey, series, theme, active }) {
+  if (chart === "table") {
+    return (
+      <div className="max-h-80 overflow-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-neutral-500">
+              <th className="py-1">{humanize(xKey)}</th>
+              {series.map(s => (<th key={s.key} className="text-right">{s.label || s.key}</th>))}
+            </tr>
+          </thead>
+          <tbody>
+            {data.map((r, i) => (
+              <tr key={i} className="border-t">
+                <td className="py-1">{r[xKey]}</td>
+                {series.map(s => (<td key={s.key} className="text-right">{numberFmt(r[s.key], Math.abs(r[s.key]) < 100 ? 2 : 0)}</td>))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+  if (chart === "pie") {
+    const first = series[0];
+    return (
+      <ResponsiveContainer width="100%" height="100%">
+        <PieChart>
+          {first && (
+            <Pie dataKey={first.key} nameKey={xKey} data={data} outerRadius={90}>
+              {data.map((r, i) => (<Cell key={i} fill={theme.palette[i % PALETTE_SIZE]} {...markStroke(theme, r === active)} />))}
+            </Pie>
+          )}
+          <Tooltip formatter={(v) => numberFmt(v, 1)} />
+          <Legend />
+        </PieChart>
+      </ResponsiveContainer>
+    );
+  }
+  const Chart = chart === "line" ? LineChart : chart === "area" ? AreaChart : BarChart;
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <Chart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey={xKey} />
+        <YAxis />
+        <Tooltip formatter={(v) => numberFmt(v, 1)} />
+        <Legend />
+        {series.map(s => {
+          const common = { key: s.key, dataKey: s.key, name: s.label || s.key };
+          if (chart === "line") return <Line {...common} type="monotone" stroke={s.color} connectNulls />;
+          if (chart === "area") return <Area {...common} type="monotone" stroke={s.color} fill={s.color} fillOpacity={0.3} />;
+          return <Bar {...common} fill={s.color} stackId={chart === "stacked-bar" ? "stack" : undefined} />;
+        })}
+        {active && <ReferenceLine x={active[xKey]} stroke={theme.marker} strokeWidth={2} strokeDasharray="4 3" />}
+      </Chart>
+    </ResponsiveContainer>
+  );
+}
+
+function LayoutCardEditor({ card, builtinOptions, columnsFor, onSave, onCancel }) {
+  const [draft, setDraft] = useState(card);
+  const [error, setError] = useState("");
+  const isBuiltin = typeof draft.builtin === "string";
+  const set = (patch) => setDraft(d => ({ ...d, ...patch }));
+  const setTransform = (patch) => setDraft(d => ({ ...d, transform: { ...d.transform, ...patch } }));
+  const setMeasure = (i, patch) => setTransform({ measures: draft.transform.measures.map((m, j) => (j === i ? { ...m, ...patch } : m)) });
+  const columns = isBuiltin ? [] : columnsFor(draft.dataset);
+  const switchKind = (builtin) => {
+    const base = { id: draft.id, width: draft.width };
+    setDraft(builtin ? { ...base, builtin: builtinOptions[0]?.id ?? "" } : { ...newLayoutCard(), ...base });
+  };
+
+  return (
+    <Card className="rounded-2xl shadow-sm border-blue-200">
+      <CardContent className="pt-4 space-y-3 text-sm">
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="space-y-1">
+            <div className="text-xs text-neutral-600">{t("layout.card")}</div>
+            <select className="border rounded-md px-2 py-1 bg-white" value={isBuiltin ? "builtin" : "custom"} onChange={(e) => switchKind(e.target.value === "builtin")}>
+              <option value="custom">{t("layout.customChart")}</option>
+              <option value="builtin">{t("layout.builtinChart")}</option>
+            </select>
+          </label>
+          {isBuiltin ? (
+            <label className="space-y-1">
+              <div className="text-xs text-neutral-600">{t("layout.chart")}</div>
+              <select className="border rounded-md px-2 py-1 bg-white" value={draft.builtin} onChange={(e) => set({ builtin: e.target.value })}>
+                {builtinOptions.map(o => (<option key={o.id} value={o.id}>{o.title}</option>))}
+              </select>
+            </label>
+          ) : (
+            <>
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("layout.title")}</div>
+                <Input className="w-56" value={draft.title} onChange={(e) => set({ title: e.target.value })} />
+              </label>
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("layout.dataset")}</div>
+                <select className="border rounded-md px-2 py-1 bg-white" value={draft.dataset} onChange={(e) => {
+                  const cols = columnsFor(e.target.value);
+                  setDraft(d => ({ ...d, dataset: e.target.value, transform: { groupBy: cols[1] ?? cols[0], measures: [{ agg: "count" }] } }));
+                }}>
+                  {Object.keys(DATASET_SCHEMAS).map(kind => (<option key={kind} value={kind}>{datasetName(kind)}</option>))}
+                </select>
+              </label>
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("layout.rows")}</div>
+                <select className="border rounded-md px-2 py-1 bg-white" value={draft.scope} onChange={(e) => set({ scope: e.target.value })}>
+                  <option value="view">{t("layout.scope.view")}</option>
+                  <option value="all">{t("layout.scope.all")}</option>
+                </select>
+              </label>
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("layout.chartType")}</div>
+                <select className="border rounded-md px-2 py-1 bg-white" value={draft.chart} onChange={(e) => set({ chart: e.target.value })}>
+                  {CARD_CHARTS.map(c => (<option key={c.id} value={c.id}>{tLabel("layout.chartType", c)}</option>))}
+                </select>
+              </label>
+            </>
+          )}
+        </div>
+
+        {!isBuiltin && (
+          <div className="flex flex-wrap items-end gap-3">
+            <label className="space-y-1">
+              <div className="text-xs text-neutral-600">{t("layout.groupBy")}</div>
+              <select className="border rounded-md px-2 py-1 bg-white" value={draft.transform.groupBy} onChange={(e) => setTransform({ groupBy: e.target.value })}>
+                {columns.map(c => (<option key={c} value={c}>{c}</option>))}
+              </select>
+            </label>
+            <label className="space-y-1">
+              <div className="text-xs text-neutral-600">{t("layout.pivot")}</div>
+              <select className="border rounded-md px-2 py-1 bg-white" value={draft.transform.pivot || ""} onChange={(e) => setTransform({ pivot: e.target.value || undefined })}>
+                <option value="">{t("layout.pivotNone")}</option>
+                {columns.map(c => (<option key={c} value={c}>{c}</option>))}
+              </select>
+            </label>
+            {draft.transform.measures.map((m, i) => (
+              <div key={i} className="flex items-end gap-1">
+                <label className="space-y-1">
+                  <div className="text-xs text-neutral-600">{t("layout.measure", { n: i + 1 })}</div>
+                  <select className="border rounded-md px-2 py-1 bg-white" value={m.agg} onChange={(e) => setMeasure(i, { agg: e.target.value })}>
+                    {CARD_AGGREGATES.map(a => (<option key={a} value={a}>{a}</option>))}
+                  </select>
+                </label>
+                {m.agg !== "count" && (
+                  <select className="border rounded-md px-2 py-1 bg-white" aria-label={t("layout.measureColumn", { n: i + 1 })} value={m.column || ""} onChange={(e) => setMeasure(i, { column: e.target.value })}>
+                    <option value="" disabled>{t("layout.columnPlaceholder")}</option>
+                    {columns.map(c => (<option key={c} value={c}>{c}</option>))}
+                  </select>
+                )}
+                {draft.transform.measures.length > 1 && (
+                  <Button variant="ghost" size="sm" onClick={() => setTransform({ measures: draft.transform.measures.filter((_, j) => j !== i) })}>×</Button>
+                )}
+              </div>
+            ))}
+            <Button variant="outline" size="sm" onClick={() => setTransform({ measures: [...draft.transform.measures, { agg: "sum", column: "" }] })}>{t("layout.addMeasure")}</Button>
+            <label className="space-y-1">
+              <div className="text-xs text-neutral-600">{t("layout.order")}</div>
+              <select className="border rounded-md px-2 py-1 bg-white" value={draft.transform.sort || "key"} onChange={(e) => setTransform({ sort: e.target.value })}>
+                <option value="key">{t("layout.order.key")}</option>
+                <option value="value-desc">{t("layout.order.valueDesc")}</option>
+              </select>
+            </label>
+            <label className="space-y-1">
+              <div className="text-xs text-neutral-600">{t("layout.limit")}</div>
+              <Input type="number" min={0} className="w-20" value={draft.transform.limit || ""} onChange={(e) => setTransform({ limit: Number(e.target.value) || undefined })} />
+            </label>
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-2">
+          <Button size="sm" className="rounded-2xl" onClick={() => {
+            try {
+              onSave(normalizeLayout({ tabs: [{ id: CUSTOM_TAB_PREFIX, cards: [draft] }] }).tabs[0].cards[0]);
+            } catch (err) {
+              setError(err.problem || err.message);
+            }
+          }}>{t("layout.saveCard")}</Button>
+          <Button variant="ghost" size="sm" onClick={onCancel}>{t("action.cancel")}</Button>
+          {error && <span className="text-red-600" role="alert">{error}</span>}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function CustomTabContent({ tab, onChange, onDelete, cardSpec, builtinOptions, columnsFor }) {
+  const [editing, setEditing] = useState(null); // card being edited (new or existing)
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const setCards = (cards) => onChange({ ...tab, cards });
+  const move = (i, step) => {
+    const cards = tab.cards.slice();
+    const [card] = cards.splice(i, 1);
+    cards.splice(i + step, 0, card);
+    setCards(cards);
+  };
+  const saveCard = (card) => {
+    setCards(tab.cards.some(c => c.id === card.id) ? tab.cards.map(c => (c.id === card.id ? card : c)) : [...tab.cards, card]);
+    setEditing(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label className="space-y-1">
+          <div className="text-xs text-neutral-600">{t("layout.tabName")}</div>
+          <Input className="w-56" value={tab.title} onChange={(e) => onChange({ ...tab, title: e.target.value })} />
+        </label>
+        <Button size="sm" className="rounded-2xl" onClick={() => setEditing(newLayoutCard())}>{t("layout.addCard")}</Button>
+        <Button variant="ghost" size="sm" onClick={() => (tab.cards.length ? setConfirmDelete(true) : onDelete())}>{t("layout.deleteTab")}</Button>
+        {confirmDelete && (
+          <span className="inline-flex flex-wrap items-center gap-2 text-red-600" role="alert">
+            {t("layout.confirmDelete", { title: tab.title, count: tab.cards.length })}
+            <Button variant="outline" size="sm" onClick={onDelete}>{t("action.delete")}</Button>
+            <Button variant="ghost" size="sm" onClick={() => setConfirmDelete(false)}>{t("action.cancel")}</Button>
+          </span>
+        )}
+      </div>
+      {editing && (
+        <LayoutCardEditor key={editing.id} card={editing} builtinOptions={builtinOptions} columnsFor={columnsFor} onSave={saveCard} onCancel={() => setEditing(null)} />
+      )}
+      {tab.cards.length === 0 && !editing && (
+        <div className="text-sm text-neutral-500">{t("layout.empty")}</div>
+      )}
+      <div className="grid md:grid-cols-3 gap-6">
+        {tab.cards.map((card, i) => (
+          <div key={card.id} className={`${CARD_SPAN[card.width] || CARD_SPAN[1]} space-y-1`}>
+            <div className="flex flex-wrap items-center justify-end gap-1 text-xs">
+              <Button variant="ghost" size="sm" aria-label={t("layout.moveEarlier")} disabled={i === 0} onClick={() => move(i, -1)}>←</Button>
+              <Button variant="ghost" size="sm" aria-label={t("layout.moveLater")} disabled={i === tab.cards.length - 1} onClick={() => move(i, 1)}>→</Button>
+              <select className="border rounded-md px-1 py-0.5 bg-white" aria-label={t("layout.width")} value={card.width} onChange={(e) => setCards(tab.cards.map(c => (c.id === card.id ? { ...c, width: Number(e.target.value) } : c)))}>
+                {CARD_WIDTHS.map(w => (<option key={w.id} value={w.id}>{tLabel("layout.width", w)}</option>))}
+              </select>
+              <Button variant="ghost" size="sm" onClick={() => setEditing(card)}>{t("action.edit")}</Button>
+              <Button variant="ghost" size="sm" onClick={() => setCards(tab.cards.filter(c => c.id !== card.id))}>{t("action.remove")}</Button>
+            </div>
+            <ChartCard spec={cardSpec(card)} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ------------- Background aggregation -------------
+// Xbox datasets at or above this size are aggregated in the worker; the
+// worker keeps its own copy of the rows so a query only sends its
+// parameters (see runXboxQuery).
+const WORKER_ROW_THRESHOLD = 50000;
+
+// -> { offload, worker }. offload is true for large datasets while workers
+// work; worker is null until it has been started.
+function useXboxWorker(rows) {
+  const [workerFailed, setWorkerFailed] = useState(false);
+  const [worker, setWorker] = useState(null);
+  const offload = !workerFailed && rows.length >= WORKER_ROW_THRESHOLD && typeof Worker !== "undefined";
+
+  React.useEffect(() => {
+    if (!offload) return undefined;
+    let w;
+    try {
+      w = createDashboardWorker();
+    } catch (err) {
+      console.warn("Aggregation worker unavailable", err);
+      setWorkerFailed(true);
+      return undefined;
+    }
+    w.onerror = (err) => {
+      console.warn("Aggregation worker failed, aggregating on the main thread", err);
+      setWorkerFailed(true);
+    };
+    w.postMessage({ type: "rows", rows });
+    setWorker(w);
+    return () => {
+      w.terminate();
+      setWorker(null);
+    };
+  }, [offload, rows]);
+
+  return { offload, worker: offload ? worker : null };
+}
+
+// runXboxQuery(rows, query), in the worker for large datasets. A disabled
+// query (its charts are not on screen) is not run; like a query still
+// waiting for the worker it yields the result for no rows, or the last
+// answer received. `pending` is true while a worker answer is outstanding.
+function useXboxQuery({ offload, worker }, rows, query, enabled = true) {
+  const empty = useMemo(() => runXboxQuery([], query), [query]);
+  const local = useMemo(
+    () => (offload || !enabled ? null : runXboxQuery(rows, query)),
+    [offload, enabled, rows, query]
+  );
+  const [remote, setRemote] = useState({ id: null, result: null });
+  const [requested, setRequested] = useState(null);
+
+  React.useEffect(() => {
+    if (!worker || !enabled) return undefined;
+    const id = newId(query.kind);
+    const onMessage = (e) => {
+      const msg = e.data;
+      if (msg.id !== id) return;
+      if (msg.type === "result") setRemote({ id, result: msg.result });
+      // The worker couldn't answer: run this query here rather than keep
+      // showing the previous query's figures
+      if (msg.type === "error") setRemote({ id, result: runXboxQuery(rows, query) });
+    };
+    worker.addEventListener("message", onMessage);
+    worker.postMessage({ type: "query", id, query });
+    setRequested(id);
+    return () => worker.removeEventListener("message", onMessage);
+  }, [worker, enabled, rows, query]);
+
+  if (!offload) return { result: local || empty, pending: false };
+  return { result: remote.result || empty, pending: enabled && (!worker || remote.id !== requested) };
+}
+
+// ------------- Main App -------------
+export default function Dashboard() {
+  // Language for labels and number formats. A new choice is applied once its
+  // render commits (before paint) and the dashboard renders again in it, so
+  // renders React discards never change the language of the committed UI.
+  const [locale, setLocaleChoice] = useState(DEFAULT_LOCALE);
+  const [appliedLocale, setAppliedLocale] = useState(locale);
+  React.useLayoutEffect(() => {
+    setLocale(locale);
+    setAppliedLocale(locale);
+  }, [locale]);
+  const [theme, setThemeChoice] = useState("light");
+  const activeTheme = themeById(theme);
+  const [units, setUnits] = useState(DEFAULT_DISPLAY_UNITS); // display unit per dimension, see units.js
+  const [xboxRows, setXboxRows] = useState(() => tagRows(SAMPLE_XBOX, "sample-xbox"));
+  const [esgRows, setEsgRows] = useState(() => tagRows(SAMPLE_ESG, "sample-esg"));
+  const [benchRows, setBenchRows] = useState(() => tagRows(SAMPLE_BENCHMARK, "sample-bench"));
+  const [gridRows, setGridRows] = useState(() => tagRows(SAMPLE_GRID_FACTORS, "sample-grid"));
+  const [sources, setSources] = useState(SAMPLE_SOURCES);
+  const [pendingImport, setPendingImport] = useState(null); // { kind, fileName, rows, fields, parseErrors }
+  const [parseProgress, setParseProgress] = useState(null); // { kind, fileName, share }
+  const [pendingMerge, setPendingMerge] = useState(null); // { kind, source, incoming, conflicts }
+  const [uploadMode, setUploadMode] = useState("replace"); // "replace" | "merge"
+  const [conflictPolicy, setConflictPolicy] = useState("newest"); // "newest" | "existing" | "ask"
+  const datasets = { xbox: xboxRows, esg: esgRows, bench: benchRows, grid: gridRows };
+  const datasetSetters = { xbox: setXboxRows, esg: setEsgRows, bench: setBenchRows, grid: setGridRows };
+
+  // Rows excluded in the data quality panel stay in the dataset (so they can
+  // be brought back) but are left out of every view
+  const activeXbox = useMemo(() => xboxRows.filter(r => !r._excluded), [xboxRows]);
+  const activeEsg = useMemo(() => esgRows.filter(r => !r._excluded), [esgRows]);
+  const activeBench = useMemo(() => benchRows.filter(r => !r._excluded), [benchRows]);
+  const activeGrid = useMemo(() => gridRows.filter(r => !r._excluded), [gridRows]);
+
+  const setRowsExcluded = (kind, indexes, excluded) => {
+    const set = new Set(indexes);
+    datasetSetters[kind](rows => rows.map((r, i) => {
+      if (!set.has(i)) return r;
+      const { _excluded, ...rest } = r;
+      return excluded ? { ...rest, _excluded: true } : rest;
+    }));
+  };
+
+  // A hand-fixed cell is no longer "coerced"
+  const fixCell = (kind, index, column, value) => {
+    datasetSetters[kind](rows => rows.map((r, i) => {
+      if (i !== index) return r;
+      const coerced = (r._coerced || []).filter(c => c !== column);
+      const { _coerced, ...rest } = r;
+      return coerced.length ? { ...rest, [column]: value, _coerced: coerced } : { ...rest, [column]: value };
+    }));
+  };
+
+  const sourceRowCounts = useMemo(() => {
+    const counts = {};
+    [xboxRows, esgRows, benchRows, gridRows].forEach(rows => rows.forEach(r => { counts[r._sourceId] = (counts[r._sourceId] || 0) + 1; }));
+    return counts;
+  }, [xboxRows, esgRows, benchRows, gridRows]);
+
+  const commitImport = (kind, fileName, rows) => {
+    const source = { id: newId("src"), kind, fileName, loadedAt: new Date().toISOString() };
+    const tagged = tagRows(rows, source.id);
+    if (uploadMode === "replace") {
+      datasetSetters[kind](tagged);
+      setSources(s => [...s.filter(x => x.kind !== kind), source]);
+      return;
+    }
+    const merged = mergeRows(datasets[kind], tagged, DATASET_SCHEMAS[kind].naturalKey, conflictPolicy);
+    if (merged.conflicts.length > 0) {
+      setPendingMerge({ kind, source, incoming: tagged, conflicts: merged.conflicts });
+      return;
+    }
+    datasetSetters[kind](merged.rows);
+    setSources(s => [...s, source]);
+  };
+
+  // The merge is redone against the rows as they are now, so edits made while
+  // the dialog was open survive. Conflicts that appeared since keep the
+  // existing version.
+  const resolveMerge = (choice) => {
+    const { kind, source, incoming, conflicts } = pendingMerge;
+    const picked = new Map(conflicts.map((c, i) => [c.key, choice[i]]));
+    datasetSetters[kind](current => {
+      const merged = mergeRows(current, incoming, DATASET_SCHEMAS[kind].naturalKey, "ask");
+      merged.conflicts.forEach(c => {
+        merged.rows[c.index] = picked.get(c.key) === "incoming" ? shadowRow(c.incoming, c.existing) : shadowRow(c.existing, c.incoming);
+      });
+      return merged.rows;
+    });
+    setSources(s => [...s, source]);
+    setPendingMerge(null);
+  };
+
+  const removeSource = (source) => {
+    datasetSetters[source.kind](rows => withoutSource(rows, source.id));
+    setSources(s => s.filter(x => x.id !== source.id));
+  };
+
+  const onFilePicked = (kind, e) => {
+    const f = e.target.files?.[0];
+    e.target.value = ""; // allow re-picking the same file after a cancel
+    if (!f) return;
+    setParseProgress({ kind, fileName: f.name, share: 0 });
+    parseCsv(
+      f,
+      (rows, fields, parseErrors) => {
+        setParseProgress(null);
+        setPendingImport({ kind, fileName: f.name, rows, fields, parseErrors });
+      },
+      (share) => setParseProgress(p => (p && p.fileName === f.name ? { ...p, share } : p))
+    );
+  };
+
+  const [urlState] = useState(readUrlState);
+  const [regions, setRegions] = useState(urlState.regions || []); // empty = all regions
+  const [crossTitles, setCrossTitles] = useState(urlState.titles || []);
+  const [crossYears, setCrossYears] = useState(urlState.years || []);
+  const [yearRange, setYearRange] = useState(urlState.yearRange || yearsRangeFromData(SAMPLE_XBOX));
+  const [tab, setTab] = useState(urlState.tab || "ci");
+  const [hydrated, setHydrated] = useState(false);
+  const [showInsights, setShowInsights] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [forecast, setForecast] = useState({ method: "linear", horizon: 2030 });
+  const [targets, setTargets] = useState([]);
+  const [benchMetric, setBenchMetric] = useState("EmissionsIntensity");
+  const [benchFocus, setBenchFocus] = useState("Microsoft");
+  const [benchLowerIsBetter, setBenchLowerIsBetter] = useState(true);
+  const [standingsYear, setStandingsYear] = useState(null);
+  const [composition, setComposition] = useState({ dimension: "Title", view: "pie", topN: 6 });
+  const [explorer, setExplorer] = useState({ metrics: null, mode: "absolute", baseYear: null }); // metrics: null = default pick
+  const [sdgFocus, setSdgFocus] = useState(null); // SDG code whose metrics the SDG tab is narrowed to
+  const [gridBasis, setGridBasis] = useState("location");
+  const [gridTolerance, setGridTolerance] = useState(5); // % difference before a row is flagged
+  const [gridOnlyFlagged, setGridOnlyFlagged] = useState(false);
+  const [kpiWeighting, setKpiWeighting] = useState("rows"); // see POWER_WEIGHTINGS
+  const [customKpis, setCustomKpis] = useState([]); // [{ id, label, formula, digits }]
+  const [showKpiBuilder, setShowKpiBuilder] = useState(false);
+  const [scenarios, setScenarios] = useState([]); // saved: [{ id, name, powerCuts, shifts, renewablePct }]
+  const [scenarioDraft, setScenarioDraft] = useState(newScenarioDraft);
+  const [scenarioCompareIds, setScenarioCompareIds] = useState([]);
+  const [compare, setCompare] = useState(() => newCompare(yearsRangeFromData(SAMPLE_XBOX)));
+  const [quality, setQuality] = useState({ kind: "xbox", outlierMethod: "iqr", jumpPct: 50, issue: "all" });
+  const [layout, setLayout] = useState(EMPTY_LAYOUT);
+  const [layoutError, setLayoutError] = useState("");
+  const [reportJob, setReportJob] = useState(null); // { chartIds, chartTitles, title, filters, sources, kpiCards } while a PDF is being built
+  const [reportError, setReportError] = useState(null); // why the last build failed
+  const pendingUrlRange = React.useRef(urlState.yearRange);
+  const skipNextSave = React.useRef(true);
+
+  // Restore saved datasets once on mount
+  React.useEffect(() => {
+    Promise.all([idbGet(DATASETS_KEY), idbGet(CONFIG_KEY)])
+      .then(([saved, config]) => {
+        if (config) {
+          if (config.forecast) setForecast(config.forecast);
+          if (config.targets) setTargets(config.targets);
+          if (config.composition) setComposition(config.composition);
+          if (config.scenarios) setScenarios(config.scenarios);
+          if (config.kpiWeighting) setKpiWeighting(config.kpiWeighting);
+          if (config.customKpis) setCustomKpis(config.customKpis);
+          if (config.locale && LOCALES.some(l => l.id === config.locale)) setLocaleChoice(config.locale);
+          if (config.units) setUnits(u => ({ ...u, ...config.units }));
+          if (config.theme && THEMES.some(x => x.id === config.theme)) setThemeChoice(config.theme);
+          if (config.layout) {
+            try {
+              setLayout(normalizeLayout(config.layout));
+            } catch (err) {
+              console.warn("Ignoring saved layout", err);
+            }
+          }
+        }
+        if (!saved) return;
+        setXboxRows(saved.xboxRows || []);
+        setEsgRows(saved.esgRows || []);
+        setBenchRows(saved.benchRows || []);
+        setGridRows(saved.gridRows || tagRows(SAMPLE_GRID_FACTORS, "sample-grid"));
+        setSources(saved.sources || []);
+      })
+      .catch(err => console.warn("Could not restore saved datasets", err))
+      .finally(() => setHydrated(true));
+  }, []);
+
+  // Save datasets after every change (skipping the restore itself and resets)
+  React.useEffect(() => {
+    if (!hydrated) return;
+    if (skipNextSave.current) {
+      skipNextSave.current = false;
+      return;
+    }
+    idbSet(DATASETS_KEY, { xboxRows, esgRows, benchRows, gridRows, sources }).catch(err => console.warn("Could not save datasets", err));
+  }, [hydrated, xboxRows, esgRows, benchRows, gridRows, sources]);
+
+  // Dashboard configuration (forecast settings, targets, composition view,
+  // scenarios, KPI cards, custom tabs, language and units) is saved separately
+  // and survives "Reset to sample data"
+  React.useEffect(() => {
+    if (!hydrated) return;
+    idbSet(CONFIG_KEY, { forecast, targets, composition, scenarios, kpiWeighting, customKpis, layout, locale, units, theme }).catch(err => console.warn("Could not save configuration", err));
+  }, [hydrated, forecast, targets, composition, scenarios, kpiWeighting, customKpis, layout, locale, units, theme]);
+
+  // A custom tab from the URL may not exist in this browser's layout
+  React.useEffect(() => {
+    if (hydrated && tab.startsWith(CUSTOM_TAB_PREFIX) && !layout.tabs.some(t => t.id === tab)) setTab("ci");
+  }, [hydrated, tab, layout]);
+
+  React.useEffect(() => {
+    writeUrlState({ regions, titles: crossTitles, years: crossYears, yearRange, tab });
+  }, [regions, crossTitles, crossYears, yearRange, tab]);
+
+  const resetToSample = () => {
+    skipNextSave.current = true;
+    idbDelete(DATASETS_KEY).catch(err => console.warn("Could not clear saved datasets", err));
+    setXboxRows(tagRows(SAMPLE_XBOX, "sample-xbox"));
+    setEsgRows(tagRows(SAMPLE_ESG, "sample-esg"));
+    setBenchRows(tagRows(SAMPLE_BENCHMARK, "sample-bench"));
+    setGridRows(tagRows(SAMPLE_GRID_FACTORS, "sample-grid"));
+    setSources(SAMPLE_SOURCES);
+    setPendingImport(null);
+    setPendingMerge(null);
+    setRegions([]);
+    setCrossTitles([]);
+    setCrossYears([]);
+  };
+
+  const allRegions = useMemo(() => ["ALL", ...Array.from(new Set(activeXbox.map(r => r.Region).filter(Boolean)))], [activeXbox]);
+  const [minYear, maxYear] = useMemo(() => yearsRangeFromData(activeXbox), [activeXbox]);
+
+  // Adjust slider when new data changes the bounds; excluding or fixing rows
+  // that leave them as they are keeps the user's range. The first time round
+  // (after restore) a range from the URL is kept, clamped to the data.
+  React.useEffect(() => {
+    if (!hydrated) return;
+    const wanted = pendingUrlRange.current;
+    pendingUrlRange.current = null;
+    const from = wanted ? Math.max(minYear, wanted[0]) : minYear;
+    const to = wanted ? Math.min(maxYear, wanted[1]) : maxYear;
+    setYearRange(from <= to ? [from, to] : [minYear, maxYear]);
+  }, [minYear, maxYear, hydrated]);
+  React.useEffect(() => {
+    setCompare(c => fitCompare(c, [minYear, maxYear]));
+  }, [minYear, maxYear]);
+
+  const filters = useMemo(
+    () => ({ regions, yearRange, titles: crossTitles, years: crossYears }),
+    [regions, yearRange, crossTitles, crossYears]
+  );
+  // Charts follow a deferred copy so chips and the slider respond at once
+  // while large datasets re-aggregate
+  const deferredFilters = React.useDeferredValue(filters);
+  const regionLabel = regions.length ? regions.join(", ") : t("filters.all");
+  // Everything derived from the rows in view goes through queries (see
+  // useXboxQuery); filtered rows themselves are only built on the main thread
+  // for the KPI builder's preview and custom tab cards
+  const needsFilteredRows = showKpiBuilder || tab.startsWith(CUSTOM_TAB_PREFIX);
+  const filteredXbox = useMemo(
+    () => (needsFilteredRows ? filterXbox(activeXbox, deferredFilters) : []),
+    [needsFilteredRows, activeXbox, deferredFilters]
+  );
+  // Grid, scenario and compare figures are only computed while one of their
+  // charts can be seen: on their tab, as a built-in card of the open custom
+  // tab, or in the report builder. Chart keys and ids start with the section.
+  const chartsOnScreen = (layout.tabs.find(x => x.id === tab)?.cards || []).map(c => c.builtin).filter(Boolean);
+  const sectionShown = (section, sectionTab) => showReport || tab === sectionTab || chartsOnScreen.some(key => key.startsWith(section));
+  const xboxWorker = useXboxWorker(activeXbox);
+  const toggleTitle = (title) => { if (title) setCrossTitles(t => toggleIn(t, title)); };
+  const toggleYear = (year) => { if (Number.isFinite(year)) setCrossYears(y => toggleIn(y, year)); };
+  const onYearChartClick = (state) => {
+    const y = Number(state?.activeLabel);
+    if (byYear.some(r => r.Year === y)) toggleYear(y);
+  };
+  const yearHighlights = () => crossYears.map(y => (
+    <ReferenceLine key={`sel-${y}`} x={y} stroke="#1d4ed8" strokeOpacity={0.35} strokeWidth={8} />
+  ));
+  // Line through the point reached with the arrow keys (see ChartCard)
+  const pointLine = (axis, value, extra) => (value === undefined || value === null ? null : (
+    <ReferenceLine key="active-point" {...{ [axis]: value }} stroke={activeTheme.marker} strokeWidth={2} strokeDasharray="4 3" {...extra} />
+  ));
+  const titleOpacity = (title) => (crossTitles.length === 0 || crossTitles.includes(title) ? 1 : DIMMED_OPACITY);
+  const detailTitle = crossTitles.length === 1 ? crossTitles[0] : null;
+  const detailRows = useMemo(
+    () => (detailTitle ? filterXbox(activeXbox, deferredFilters, "title") : []),
+    [detailTitle, activeXbox, deferredFilters]
+  );
+
+  const categoryColors = useMemo(
+    () => buildCategoryColors(xboxRows, COMPOSITION_DIMENSIONS.map(d => d.id), activeTheme),
+    [xboxRows, activeTheme]
+  );
+  const compositionDim = COMPOSITION_DIMENSIONS.find(d => d.id === composition.dimension) || COMPOSITION_DIMENSIONS[0];
+  // Each grouping ignores its own cross-filter so the selection stays visible
+  const compositionQuery = useMemo(
+    () => ({ dimension: compositionDim.id, except: compositionDim.except, topN: composition.topN }),
+    [compositionDim, composition.topN]
+  );
+
+  // ESG time series by metric. Energy/mass/volume metrics (which can arrive in
+  // mixed units) are held in their base unit, so targets, SDG scoring and KPI
+  // formulas don't depend on the display choice; esgDisplay is for showing.
+  const esgUnits = useMemo(() => normalizeUnits(activeEsg, { display: BASE_UNITS }), [activeEsg]);
+  const esgSeries = useMemo(() => buildEsgSeries(esgUnits.rows), [esgUnits]);
+  const esgQty = useMemo(
+    () => Object.fromEntries(Object.entries(esgSeries).map(([m, points]) => [m, esgQuantity(points, units)])),
+    [esgSeries, units]
+  );
+  // Conversion to the base unit is internal; only metrics uploaded in several
+  // (or unrecognised) units get a note
+  const esgUnitNotes = esgUnits.notes.filter(n => n.to === null || n.mixed || n.from.length > 1);
+  const esgDisplay = useMemo(() => Object.fromEntries(Object.entries(esgSeries).map(([m, points]) => {
+    const q = esgQty[m];
+    if (!q.dimension) return [m, points];
+    return [m, points.map(p => (parseUnit(p.Unit)?.dimension === q.dimension ? { ...p, Value: q.scale(p.Value), Unit: q.unit } : p))];
+  })), [esgSeries, esgQty]);
+
+  // KPIs, user KPIs, yearly totals, title efficiency and composition (see
+  // xboxAggregates)
+  const aggregateQuery = useMemo(() => ({
+    kind: "aggregates",
+    filters: deferredFilters,
+    options: { composition: compositionQuery, weighting: kpiWeighting, kpiFormulas: customKpis, esgSeries },
+  }), [deferredFilters, compositionQuery, kpiWeighting, customKpis, esgSeries]);
+  const aggregates = useXboxQuery(xboxWorker, activeXbox, aggregateQuery);
+  const xboxAgg = aggregates.result;
+  const { kpis, byYear, byYearAllYears, titleEfficiency, compositionGroups } = xboxAgg;
+  const compositionSelected = { title: crossTitles, region: regions, year: crossYears.map(String) }[compositionDim.except];
+  const compositionOpacity = (name) => (
+    compositionSelected.length === 0 || compositionSelected.includes(name) ? 1 : DIMMED_OPACITY
+  );
+  const compositionColor = (name) => categoryColor(activeTheme, categoryColors, compositionDim.id, name);
+  const onCompositionClick = (name) => {
+    if (!name || name === OTHER_CATEGORY) return;
+    if (compositionDim.id === "Title") toggleTitle(name);
+    else if (compositionDim.id === "Region") setRegions(rs => toggleIn(rs, name));
+    else toggleYear(Number(name));
+  };
+
+  // Benchmark chart data (optional): any metric column, any set of companies
+  const benchMetrics = useMemo(() => benchMetricColumns(activeBench), [activeBench]);
+  const activeBenchMetric = benchMetrics.includes(benchMetric) ? benchMetric : (benchMetrics.includes("EmissionsIntensity") ? "EmissionsIntensity" : benchMetrics[0]);
+  const benchCompanies = useMemo(
+    () => Array.from(new Set(activeBench.map(r => r.Company).filter(c => !isBlank(c) && c !== PEER_AVG))),
+    [activeBench]
+  );
+  const activeBenchFocus = benchCompanies.includes(benchFocus) ? benchFocus : (benchCompanies.includes("Microsoft") ? "Microsoft" : benchCompanies[0]);
+  const benchPivot = useMemo(
+    () => pivotBenchmark(activeBench, activeBenchMetric, activeBenchFocus),
+    [activeBench, activeBenchMetric, activeBenchFocus]
+  );
+  const benchSeries = benchPivot.series;
+  const benchStandings = useMemo(
+    () => benchmarkStandings(benchPivot.series, benchPivot.companies, benchLowerIsBetter),
+    [benchPivot, benchLowerIsBetter]
+  );
+  const benchYears = benchSeries.map(r => r.Year);
+  const activeStandingsYear = benchYears.includes(standingsYear) ? standingsYear : benchYears[benchYears.length - 1];
+
+  // Reported vs grid-factor CO2e for the rows in view
+  const gridQuery = useMemo(
+    () => ({ kind: "grid", filters: deferredFilters, factors: activeGrid, basis: gridBasis, tolerancePct: gridTolerance }),
+    [deferredFilters, activeGrid, gridBasis, gridTolerance]
+  );
+  const gridRun = useXboxQuery(xboxWorker, activeXbox, gridQuery, sectionShown("grid", "grid"));
+  const { rows: reconciliation, byYear: reconciliationByYear, flaggedCount, noFactorCount } = gridRun.result;
+  const reconciliationRows = gridOnlyFlagged ? reconciliation.filter(r => r.Flag) : reconciliation;
+
+  // Data quality diagnostics run over the whole dataset (excluded rows too),
+  // and only while the tab is open
+  const qualityRows = datasets[quality.kind];
+  const qualityCols = useMemo(() => qualityColumns(quality.kind, qualityRows), [quality.kind, qualityRows]);
+  const qualityReport = useMemo(() => {
+    if (tab !== "quality") return { columns: [], duplicates: 0, flags: [] };
+    const numeric = qualityCols.filter(c => c.type === "number").map(c => c.key);
+    return assessDataQuality(qualityRows, {
+      columns: qualityCols,
+      naturalKey: DATASET_SCHEMAS[quality.kind].naturalKey,
+      ...DATA_QUALITY_RULES[quality.kind](numeric),
+      outlierMethod: quality.outlierMethod,
+      jumpPct: quality.jumpPct,
+    });
+  }, [tab, qualityRows, qualityCols, quality.kind, quality.outlierMethod, quality.jumpPct]);
+  const qualityFlags = quality.issue === "all" ? qualityReport.flags : qualityReport.flags.filter(f => f.issue === quality.issue);
+  const excludedCount = qualityRows.filter(r => r._excluded).length;
+
+  // What-if scenarios over the rows in view: the draft being edited plus any
+  // saved scenarios picked for comparison
+  // Only the levers go into the query, so typing a name does not re-run it
+  const { powerCuts, shifts, renewablePct } = scenarioDraft;
+  const scenarioLevers = useMemo(() => ({ powerCuts, shifts, renewablePct }), [powerCuts, shifts, renewablePct]);
+  const pickedScenarios = useMemo(
+    () => scenarios.filter(s => scenarioCompareIds.includes(s.id) && s.id !== scenarioDraft.id),
+    [scenarios, scenarioCompareIds, scenarioDraft.id]
+  );
+  const scenarioQuery = useMemo(() => ({
+    kind: "scenarios",
+    filters: deferredFilters,
+    scenarios: [EMPTY_SCENARIO, scenarioLevers, ...pickedScenarios],
+    weighting: kpiWeighting,
+  }), [deferredFilters, scenarioLevers, pickedScenarios, kpiWeighting]);
+  const scenarioResult = useXboxQuery(xboxWorker, activeXbox, scenarioQuery, sectionShown("scenario", "scenarios"));
+  const { titles: scenarioTitles, regions: scenarioRegions } = scenarioResult.result;
+  const [baselineRun, scenarioRun, ...pickedRuns] = scenarioResult.result.runs;
+  const scenarioKpis = scenarioRun.kpis;
+  const scenarioWaterfall = waterfallRows(scenarioRun.baseline.co2, scenarioRun.steps, scenarioRun.result.co2);
+  const scenarioCompare = [
+    [t("scenario.baselineName"), baselineRun],
+    [scenarioDraft.name.trim() || t("scenario.draftName"), scenarioRun],
+    ...pickedScenarios.map((p, i) => [p.name, pickedRuns[i]]),
+  ].filter(([, run]) => run).map(([name, run]) => ({
+    Scenario: name,
+    Energy_MWh: run.kpis.totalEnergy,
+    CO2e_t: run.kpis.totalCO2,
+    AvgPower_W: run.kpis.avgPower,
+    CO2e_avoided_t: run.baseline.co2 - run.result.co2,
+    CO2e_change_pct: pctChange(run.baseline.co2, run.result.co2),
+  }));
+
+  const sdgGroups = useMemo(() => groupMetricsBySdg(esgSeries), [esgSeries]);
+  // A focused goal can disappear when other ESG data is loaded
+  React.useEffect(() => {
+    if (sdgFocus && !sdgGroups.some(g => g.code === sdgFocus)) setSdgFocus(null);
+  }, [sdgFocus, sdgGroups]);
+  const visibleSdgGroups = sdgGroups.filter(g => !sdgFocus || g.code === sdgFocus);
+
+  // ESG explorer selection (defaults to the first two metrics)
+  const esgMetricNames = useMemo(() => Object.keys(esgSeries), [esgSeries]);
+  const explorerMetrics = useMemo(
+    () => (explorer.metrics ? explorer.metrics.filter(m => esgSeries[m]) : esgMetricNames.slice(0, 2)),
+    [explorer.metrics, esgSeries, esgMetricNames]
+  );
+  const explorerYears = Array.from(new Set(explorerMetrics.flatMap(m => esgSeries[m].map(p => p.Year)))).sort((a, b) => a - b);
+  const explorerBaseYear = explorerYears.includes(explorer.baseYear) ? explorer.baseYear : explorerYears[0];
+  const explorerData = useMemo(
+    () => explorerSeries(esgDisplay, explorerMetrics, explorer.mode, explorerBaseYear),
+    [esgDisplay, explorerMetrics, explorer.mode, explorerBaseYear]
+  );
+  const explorerAxes = explorer.mode === "absolute"
+    ? Array.from(new Set(explorerMetrics.map(m => metricUnit(esgDisplay[m]))))
+    : [explorer.mode === "index" ? "Index" : "%"];
+  const explorerAxisOf = (m) => (explorer.mode === "absolute" ? metricUnit(esgDisplay[m]) : explorerAxes[0]);
+  const esgStats = useMemo(() => esgMetricNames.map(m => metricStats(m, esgDisplay[m])), [esgMetricNames, esgDisplay]);
+  const toggleExplorerMetric = (m) => setExplorer(e => {
+    const current = e.metrics || explorerMetrics;
+    return { ...e, metrics: current.includes(m) ? current.filter(x => x !== m) : [...current, m] };
+  });
+
+  // Forecast/target overlays per series id ("CO2e_t", "Energy_MWh", "esg:<Metric>")
+  const projections = useMemo(() => {
+    const opts = (id, baseRows) => ({ method: forecast.method, horizon: forecast.horizon, targets: targets.filter(t => t.series === id), baseRows });
+    const out = {
+      CO2e_t: withProjection(byYear, "CO2e_t", opts("CO2e_t", byYearAllYears)),
+      Energy_MWh: withProjection(byYear, "Energy_MWh", opts("Energy_MWh", byYearAllYears)),
+    };
+    Object.entries(esgSeries).forEach(([m, rows]) => { out[`esg:${m}`] = withProjection(rows, "Value", opts(`esg:${m}`)); });
+    return out;
+  }, [byYear, byYearAllYears, esgSeries, forecast, targets]);
+  // qty: the series' display unit (targetQty), for target labels
+  const projection = (id) => ({ ...(projections[id] || EMPTY_PROJECTION), qty: targetQty[id] });
+  const targetSeriesOptions = ["CO2e_t", "Energy_MWh", ...Object.keys(esgSeries).map(m => `esg:${m}`)];
+  const allTargetStatuses = Object.values(projections).flatMap(p => p.statuses);
+
+  const insightSummary = useMemo(() => buildInsightSummary({
+    locale: appliedLocale, region: regionLabel, yearRange, rowCount: xboxAgg.rowCount, byYear, titleEfficiency, benchSeries,
+    benchMetric: activeBenchMetric, benchFocus: activeBenchFocus, esgSeries: esgDisplay,
+  }), [appliedLocale, regionLabel, yearRange, xboxAgg.rowCount, byYear, titleEfficiency, benchSeries, activeBenchMetric, activeBenchFocus, esgDisplay]);
+
+  const colors = activeTheme.palette; // Series without a category color (peers, ESG metrics)
+
+  // Warning text when a KPI rests on coerced or missing cells in the current view
+  const kpiWarning = (column, missingMeans) => {
+    const q = xboxAgg.kpiQuality?.[column];
+    if (!q || (q.coerced === 0 && q.missing === 0)) return null;
+    return [
+      q.coerced ? t("kpi.coerced", { n: q.coerced, count: numberFmt(q.coerced) }) : null,
+      q.missing ? t("kpi.missing", { n: q.missing, count: numberFmt(q.missing), means: t(missingMeans) }) : null,
+    ].filter(Boolean).join("; ");
+  };
+
+  const kpiSeries = (field) => xboxAgg.kpiYears.map(k => ({ Year: k.Year, value: k[field] }));
+
+  // User-defined KPIs: the formula over the whole view, and per fiscal year
+  // for the sparkline and period change
+  const kpiFormulaColumns = useMemo(
+    () => Array.from(new Set([...DATASET_SCHEMAS.xbox.columns.map(c => c.key), ...activeXbox.slice(0, 1000).flatMap(r => dataFields(r))])),
+    [activeXbox]
+  );
+  const evaluateKpi = (tree) => evaluateKpiFormula(tree, { rows: filteredXbox, esgSeries, toYear: deferredFilters.yearRange[1] });
+  // Their values come with the other aggregates (see evaluateKpiFormulas)
+  const customKpiCards = customKpis.map(k => {
+    const card = { id: k.id, label: k.label, onRemove: () => setCustomKpis(list => list.filter(x => x.id !== k.id)) };
+    const res = xboxAgg.customKpis[k.id];
+    if (!res) return { ...card, value: "–" };
+    if (res.error) return { ...card, value: "–", error: formulaProblem(res.error) };
+    return { ...card, value: numberFmt(res.value, k.digits), series: res.series };
+  });
+
+  // Display units: each chart or card scales its own values (see quantity)
+  const energyQty = (values) => quantity("energy", units.energy, values);
+  const massQty = (values) => quantity("mass", units.mass, values);
+  const kpiEnergy = energyQty([kpis.totalEnergy]);
+  const kpiCO2 = massQty([kpis.totalCO2]);
+
+  const kpiCards = [
+    { id: "energy", label: t("kpi.energy", { unit: kpiEnergy.label }), value: kpiEnergy.fmt(kpis.totalEnergy), icon: <Gauge className="w-5 h-5"/>, warning: kpiWarning("TitleEnergy_MWh", "kpi.countedAsZero"), series: kpiSeries("totalEnergy"), goodWhen: "down" },
+    { id: "co2", label: t("kpi.co2", { unit: kpiCO2.label }), value: kpiCO2.fmt(kpis.totalCO2), icon: <Cloud className="w-5 h-5"/>, warning: kpiWarning("TitleCO2e_MetricTon", "kpi.countedAsZero"), series: kpiSeries("totalCO2"), goodWhen: "down" },
+    { id: "power", label: t(kpiWeighting === "playtime" ? "kpi.powerWeighted" : "kpi.power"), value: numberFmt(kpis.avgPower, 1), icon: <LineIcon className="w-5 h-5"/>, warning: kpiWarning("AverageACPower_W", "kpi.leftOut"), series: kpiSeries("avgPower"), goodWhen: "down" },
+    { id: "titles", label: t("kpi.titles"), value: numberFmt(kpis.titles), icon: <Check className="w-5 h-5"/>, series: kpiSeries("titles") },
+    ...customKpiCards,
+  ];
+
+  const esgMetricRows = (metric) => (esgDisplay[metric] || []).map(p => ({ Metric: metric, ...p }));
+
+  // Compare mode ignores the global filters; each set brings its own
+  const compareYears = Array.from({ length: Math.max(0, maxYear - minYear + 1) }, (_, i) => minYear + i);
+  const compareQuery = useMemo(() => ({
+    kind: "compare",
+    filtersA: compareFilters(compare.A),
+    filtersB: compareFilters(compare.B),
+    options: { weighting: kpiWeighting, align: compare.align },
+  }), [compare.A, compare.B, compare.align, kpiWeighting]);
+  const compareResult = useXboxQuery(xboxWorker, activeXbox, compareQuery, sectionShown("compare", "compare"));
+  const compareRun = compareResult.result;
+  const aggregating = deferredFilters !== filters || [aggregates, gridRun, scenarioResult, compareResult].some(q => q.pending);
+  // KPI rows are in display units, so exports match what is on screen
+  const compareKpiRows = COMPARE_KPIS.map(k => {
+    const row = compareRun.kpis.find(r => r.key === k.key);
+    const q = k.dimension ? quantity(k.dimension, units[k.dimension], [row.a, row.b]) : null;
+    const scale = q ? q.scale : (v) => v;
+    const digits = q ? (Math.max(Math.abs(scale(row.a) || 0), Math.abs(scale(row.b) || 0)) < 100 ? 1 : 0) : k.digits;
+    return { KPI: t(k.label, { unit: q?.label }), A: scale(row.a), B: scale(row.b), Difference: scale(row.diff), Change_pct: row.pct, _digits: digits };
+  });
+  const compareKpiCards = (set) => COMPARE_KPIS.map((k, i) => ({
+    id: `${set}-${k.key}`,
+    label: compareKpiRows[i].KPI,
+    value: numberFmt(compareKpiRows[i][set], compareKpiRows[i]._digits),
+    series: compareRun[set.toLowerCase()].kpiYears.map(y => ({ Year: y.Year, value: y[k.key] })),
+    goodWhen: k.key === "titles" ? undefined : "down",
+  }));
+  const compareYearQty = Object.fromEntries(COMPARE_YEAR_MEASURES.map(m => [m.key, quantity(m.dimension, units[m.dimension], compareRun.byYear.flatMap(r => [r[`${m.key}_A`], r[`${m.key}_B`]]))]));
+  const compareYearRows = (m) => compareRun.byYear.map(r => ({
+    ...r,
+    ...Object.fromEntries(["A", "B", "diff"].map(x => [`${m.key}_${x}`, compareYearQty[m.key].scale(r[`${m.key}_${x}`])])),
+  }));
+  const compareTitleEnergy = energyQty(compareRun.titles.flatMap(r => [r.Energy_MWh_A, r.Energy_MWh_B]));
+  // Most energy-hungry titles across both sets, for the efficiency chart
+  const compareTopTitles = compareRun.titles.slice(0, 10);
+  // Side by side: one panel per set on a shared value axis
+  const compareSideBySide = (data, keyOf, maxOf, render) => {
+    const max = Math.max(0, ...data.flatMap(r => COMPARE_SETS.map(set => Number(maxOf(r, set)) || 0)));
+    return (
+      <div className="grid grid-cols-2 gap-4 h-full">
+        {COMPARE_SETS.map(set => (
+          <div key={set} className="flex flex-col h-full min-h-0">
+            <div className="text-xs text-neutral-600 pb-1">{set}: {compareSetLabel(compare[set])}</div>
+            <div className="flex-1 min-h-0">
+              <ResponsiveContainer width="100%" height="100%">
+                {render(set, data.filter(r => keyOf(r, set) !== null), [0, max || "auto"])}
+              </ResponsiveContainer>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+  const compareTooltip = (measure, digits) => (v, name, item) => {
+    const diff = item.payload[`${measure}_diff`];
+    return [`${numberFmt(v, digits)}${name.endsWith(" B") && diff !== null ? ` (${signedFmt(diff, digits)}, ${pctFmt(item.payload[`${measure}_pct`])})` : ""}`, name];
+  };
+
+  // Display units for the yearly Xbox charts
+  const yearEnergy = energyQty(byYear.map(r => r.Energy_MWh));
+  const yearCO2 = massQty(byYear.map(r => r.CO2e_t));
+  // Display unit per target series, as its chart shows it
+  const targetQty = {
+    CO2e_t: yearCO2,
+    Energy_MWh: yearEnergy,
+    ...Object.fromEntries(Object.entries(esgQty).map(([m, q]) => [`esg:${m}`, { ...q, label: localUnit(q.unit) }])),
+  };
+  const co2Rows = scaleSeries(projection("CO2e_t").rows, "CO2e_t", yearCO2);
+  const energyRows = scaleSeries(projection("Energy_MWh").rows, "Energy_MWh", yearEnergy);
+  const gridCO2 = massQty(reconciliationByYear.flatMap(r => [r.Reported_t, r.Recomputed_t]));
+  const waterfallCO2 = massQty([scenarioRun.baseline.co2, scenarioRun.result.co2]);
+  const valueTooltip = (q, digits) => (v) => `${q.fmt(v, digits)} ${q.label}`;
+
+  // Chart cards by id; tabs pick from here and so does the report builder
+  const chartSpecs = {
+    benchmark: {
+      id: "benchmark", title: t("chart.benchmark", { metric: humanize(activeBenchMetric || "Emissions Intensity") }), data: benchSeries, height: "h-72",
+      render: (active) => (
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={benchSeries}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="Year" />
+            <YAxis tickFormatter={tickFmt} />
+            <Tooltip formatter={(v) => numberFmt(v, 2)} />
+            <Legend />
+            {benchPivot.companies.filter(c => c !== PEER_AVG).map((c, i) => (
+              <Line key={c} type="monotone" dataKey={c} stroke={colors[i % colors.length]} strokeWidth={c === activeBenchFocus ? 3 : 1.5} />
+            ))}
+            <Line type="monotone" dataKey={PEER_AVG} name={benchPivot.peerAvgComputed ? t("chart.peerAvgComputed", { name: PEER_AVG }) : PEER_AVG} stroke="#6b7280" strokeDasharray="5 5" />
+            {pointLine("x", active?.Year)}
+          </LineChart>
+        </ResponsiveContainer>
+      ),
+    },
+    standings: {
+      id: "benchmark-standings", title: t("chart.rankings", { year: activeStandingsYear ?? "" }), data: benchStandings.filter(r => r.Year === activeStandingsYear), table: true,
+      render: () => <StandingsTable rows={benchStandings.filter(r => r.Year === activeStandingsYear)} focus={activeBenchFocus} firstColumn="Company" />,
+    },
+    focusStandings: {
+      id: "focus-standings", title: t("chart.focusByYear", { company: activeBenchFocus ?? t("ci.focus") }), data: benchStandings.filter(r => r.Company === activeBenchFocus), table: true,
+      render: () => <StandingsTable rows={benchStandings.filter(r => r.Company === activeBenchFocus)} focus={activeBenchFocus} firstColumn="Year" />,
+    },
+    co2VsEnergy: {
+      id: "co2-vs-energy", title: t("chart.co2VsEnergy"), data: byYear, height: "h-72",
+      badges: [...statusBadges(projection("CO2e_t")), ...statusBadges(projection("Energy_MWh"))],
+      render: (active) => (
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={mergeByYear(co2Rows, energyRows)} onClick={onYearChartClick} style={{ cursor: "pointer" }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="Year" />
+            <YAxis tickFormatter={tickFmt} />
+            <Tooltip formatter={(v) => numberFmt(v, 1)} />
+            <Legend />
+            <Area type="monotone" dataKey="CO2e_t" name={t("series.co2", { unit: yearCO2.label })} />
+            <Area type="monotone" dataKey="Energy_MWh" name={t("series.energy", { unit: yearEnergy.label })} />
+            {projectionLayers("CO2e_t", projection("CO2e_t"), t("measure.co2"))}
+            {projectionLayers("Energy_MWh", projection("Energy_MWh"), t("measure.energy"))}
+            {yearHighlights()}
+            {pointLine("x", active?.Year)}
+          </ComposedChart>
+        </ResponsiveContainer>
+      ),
+    },
+    titleEfficiency: {
+      id: "title-efficiency", title: t("chart.titleEfficiency"), data: titleEfficiency, height: "h-80",
+      render: (active) => (
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={titleEfficiency} layout="vertical" margin={{ left: 80 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" tickFormatter={tickFmt} />
+            <YAxis dataKey="Title" type="category" width={120} />
+            <Tooltip formatter={(v) => numberFmt(v, 3)} />
+            <Bar dataKey="CO2e_per_MWh" name={t("series.co2PerMwh")} onClick={(d) => toggleTitle(d?.payload?.Title ?? d?.Title)} style={{ cursor: "pointer" }}>
+              {titleEfficiency.map(r => (<Cell key={r.Title} fill={categoryColor(activeTheme, categoryColors, "Title", r.Title)} fillOpacity={titleOpacity(r.Title)} />))}
+            </Bar>
+            {pointLine("y", active?.Title)}
+          </BarChart>
+        </ResponsiveContainer>
+      ),
+    },
+    composition: {
+      id: "composition", title: t("chart.composition", { dimension: tLabel("composition.dimension", compositionDim) }), data: compositionGroups.map(({ members, ...g }) => ({ ...g, members: members.join("; ") })),
+      height: composition.view === "stacked" ? "h-80" : "h-80 grid md:grid-cols-2 gap-4",
+      render: (active) => {
+        const marked = (name) => active?.name === name;
+        if (composition.view === "stacked") {
+          return (
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={compositionShares(compositionGroups)} layout="vertical" margin={{ left: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" domain={[0, 100]} unit="%" />
+                <YAxis dataKey="measure" type="category" width={60} tickFormatter={(m) => tLabel("measure", COMPOSITION_MEASURES.find(x => x.label === m) || { label: m })} />
+                <Tooltip formatter={(v) => `${numberFmt(v, 1)}%`} />
+                <Legend />
+                {compositionGroups.map(g => (
+                  <Bar key={g.name} dataKey={g.name} stackId="share" fill={compositionColor(g.name)} fillOpacity={compositionOpacity(g.name)} {...markStroke(activeTheme, marked(g.name))} onClick={() => onCompositionClick(g.name)} style={{ cursor: "pointer" }} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          );
+        }
+        return COMPOSITION_MEASURES.map(m => {
+          const q = quantity(m.key === "TitleEnergy_MWh" ? "energy" : "mass", m.key === "TitleEnergy_MWh" ? units.energy : units.mass, compositionGroups.map(g => g[m.key]));
+          return (
+          <div key={m.key} className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              {composition.view === "treemap" ? (
+                <Treemap
+                  data={compositionGroups.map(g => ({ name: g.name, size: g[m.key], fill: compositionColor(g.name), fillOpacity: compositionOpacity(g.name), outline: marked(g.name) ? activeTheme.marker : undefined }))}
+                  dataKey="size" isAnimationActive={false} content={<TreemapTile />}
+                  onClick={(d) => onCompositionClick(d?.name)}
+                >
+                  <Tooltip formatter={valueTooltip(q)} />
+                </Treemap>
+              ) : (
+                <PieChart>
+                  <Pie dataKey={m.key} nameKey="name" data={compositionGroups} outerRadius={90} onClick={(d) => onCompositionClick(d?.payload?.name ?? d?.name)} style={{ cursor: "pointer" }}>
+                    {compositionGroups.map(g => (<Cell key={g.name} fill={compositionColor(g.name)} fillOpacity={compositionOpacity(g.name)} {...markStroke(activeTheme, marked(g.name))} />))}
+                  </Pie>
+                  <Tooltip formatter={valueTooltip(q)} />
+                </PieChart>
+              )}
+            </ResponsiveContainer>
+            <div className="text-center text-xs text-neutral-600 mt-1">{t("composition.caption", { measure: tLabel("measure", m), dimension: tLabel("composition.dimension", compositionDim) })}</div>
+          </div>
+          );
+        });
+      },
+    },
+    ...Object.fromEntries(Object.keys(esgSeries).map(m => {
+      const unit = localUnit(esgQty[m].unit);
+      return [`esg:${m}`, {
+        id: `sdg-${m.replace(/[^A-Za-z0-9]+/g, "-").toLowerCase()}`,
+        title: `${sdgCode(normalizeSdg(esgSeries[m].find(p => !isBlank(p.SDG))?.SDG))} • ${humanize(m)}${unit ? ` (${unit})` : ""}`,
+        data: esgMetricRows(m), height: "h-72",
+        badges: statusBadges(projection(`esg:${m}`)),
+        render: (active) => (
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={scaleSeries(projection(`esg:${m}`).rows, "Value", esgQty[m])}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="Year" />
+              <YAxis tickFormatter={tickFmt} />
+              <Tooltip formatter={(v) => numberFmt(v, 2)} />
+              <Line type="monotone" dataKey="Value" name={unit ? `${humanize(m)} (${unit})` : humanize(m)} />
+              {projectionLayers("Value", projection(`esg:${m}`), humanize(m))}
+              {pointLine("x", active?.Year)}
+            </ComposedChart>
+          </ResponsiveContainer>
+        ),
+      }];
+    })),
+    esgExplorer: {
+      id: "esg-explorer", title: t("chart.esgExplorer", { mode: tLabel("explorer.mode", EXPLORER_MODES.find(m => m.id === explorer.mode)) }), data: explorerData.rows, height: "h-80",
+      render: (active) => (
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={explorerData.rows}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="Year" />
+            {explorerAxes.map((unit, i) => (
+              <YAxis key={unit || "none"} yAxisId={unit || "none"} orientation={i % 2 ? "right" : "left"} tickFormatter={tickFmt} label={{ value: unit === "Index" ? t("explorer.index") : unit, angle: -90, position: i % 2 ? "insideRight" : "insideLeft" }} />
+            ))}
+            <Tooltip formatter={(v) => numberFmt(v, 2)} />
+            <Legend />
+            {explorer.mode === "index" && <ReferenceLine y={100} yAxisId={explorerAxes[0]} stroke="#9ca3af" strokeDasharray="3 3" />}
+            {pointLine("x", active?.Year, { yAxisId: explorerAxes[0] || "none" })}
+            {explorerMetrics.map(m => (
+              <Line
+                key={m}
+                type="monotone"
+                dataKey={m}
+                yAxisId={explorerAxisOf(m) || "none"}
+                name={explorer.mode === "index" && explorerData.bases[m] !== explorerBaseYear ? t("explorer.base", { metric: humanize(m), year: explorerData.bases[m] }) : humanize(m)}
+                stroke={colors[esgMetricNames.indexOf(m) % colors.length]}
+                connectNulls
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      ),
+    },
+    esgStats: {
+      id: "esg-metric-stats", title: t("chart.esgStats"), data: esgStats, table: true,
+      render: () => <MetricStatsTable rows={esgStats} />,
+    },
+    co2ByYear: {
+      id: "co2-by-year", title: t("chart.co2ByYear", { unit: yearCO2.label }), data: byYear, height: "h-72",
+      badges: statusBadges(projection("CO2e_t")),
+      render: (active) => (
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={co2Rows} onClick={onYearChartClick} style={{ cursor: "pointer" }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="Year" />
+            <YAxis tickFormatter={tickFmt} />
+            <Tooltip formatter={(v) => numberFmt(v, 1)} />
+            <Line type="monotone" dataKey="CO2e_t" name={t("series.co2", { unit: yearCO2.label })} />
+            {projectionLayers("CO2e_t", projection("CO2e_t"), t("measure.co2"))}
+            {yearHighlights()}
+            {pointLine("x", active?.Year)}
+          </ComposedChart>
+        </ResponsiveContainer>
+      ),
+    },
+    energyByYear: {
+      id: "energy-by-year", title: t("chart.energyByYear", { unit: yearEnergy.label }), data: byYear, height: "h-72",
+      badges: statusBadges(projection("Energy_MWh")),
+      render: (active) => (
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={energyRows} onClick={onYearChartClick} style={{ cursor: "pointer" }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="Year" />
+            <YAxis tickFormatter={tickFmt} />
+            <Tooltip formatter={(v) => numberFmt(v, 1)} />
+            <Bar dataKey="Energy_MWh" name={t("series.energy", { unit: yearEnergy.label })} />
+            {projectionLayers("Energy_MWh", projection("Energy_MWh"), t("measure.energy"))}
+            {yearHighlights()}
+            {pointLine("x", active?.Year)}
+          </ComposedChart>
+        </ResponsiveContainer>
+      ),
+    },
+    gridByYear: {
+      id: "grid-reported-vs-recomputed", title: t("chart.gridByYear", { basis: tLabel("grid.basis", GRID_BASES.find(b => b.id === gridBasis)) }), data: reconciliationByYear, height: "h-72",
+      badges: noFactorCount > 0 ? [{ key: "no-factor", text: t("grid.noFactorExcluded", { n: noFactorCount, count: numberFmt(noFactorCount) }), className: "bg-amber-100 text-amber-800" }] : [],
+      render: (active) => (
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={reconciliationByYear.map(r => ({ Year: r.Year, Reported_t: gridCO2.scale(r.Reported_t), Recomputed_t: gridCO2.scale(r.Recomputed_t) }))} onClick={onYearChartClick} style={{ cursor: "pointer" }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="Year" />
+            <YAxis tickFormatter={tickFmt} />
+            <Tooltip formatter={(v) => numberFmt(v, 1)} />
+            <Legend />
+            <Bar dataKey="Reported_t" name={t("series.reported", { unit: gridCO2.label })} fill={colors[0]} />
+            <Bar dataKey="Recomputed_t" name={t("series.recomputed", { unit: gridCO2.label })} fill={colors[1]} />
+            {yearHighlights()}
+            {pointLine("x", active?.Year)}
+          </BarChart>
+        </ResponsiveContainer>
+      ),
+    },
+    gridRows: {
+      id: "grid-reconciliation", title: t("chart.gridRows", { count: numberFmt(flaggedCount) }), data: reconciliationRows, table: true,
+      render: () => <ReconciliationTable rows={reconciliationRows} units={units} />,
+    },
+    scenarioWaterfall: {
+      id: "scenario-waterfall", title: t("chart.waterfall"), data: scenarioWaterfall, height: "h-72",
+      render: (active) => (
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={scenarioWaterfall.map(r => ({ ...r, name: tLabel("waterfall", { id: r.name, label: r.name }), base: waterfallCO2.scale(r.base), value: waterfallCO2.scale(r.value) }))}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="name" />
+            <YAxis tickFormatter={tickFmt} />
+            <Tooltip formatter={(v, name, item) => [`${item.payload.kind === "total" ? "" : item.payload.delta > 0 ? "+" : "−"}${waterfallCO2.fmt(Math.abs(item.payload.delta), 1)} ${waterfallCO2.label}`, t("measure.co2")]} />
+            <Bar dataKey="base" stackId="w" fill="transparent" tooltipType="none" isAnimationActive={false} />
+            <Bar dataKey="value" stackId="w">
+              {scenarioWaterfall.map(r => (<Cell key={r.name} fill={colors[WATERFALL_SLOTS[r.kind]]} {...markStroke(activeTheme, r === active)} />))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      ),
+    },
+    compareKpis: {
+      id: "compare-kpis", title: t("chart.compareKpis"), data: compareKpiRows, table: true,
+      render: () => <CompareKpiTable rows={compareKpiRows} />,
+    },
+    ...Object.fromEntries(COMPARE_YEAR_MEASURES.map(m => [`compare:${m.key}`, {
+      id: `compare-${m.key}`, title: t("chart.compareYear", { measure: `${t(m.label)} (${compareYearQty[m.key].label})`, axis: t(compare.align === "position" ? "compare.byPosition" : "compare.byFiscalYear") }), data: compareRun.byYear, height: "h-72",
+      render: (active) => (compare.view === "side"
+        ? compareSideBySide(compareYearRows(m), (r, set) => r[`Year_${set}`], (r, set) => r[`${m.key}_${set}`], (set, data, domain) => (
+          <BarChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey={`Year_${set}`} />
+            <YAxis domain={domain} tickFormatter={tickFmt} />
+            <Tooltip formatter={(v) => numberFmt(v, 1)} />
+            <Bar dataKey={`${m.key}_${set}`} name={`${t(m.label)} ${set}`} fill={compareColor(activeTheme, set)} />
+            {pointLine("x", active?.[`Year_${set}`])}
+          </BarChart>
+        ))
+        : (
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={compareYearRows(m)}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="Period" tickFormatter={(p) => (typeof p === "string" ? t("compare.yearN", { n: p.replace(/\D/g, "") }) : p)} />
+              <YAxis tickFormatter={tickFmt} />
+              <Tooltip formatter={compareTooltip(m.key, 1)} />
+              <Legend />
+              {COMPARE_SETS.map(set => (
+                <Line key={set} type="monotone" dataKey={`${m.key}_${set}`} name={`${t(m.label)} ${set}`} stroke={compareColor(activeTheme, set)} connectNulls />
+              ))}
+              {pointLine("x", active?.Period)}
+            </LineChart>
+          </ResponsiveContainer>
+        )),
+    }])),
+    compareEfficiency: {
+      id: "compare-efficiency", title: t("chart.compareEfficiency"), data: compareTopTitles, height: "h-80",
+      render: (active) => (compare.view === "side"
+        ? compareSideBySide(compareTopTitles, (r, set) => r[`CO2e_per_MWh_${set}`], (r, set) => r[`CO2e_per_MWh_${set}`], (set, data, domain) => (
+          <BarChart data={data} layout="vertical" margin={{ left: 40 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" domain={domain} />
+            <YAxis type="category" dataKey="Title" width={100} />
+            <Tooltip formatter={(v) => numberFmt(v, 3)} />
+            <Bar dataKey={`CO2e_per_MWh_${set}`} name={t("compare.intensityOf", { set })} fill={compareColor(activeTheme, set)} />
+            {pointLine("y", active?.Title)}
+          </BarChart>
+        ))
+        : (
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={compareTopTitles} layout="vertical" margin={{ left: 40 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" />
+              <YAxis type="category" dataKey="Title" width={100} />
+              <Tooltip formatter={compareTooltip("CO2e_per_MWh", 3)} />
+              <Legend />
+              {COMPARE_SETS.map(set => (
+                <Bar key={set} dataKey={`CO2e_per_MWh_${set}`} name={t("compare.intensityOf", { set })} fill={compareColor(activeTheme, set)} />
+              ))}
+              {pointLine("y", active?.Title)}
+            </BarChart>
+          </ResponsiveContainer>
+        )),
+    },
+    compareTitles: {
+      id: "compare-titles", title: t("chart.compareTitles", { count: numberFmt(compareRun.titles.length) }), data: compareRun.titles, table: true,
+      render: () => <CompareTitlesTable rows={compareRun.titles} energy={compareTitleEnergy} />,
+    },
+    scenarioCompare: {
+      id: "scenario-compare", title: t("chart.scenarioCompare"), data: scenarioCompare, table: true,
+      render: () => <ScenarioCompareTable rows={scenarioCompare} units={units} />,
+    },
+    qualityColumns: {
+      id: `quality-columns-${quality.kind}`, title: t("chart.qualityColumns", { dataset: datasetName(quality.kind) }), data: qualityReport.columns, table: true,
+      render: () => <QualityColumnsTable rows={qualityReport.columns} />,
+    },
+    qualityFlags: {
+      id: `quality-flags-${quality.kind}`, title: t("chart.qualityFlags", { dataset: datasetName(quality.kind), count: numberFmt(qualityFlags.length) }), table: true,
+      data: qualityFlags.map(f => ({ Row: f.index + 1, Issue: issueLabel(f.issue), Column: f.column, Detail: qualityDetail(f.detail), Excluded: !!qualityRows[f.index]?._excluded })),
+      render: () => (
+        <QualityFlagsTable
+          flags={qualityFlags}
+          rows={qualityRows}
+          columns={qualityCols}
+          keyCols={DATASET_SCHEMAS[quality.kind].naturalKey}
+          onExclude={(indexes, excluded) => setRowsExcluded(quality.kind, indexes, excluded)}
+          onFix={(index, column, value) => fixCell(quality.kind, index, column, value)}
+        />
+      ),
+    },
+  };
+
+  // Custom tabs (see Custom layouts)
+  const layoutBuiltins = Object.entries(chartSpecs).map(([key, spec]) => ({ id: key, title: spec.title }));
+  const layoutColumns = (dataset) => {
+    const rows = { xbox: activeXbox, esg: activeEsg, bench: activeBench, grid: activeGrid }[dataset] || [];
+    const seen = new Set(DATASET_SCHEMAS[dataset]?.columns.map(c => c.key));
+    for (const r of rows.slice(0, 1000)) dataFields(r).forEach(k => seen.add(k));
+    return Array.from(seen);
+  };
+  const layoutRows = (card) => {
+    if (card.dataset === "xbox") return card.scope === "all" ? activeXbox : filteredXbox;
+    const rows = { esg: activeEsg, bench: activeBench, grid: activeGrid }[card.dataset];
+    if (card.scope === "all") return rows;
+    const [from, to] = deferredFilters.yearRange;
+    return rows.filter(r => Number(r.Year) >= from && Number(r.Year) <= to);
+  };
+  const layoutCardSpec = (card) => {
+    if (card.builtin) {
+      return chartSpecs[card.builtin] || {
+        id: card.builtin, title: t("layout.missingChart"), data: [], table: true,
+        render: () => (<div className="text-sm text-neutral-500">{t("layout.missingChartHint", { id: card.builtin })}</div>),
+      };
+    }
+    const { rows, series } = runCardTransform(layoutRows(card), card.transform);
+    const pivot = card.transform.pivot;
+    const picked = card.series?.length ? card.series.filter(s => series.includes(s.key)) : series.map(key => ({ key }));
+    const styled = picked.map((s, i) => ({
+      ...s,
+      color: s.color || (card.dataset === "xbox" && categoryColors[pivot]
+        ? categoryColor(activeTheme, categoryColors, pivot, s.key)
+        : colors[i % PALETTE_SIZE]),
+    }));
+    return {
+      id: `layout-${card.id}`, title: card.title || t("layout.untitledCard"), data: rows,
+      height: card.chart === "table" ? undefined : "h-72", table: card.chart === "table",
+      render: (active) => (rows.length === 0
+        ? <div className="text-sm text-neutral-500">{t("layout.noRows")}</div>
+        : <LayoutChart chart={card.chart} data={rows} xKey={card.transform.groupBy} series={styled} theme={activeTheme} active={active} />),
+    };
+  };
+  const updateLayoutTab = (next) => setLayout(l => ({ ...l, tabs: l.tabs.map(x => (x.id === next.id ? next : x)) }));
+  const addLayoutTab = () => {
+    const id = newId(CUSTOM_TAB_PREFIX.slice(0, -1));
+    setLayout(l => ({ ...l, tabs: [...l.tabs, { id, title: t("layout.newTabTitle", { n: l.tabs.length + 1 }), cards: [] }] }));
+    setTab(id);
+  };
+  // CustomTabContent asks before deleting a tab that has cards
+  const deleteLayoutTab = (id) => {
+    setLayout(l => ({ ...l, tabs: l.tabs.filter(x => x.id !== id) }));
+    setTab("ci");
+  };
+  const exportLayout = () => {
+    downloadBlob(new Blob([JSON.stringify(layout, null, 2)], { type: "application/json" }), `dashboard-layout-${fileStamp()}.json`);
+  };
+  const importLayout = async (file) => {
+    try {
+      const next = normalizeLayout(JSON.parse(await file.text()));
+      setLayout(next);
+      setLayoutError("");
+      if (next.tabs[0]) setTab(next.tabs[0].id);
+    } catch (err) {
+      setLayoutError(t("layout.importFailed", { file: file.name, message: err.message }));
+    }
+  };
+
+  // PDF report: the text parts are fixed when the report is requested; the
+  // selected charts are drawn off-screen at a fixed size, then captured
+  const reportStage = React.useRef(null);
+  const startReport = ({ chartIds, includeKpis }) => {
+    setReportError(null);
+    const sourceText = sources
+      .map(src => `${datasetName(src.kind)}: ${sourceFileName(src)}`)
+      .join("; ");
+    setReportJob({
+      chartIds,
+      title: t("app.title"),
+      filters: [
+        t("report.region", { region: regionLabel }),
+        `${t("fy", { year: yearRange[0] })}–${t("fy", { year: yearRange[1] })}`,
+        crossTitles.length ? t("report.titles", { titles: crossTitles.join(", ") }) : null,
+        crossYears.length ? t("report.years", { years: crossYears.join(", ") }) : null,
+      ].filter(Boolean).join(" · "),
+      sources: sourceText || t("report.noSources"),
+      kpiCards: includeKpis ? kpiCards : [],
+      chartTitles: chartIds.map(id => Object.values(chartSpecs).find(s => s.id === id).title),
+    });
+  };
+  React.useEffect(() => {
+    if (!reportJob) return;
+    const timer = setTimeout(async () => {
+      try {
+        await buildReportPdf({
+          title: reportJob.title,
+          filters: reportJob.filters,
+          sources: reportJob.sources,
+          kpiCards: reportJob.kpiCards,
+          charts: reportJob.chartIds.map((id, i) => ({
+            title: reportJob.chartTitles[i],
+            node: reportStage.current?.querySelector(`[data-chart-id="${id}"]`),
+          })),
+        });
+      } catch (err) {
+        setReportError(t("report.failed", { message: err.message || String(err) }));
+      } finally {
+        setReportJob(null);
+      }
+    }, REPORT_RENDER_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [reportJob]);
+
+  return (
+    <div className={`min-h-screen w-full p-6 ${activeTheme.className}`}>
+      <style>{THEME_CSS}</style>
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold tracking-tight">{t("app.title")}</h1>
+            <p className="text-sm text-neutral-600 mt-1">{t("app.subtitle")}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <select className="border rounded-2xl px-3 py-2 text-sm bg-white" aria-label={t("app.language")} value={locale} onChange={(e) => setLocaleChoice(e.target.value)}>
+              {LOCALES.map(l => (<option key={l.id} value={l.id}>{l.label}</option>))}
+            </select>
+            <select className="border rounded-2xl px-3 py-2 text-sm bg-white" aria-label={t("a11y.theme")} value={theme} onChange={(e) => setThemeChoice(e.target.value)}>
+              {THEMES.map(x => (<option key={x.id} value={x.id}>{tLabel("theme", x)}</option>))}
+            </select>
+            <Button variant="outline" className="rounded-2xl" onClick={() => navigator.clipboard?.writeText(window.location.href)}><LinkIcon className="w-4 h-4 mr-2"/>{t("app.copyLink")}</Button>
+            <Button variant={showReport ? "default" : "outline"} className="rounded-2xl" onClick={() => setShowReport(v => !v)}><FileText className="w-4 h-4 mr-2"/>{t("app.report")}</Button>
+            <Button variant={showInsights ? "default" : "secondary"} className="rounded-2xl" onClick={() => setShowInsights(v => !v)}><Sparkles className="w-4 h-4 mr-2"/>{t("app.insights")}</Button>
+          </div>
+        </div>
+
+        {showInsights && <InsightsPanel summary={insightSummary} onClose={() => setShowInsights(false)} />}
+        {showReport && (
+          <ReportBuilder
+            specs={Object.values(chartSpecs).filter(s => !s.table)}
+            busy={Boolean(reportJob)}
+            error={reportError}
+            onBuild={startReport}
+            onClose={() => setShowReport(false)}
+          />
+        )}
+        {reportJob && (
+          <div ref={reportStage} aria-hidden="true" style={{ position: "fixed", left: -10000, top: 0, width: REPORT_CHART_SIZE.width }}>
+            {Object.values(chartSpecs).filter(s => reportJob.chartIds.includes(s.id)).map(s => (
+              <div key={s.id} data-chart-id={s.id} className="grid grid-flow-col auto-cols-fr" style={REPORT_CHART_SIZE}>{s.render()}</div>
+            ))}
+          </div>
+        )}
+
+        {/* Uploaders & Filters */}
+        <Card className="rounded-2xl shadow-sm">
+          <CardHeader className="flex flex-row items-center justify-between">
+            <CardTitle className="text-lg">{t("inputs.title")}</CardTitle>
+            <Button variant="outline" size="sm" className="rounded-2xl" onClick={resetToSample}><RotateCcw className="w-4 h-4 mr-2"/>{t("inputs.reset")}</Button>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="font-medium">{t("inputs.uploadMode")}</span>
+              {["replace", "merge"].map(v => (
+                <Button key={v} variant={uploadMode===v?"default":"outline"} size="sm" className="rounded-full" aria-pressed={uploadMode===v} onClick={()=>setUploadMode(v)}>{t(`inputs.mode.${v}`)}</Button>
+              ))}
+              {uploadMode === "merge" && (
+                <label className="flex items-center gap-2 ml-4">
+                  <span className="text-neutral-600">{t("inputs.onConflict")}</span>
+                  <select className="border rounded-md px-2 py-1 text-sm bg-white" value={conflictPolicy} onChange={(e) => setConflictPolicy(e.target.value)}>
+                    <option value="newest">{t("inputs.keepNewest")}</option>
+                    <option value="existing">{t("inputs.keepExisting")}</option>
+                    <option value="ask">{t("inputs.ask")}</option>
+                  </select>
+                </label>
+              )}
+            </div>
+
+            <div className="grid md:grid-cols-4 gap-4">
+              {Object.entries(DATASET_SCHEMAS).map(([kind, schema]) => (
+                <div key={kind} className="space-y-2">
+                  <div className="text-sm font-medium">{tLabel("dataset.upload", { id: kind, label: schema.label })}</div>
+                  <Input type="file" accept=".csv" onChange={(e) => onFilePicked(kind, e)}/>
+                  <div className="text-xs text-neutral-500">{t("inputs.columns", { columns: schema.columns.map(c => c.key).join(", ") })}</div>
+                  {parseProgress?.kind === kind && (
+                    <div className="space-y-1" role="progressbar" aria-label={t("inputs.reading", { file: parseProgress.fileName })} aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(parseProgress.share * 100)}>
+                      <div className="h-1.5 rounded-full bg-neutral-200 overflow-hidden">
+                        <div className="h-full bg-blue-600 transition-all" style={{ width: `${Math.round(parseProgress.share * 100)}%` }} />
+                      </div>
+                      <div className="text-xs text-neutral-500">{t("inputs.readingProgress", { file: parseProgress.fileName, pct: Math.round(parseProgress.share * 100) })}</div>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {pendingImport && (
+              <CsvImportWizard
+                key={`${pendingImport.kind}:${pendingImport.fileName}`}
+                schema={DATASET_SCHEMAS[pendingImport.kind]}
+                pending={pendingImport}
+                onCancel={() => setPendingImport(null)}
+                onAccept={(rows) => {
+                  commitImport(pendingImport.kind, pendingImport.fileName, rows);
+                  setPendingImport(null);
+                }}
+              />
+            )}
+
+            {pendingMerge && (
+              <MergeConflictResolver
+                schema={DATASET_SCHEMAS[pendingMerge.kind]}
+                pending={pendingMerge}
+                onApply={resolveMerge}
+                onCancel={() => setPendingMerge(null)}
+              />
+            )}
+
+            <div className="space-y-1">
+              <div className="text-sm font-medium">{t("sources.title")}</div>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-neutral-500"><th className="py-1">{t("sources.dataset")}</th><th>{t("sources.file")}</th><th>{t("sources.loaded")}</th><th className="text-right">{t("sources.rows")}</th><th></th></tr>
+                </thead>
+                <tbody>
+                  {sources.map(src => (
+                    <tr key={src.id} className="border-t">
+                      <td className="py-1">{datasetName(src.kind)}</td>
+                      <td>{sourceFileName(src)}</td>
+                      <td className="text-neutral-600">{src.loadedAt ? new Date(src.loadedAt).toLocaleString(numberLocale()) : "–"}</td>
+                      <td className="text-right">{numberFmt(sourceRowCounts[src.id] || 0)}</td>
+                      <td className="text-right">
+                        <Button variant="ghost" size="sm" onClick={() => removeSource(src)}>{t("action.remove")}</Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="grid md:grid-cols-3 gap-4 pt-2">
+              <div className="space-y-1">
+                <div id="region-filter-label" className="text-sm font-medium">{t("filters.region")}</div>
+                <div className="flex flex-wrap gap-2" role="group" aria-labelledby="region-filter-label">
+                  {allRegions.map(r => {
+                    const active = r === "ALL" ? regions.length === 0 : regions.includes(r);
+                    return (
+                      <Button key={r} variant={active?"default":"outline"} size="sm" className="rounded-full" aria-pressed={active} onClick={()=>(r === "ALL" ? setRegions([]) : setRegions(rs => toggleIn(rs, r)))}>{r === "ALL" ? t("filters.all") : r}</Button>
+                    );
+                  })}
+                </div>
+              </div>
+              <div className="space-y-1 md:col-span-2">
+                <div className="text-sm font-medium">{t("filters.yearRange")}</div>
+                <div className="px-2">
+                  <Slider min={minYear} max={maxYear} step={1} value={yearRange} onValueChange={setYearRange} />
+                  <div className="flex justify-between text-xs text-neutral-600 mt-1">
+                    <span>{yearRange[0]}</span>
+                    <span>{yearRange[1]}</span>
+                  </div>
+                </div>
+              </div>
+            </div>
+            <div className="sr-only" aria-live="polite">
+              {t("a11y.filterSummary", { from: yearRange[0], to: yearRange[1], regions: regionLabel, count: numberFmt(xboxAgg.rowCount) })}
+            </div>
+          </CardContent>
+        </Card>
+
+        <ForecastPanel
+          forecast={forecast}
+          onForecastChange={setForecast}
+          targets={targets}
+          onTargetsChange={setTargets}
+          seriesOptions={targetSeriesOptions}
+          seriesQty={targetQty}
+          statuses={allTargetStatuses}
+        />
+
+        {/* Active cross-filters */}
+        {(regions.length > 0 || crossTitles.length > 0 || crossYears.length > 0) && (
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-neutral-600">{t("filters.by")}</span>
+            {[
+              ...regions.map(r => ({ key: `r-${r}`, label: t("filters.regionChip", { region: r }), remove: () => setRegions(rs => rs.filter(x => x !== r)) })),
+              ...crossTitles.map(title => ({ key: `t-${title}`, label: t("filters.titleChip", { title }), remove: () => setCrossTitles(ts => ts.filter(x => x !== title)) })),
+              ...crossYears.map(y => ({ key: `y-${y}`, label: t("fy", { year: y }), remove: () => setCrossYears(ys => ys.filter(x => x !== y)) })),
+            ].map(chip => (
+              <span key={chip.key} className="flex items-center gap-1 rounded-full bg-blue-100 text-blue-900 pl-3 pr-1 py-0.5">
+                {chip.label}
+                <button className="rounded-full px-1 hover:bg-blue-200" aria-label={t("filters.remove", { filter: chip.label })} onClick={chip.remove}>×</button>
+              </span>
+            ))}
+            <Button variant="ghost" size="sm" onClick={() => { setRegions([]); setCrossTitles([]); setCrossYears([]); }}>{t("filters.clearAll")}</Button>
+          </div>
+        )}
+
+        {aggregating && <div className="text-xs text-neutral-500" aria-live="polite">{t("app.updating")}</div>}
+
+        {/* KPI Cards */}
+        <div className="flex flex-wrap items-center justify-end gap-3 text-sm">
+          <label className="flex items-center gap-2">
+            <span className="text-xs text-neutral-600">{t("kpi.avgPower")}</span>
+            <select className="border rounded-md px-2 py-1 bg-white" value={kpiWeighting} onChange={(e) => setKpiWeighting(e.target.value)}>
+              {POWER_WEIGHTINGS.map(w => (<option key={w.id} value={w.id}>{tLabel("weighting", w)}</option>))}
+            </select>
+          </label>
+          {Object.entries(UNIT_DIMENSIONS).map(([dimension, d]) => (
+            <label key={dimension} className="flex items-center gap-2">
+              <span className="text-xs text-neutral-600">{t(`units.${dimension}`)}</span>
+              <select className="border rounded-md px-2 py-1 bg-white" value={units[dimension]} onChange={(e) => setUnits(u => ({ ...u, [dimension]: e.target.value }))}>
+                <option value={AUTO_UNIT}>{t("units.auto")}</option>
+                {d.units.map(u => (<option key={u.id} value={u.id}>{unitLabel(u.id)}</option>))}
+              </select>
+            </label>
+          ))}
+          <Button variant="outline" size="sm" onClick={() => setShowKpiBuilder(v => !v)}>{t("kpi.add")}</Button>
+        </div>
+        <div className="grid md:grid-cols-4 gap-4">
+          {kpiCards.map(k => (<KpiCard key={k.id} card={k} color={colors[0]} onWarningClick={() => setTab("quality")} />))}
+        </div>
+        {showKpiBuilder && (
+          <KpiBuilder
+            columns={kpiFormulaColumns}
+            metrics={esgMetricNames}
+            preview={evaluateKpi}
+            onAdd={(k) => setCustomKpis(list => [...list, k])}
+            onClose={() => setShowKpiBuilder(false)}
+          />
+        )}
+
+        {detailTitle && (
+          <TitleDetail title={detailTitle} rows={detailRows} regionColor={(r) => categoryColor(activeTheme, categoryColors, "Region", r)} onClose={() => setCrossTitles([])} />
+        )}
+
+        {/* Tabs */}
+        <Tabs value={tab} onValueChange={setTab} className="w-full">
+          <TabsList className="flex flex-wrap h-auto gap-2 rounded-2xl">
+            {["ci", "innovation", "sdg", "esg", "grid", "scenarios", "compare", "quality"].map(id => (<TabsTrigger key={id} value={id}>{t(`tab.${id}`)}</TabsTrigger>))}
+            {layout.tabs.map(x => (<TabsTrigger key={x.id} value={x.id}>{x.title || t("layout.untitled")}</TabsTrigger>))}
+            <TabsTrigger value="about">{t("tab.about")}</TabsTrigger>
+          </TabsList>
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+            <Button variant="outline" size="sm" onClick={addLayoutTab}>{t("layout.newTab")}</Button>
+            <Button variant="ghost" size="sm" onClick={exportLayout} disabled={layout.tabs.length === 0}><Download className="w-4 h-4 mr-1"/>{t("layout.export")}</Button>
+            <label className="inline-flex items-center gap-1 cursor-pointer rounded-md px-3 py-1.5 hover:bg-neutral-100">
+              <Upload className="w-4 h-4"/>{t("layout.import")}
+              <input type="file" accept="application/json,.json" className="hidden" onChange={(e) => { if (e.target.files?.[0]) importLayout(e.target.files[0]); e.target.value = ""; }} />
+            </label>
+            {layoutError && <span className="text-red-600">{layoutError}</span>}
+          </div>
+
+          {layout.tabs.map(x => (
+            <TabsContent key={x.id} value={x.id} className="mt-4">
+              <CustomTabContent
+                tab={x}
+                onChange={updateLayoutTab}
+                onDelete={() => deleteLayoutTab(x.id)}
+                cardSpec={layoutCardSpec}
+                builtinOptions={layoutBuiltins}
+                columnsFor={layoutColumns}
+              />
+            </TabsContent>
+          ))}
+
+          {/* CI Tab */}
+          <TabsContent value="ci" className="mt-4 space-y-4">
+            <div className="flex flex-wrap items-end gap-3 text-sm">
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("ci.metric")}</div>
+                <select className="border rounded-md px-2 py-1 bg-white" value={activeBenchMetric || ""} onChange={(e) => setBenchMetric(e.target.value)}>
+                  {benchMetrics.map(m => (<option key={m} value={m}>{humanize(m)}</option>))}
+                </select>
+              </label>
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("ci.focus")}</div>
+                <select className="border rounded-md px-2 py-1 bg-white" value={activeBenchFocus || ""} onChange={(e) => setBenchFocus(e.target.value)}>
+                  {benchCompanies.map(c => (<option key={c} value={c}>{c}</option>))}
+                </select>
+              </label>
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("ci.rankingsYear")}</div>
+                <select className="border rounded-md px-2 py-1 bg-white" value={activeStandingsYear ?? ""} onChange={(e) => setStandingsYear(Number(e.target.value))}>
+                  {benchYears.map(y => (<option key={y} value={y}>{y}</option>))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 pb-1">
+                <input type="checkbox" checked={benchLowerIsBetter} onChange={(e) => setBenchLowerIsBetter(e.target.checked)} />
+                {t("ci.lowerIsBetter")}
+              </label>
+            </div>
+            <div className="grid md:grid-cols-2 gap-6">
+              <ChartCard spec={chartSpecs.benchmark} />
+              <ChartCard spec={chartSpecs.co2VsEnergy} />
+              <ChartCard spec={chartSpecs.standings} />
+              <ChartCard spec={chartSpecs.focusStandings} />
+            </div>
+          </TabsContent>
+
+          {/* Innovation Tab */}
+          <TabsContent value="innovation" className="mt-4">
+            <div className="grid md:grid-cols-2 gap-6">
+              <ChartCard spec={chartSpecs.titleEfficiency} />
+              <div className="space-y-3">
+                <div className="flex flex-wrap items-end gap-3 text-sm">
+                  <label className="space-y-1">
+                    <div className="text-xs text-neutral-600">{t("composition.groupBy")}</div>
+                    <select className="border rounded-md px-2 py-1 bg-white" value={composition.dimension} onChange={(e) => setComposition(c => ({ ...c, dimension: e.target.value }))}>
+                      {COMPOSITION_DIMENSIONS.map(d => (<option key={d.id} value={d.id}>{tLabel("composition.dimension", d)}</option>))}
+                    </select>
+                  </label>
+                  <label className="space-y-1">
+                    <div className="text-xs text-neutral-600">{t("composition.chart")}</div>
+                    <select className="border rounded-md px-2 py-1 bg-white" value={composition.view} onChange={(e) => setComposition(c => ({ ...c, view: e.target.value }))}>
+                      {COMPOSITION_VIEWS.map(v => (<option key={v.id} value={v.id}>{tLabel("composition.view", v)}</option>))}
+                    </select>
+                  </label>
+                  <label className="space-y-1">
+                    <div className="text-xs text-neutral-600">{t("composition.topN")}</div>
+                    <Input type="number" min={1} max={PALETTE_SIZE} className="w-20 h-8" value={composition.topN} onChange={(e) => setComposition(c => ({ ...c, topN: Math.min(PALETTE_SIZE, Math.max(1, Number(e.target.value) || 1)) }))} />
+                  </label>
+                </div>
+                <ChartCard spec={chartSpecs.composition} />
+              </div>
+            </div>
+          </TabsContent>
+
+          {/* SDG Tab */}
+          <TabsContent value="sdg" className="mt-4">
+            <div className="grid md:grid-cols-3 xl:grid-cols-5 gap-4">
+              {sdgGroups.map(g => (
+                <SdgScoreCard
+                  key={g.code}
+                  group={g}
+                  progress={g.metrics.map(m => metricProgress(m, esgDisplay[m], projection(`esg:${m}`).statuses))}
+                  selected={sdgFocus === g.code}
+                  onSelect={() => setSdgFocus(f => (f === g.code ? null : g.code))}
+                />
+              ))}
+            </div>
+            {visibleSdgGroups.map(g => (
+              <div key={g.code} className="mt-6 space-y-2">
+                <div className="text-sm font-semibold text-neutral-700">{sdgCode(g.code)} · {sdgName(g.code)}</div>
+                <div className="grid md:grid-cols-2 gap-6">
+                  {g.metrics.map(m => (<ChartCard key={m} spec={chartSpecs[`esg:${m}`]} />))}
+                </div>
+              </div>
+            ))}
+          </TabsContent>
+
+          {/* ESG Tab */}
+          <TabsContent value="esg" className="mt-4 space-y-4">
+            <div className="grid md:grid-cols-2 gap-6">
+              <ChartCard spec={chartSpecs.co2ByYear} />
+              <ChartCard spec={chartSpecs.energyByYear} />
+            </div>
+            {esgUnitNotes.length > 0 && (
+              <ul className="text-xs text-neutral-500 space-y-0.5">
+                {esgUnitNotes.map(n => (
+                  <li key={n.group}>
+                    {n.to === null
+                      ? t("units.noteMixedDimensions", { metric: humanize(n.group), units: n.from.map(unitLabel).join(", ") })
+                      : t(n.mixed ? "units.noteUnparsed" : "units.noteConverted", { metric: humanize(n.group), units: n.from.map(unitLabel).join(", "), to: localUnit(esgQty[n.group]?.unit) })}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="flex flex-wrap items-end gap-4 text-sm">
+              <div className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("explorer.metrics")}</div>
+                <div className="flex flex-wrap gap-2">
+                  {esgMetricNames.map(m => (
+                    <Button key={m} variant={explorerMetrics.includes(m)?"default":"outline"} size="sm" className="rounded-full" aria-pressed={explorerMetrics.includes(m)} onClick={()=>toggleExplorerMetric(m)}>{humanize(m)}</Button>
+                  ))}
+                </div>
+              </div>
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("explorer.showAs")}</div>
+                <select className="border rounded-md px-2 py-1 bg-white" value={explorer.mode} onChange={(e) => setExplorer(x => ({ ...x, mode: e.target.value }))}>
+                  {EXPLORER_MODES.map(m => (<option key={m.id} value={m.id}>{tLabel("explorer.mode", m)}</option>))}
+                </select>
+              </label>
+              {explorer.mode === "index" && (
+                <label className="space-y-1">
+                  <div className="text-xs text-neutral-600">{t("explorer.baseYear")}</div>
+                  <select className="border rounded-md px-2 py-1 bg-white" value={explorerBaseYear ?? ""} onChange={(e) => setExplorer(x => ({ ...x, baseYear: Number(e.target.value) }))}>
+                    {explorerYears.map(y => (<option key={y} value={y}>{y}</option>))}
+                  </select>
+                </label>
+              )}
+            </div>
+            <div className="grid md:grid-cols-2 gap-6">
+              <ChartCard spec={chartSpecs.esgExplorer} />
+              <ChartCard spec={chartSpecs.esgStats} />
+            </div>
+          </TabsContent>
+
+          {/* Grid Audit Tab */}
+          <TabsContent value="grid" className="mt-4 space-y-4">
+            <div className="flex flex-wrap items-end gap-3 text-sm">
+              <div className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("grid.basis")}</div>
+                <div className="flex gap-2">
+                  {GRID_BASES.map(b => (
+                    <Button key={b.id} variant={gridBasis===b.id?"default":"outline"} size="sm" className="rounded-full" aria-pressed={gridBasis===b.id} onClick={()=>setGridBasis(b.id)}>{tLabel("grid.basis", b)}</Button>
+                  ))}
+                </div>
+              </div>
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("grid.tolerance")}</div>
+                <Input type="number" min={0} className="w-24" value={gridTolerance} onChange={(e) => setGridTolerance(Math.max(0, Number(e.target.value) || 0))} />
+              </label>
+              <label className="flex items-center gap-2 pb-1">
+                <input type="checkbox" checked={gridOnlyFlagged} onChange={(e) => setGridOnlyFlagged(e.target.checked)} />
+                {t("grid.onlyFlagged")}
+              </label>
+              <div className="text-xs text-neutral-500 pb-1">{t("grid.hint")}</div>
+            </div>
+            <div className="grid md:grid-cols-2 gap-6">
+              <ChartCard spec={chartSpecs.gridByYear} />
+              <ChartCard spec={chartSpecs.gridRows} />
+            </div>
+          </TabsContent>
+
+          {/* Compare Tab */}
+          <TabsContent value="compare" className="mt-4 space-y-4">
+            <Card className="rounded-2xl shadow-sm">
+              <CardContent className="pt-4 space-y-4">
+                <div className="grid md:grid-cols-2 gap-6">
+                  {COMPARE_SETS.map(set => (
+                    <CompareSetPicker
+                      key={set}
+                      name={set}
+                      set={compare[set]}
+                      color={compareColor(activeTheme, set)}
+                      regions={allRegions}
+                      years={compareYears}
+                      onChange={(next) => setCompare(c => ({ ...c, [set]: next }))}
+                    />
+                  ))}
+                </div>
+                <div className="flex flex-wrap items-end gap-3 text-sm">
+                  <label className="space-y-1">
+                    <div className="text-xs text-neutral-600">{t("compare.view")}</div>
+                    <select className="border rounded-md px-2 py-1 bg-white" value={compare.view} onChange={(e) => setCompare(c => ({ ...c, view: e.target.value }))}>
+                      {COMPARE_VIEWS.map(v => (<option key={v.id} value={v.id}>{tLabel("compare.view", v)}</option>))}
+                    </select>
+                  </label>
+                  <label className="space-y-1">
+                    <div className="text-xs text-neutral-600">{t("compare.align")}</div>
+                    <select className="border rounded-md px-2 py-1 bg-white" value={compare.align} onChange={(e) => setCompare(c => ({ ...c, align: e.target.value }))}>
+                      {COMPARE_ALIGNMENTS.map(a => (<option key={a.id} value={a.id}>{tLabel("compare.alignment", a)}</option>))}
+                    </select>
+                  </label>
+                  <Button variant="outline" size="sm" onClick={() => setCompare(c => ({ ...c, A: { regions, yearRange } }))}>{t("compare.useFilters")}</Button>
+                  <Button variant="ghost" size="sm" onClick={() => setCompare(c => ({ ...c, A: c.B, B: c.A }))}>{t("compare.swap")}</Button>
+                </div>
+                <div className="text-xs text-neutral-500">
+                  {t("compare.summary", { a: compareSetLabel(compare.A), aRows: numberFmt(compareRun.a.rowCount), b: compareSetLabel(compare.B), bRows: numberFmt(compareRun.b.rowCount) })}
+                </div>
+              </CardContent>
+            </Card>
+
+            {compare.view === "side" ? (
+              <div className="grid md:grid-cols-2 gap-6">
+                {COMPARE_SETS.map(set => (
+                  <div key={set} className="space-y-2">
+                    <div className="text-sm font-medium">{set}: {compareSetLabel(compare[set])}</div>
+                    <div className="grid grid-cols-2 gap-4">
+                      {compareKpiCards(set).map(k => (<KpiCard key={k.id} card={k} color={compareColor(activeTheme, set)} />))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="grid md:grid-cols-4 gap-4">
+                {compareKpiRows.map(k => (
+                  <Card key={k.KPI} className="rounded-2xl shadow-sm">
+                    <CardHeader className="pb-2"><CardTitle className="text-sm text-neutral-600">{k.KPI}</CardTitle></CardHeader>
+                    <CardContent>
+                      <div className="text-3xl font-semibold">{numberFmt(k.B, k._digits)}</div>
+                      <div className="text-xs text-neutral-600">
+                        A {numberFmt(k.A, k._digits)} · {signedFmt(k.Difference, k._digits)} ({pctFmt(k.Change_pct)})
+                      </div>
+                    </CardContent>
+                  </Card>
+                ))}
+              </div>
+            )}
+
+            <div className="grid md:grid-cols-2 gap-6">
+              {COMPARE_YEAR_MEASURES.map(m => (<ChartCard key={m.key} spec={chartSpecs[`compare:${m.key}`]} />))}
+              <ChartCard spec={chartSpecs.compareKpis} />
+              <ChartCard spec={chartSpecs.compareEfficiency} />
+            </div>
+            <ChartCard spec={chartSpecs.compareTitles} />
+          </TabsContent>
+
+          {/* Scenarios Tab */}
+          <TabsContent value="scenarios" className="mt-4 space-y-4">
+            <div className="grid md:grid-cols-4 gap-4">
+              {[
+                { id: "energy", q: energyQty([kpis.totalEnergy, scenarioKpis.totalEnergy]), base: kpis.totalEnergy, next: scenarioKpis.totalEnergy },
+                { id: "co2", q: massQty([kpis.totalCO2, scenarioKpis.totalCO2]), base: kpis.totalCO2, next: scenarioKpis.totalCO2 },
+                { id: "power", q: { label: "W", fmt: (v) => numberFmt(v, 1) }, base: kpis.avgPower, next: scenarioKpis.avgPower },
+              ].map(k => {
+                const change = pctChange(k.base, k.next);
+                return (
+                  <Card key={k.id} className="rounded-2xl shadow-sm">
+                    <CardHeader className="pb-2"><CardTitle className="text-sm text-neutral-600">{t(`kpi.${k.id}`, { unit: k.q.label })}</CardTitle></CardHeader>
+                    <CardContent>
+                      <div className="text-3xl font-semibold">{k.q.fmt(k.next)}</div>
+                      <div className="text-xs text-neutral-600">
+                        {t("scenario.baseline", { value: k.q.fmt(k.base) })}{change !== null && Math.abs(change) >= 0.05 ? ` · ${change > 0 ? "+" : ""}${numberFmt(change, 1)}%` : ""}
+                      </div>
+                    </CardContent>
+                  </Card>
+                );
+              })}
+              <Card className="rounded-2xl shadow-sm">
+                <CardHeader className="pb-2"><CardTitle className="text-sm text-neutral-600">{t("scenario.avoided", { unit: waterfallCO2.label })}</CardTitle></CardHeader>
+                <CardContent className="flex items-end justify-between">
+                  <div className="text-3xl font-semibold">{waterfallCO2.fmt(scenarioRun.baseline.co2 - scenarioRun.result.co2)}</div>
+                  <Leaf className="w-5 h-5"/>
+                </CardContent>
+              </Card>
+            </div>
+            <div className="grid md:grid-cols-2 gap-6">
+              <ScenarioPanel
+                draft={scenarioDraft}
+                onDraftChange={setScenarioDraft}
+                titles={scenarioTitles}
+                regions={scenarioRegions}
+                scenarios={scenarios}
+                onScenariosChange={setScenarios}
+                compareIds={scenarioCompareIds}
+                onCompareChange={setScenarioCompareIds}
+              />
+              <div className="space-y-6">
+                <ChartCard spec={chartSpecs.scenarioWaterfall} />
+                <ChartCard spec={chartSpecs.scenarioCompare} />
+              </div>
+            </div>
+            <div className="text-xs text-neutral-500">{t("scenario.hint")}</div>
+          </TabsContent>
+
+          {/* Data Quality Tab */}
+          <TabsContent value="quality" className="mt-4 space-y-4">
+            <div className="flex flex-wrap items-end gap-3 text-sm">
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("sources.dataset")}</div>
+                <select className="border rounded-md px-2 py-1 bg-white" value={quality.kind} onChange={(e) => setQuality(q => ({ ...q, kind: e.target.value, issue: "all" }))}>
+                  {Object.keys(DATASET_SCHEMAS).map(kind => (<option key={kind} value={kind}>{datasetName(kind)}</option>))}
+                </select>
+              </label>
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("quality.outliersBy")}</div>
+                <select className="border rounded-md px-2 py-1 bg-white" value={quality.outlierMethod} onChange={(e) => setQuality(q => ({ ...q, outlierMethod: e.target.value }))}>
+                  {OUTLIER_METHODS.map(m => (<option key={m.id} value={m.id}>{tLabel("quality.outlier", m)}</option>))}
+                </select>
+              </label>
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("quality.jump")}</div>
+                <Input type="number" min={0} className="w-24" value={quality.jumpPct} onChange={(e) => setQuality(q => ({ ...q, jumpPct: Math.max(0, Number(e.target.value) || 0) }))} />
+              </label>
+              <label className="space-y-1">
+                <div className="text-xs text-neutral-600">{t("quality.show")}</div>
+                <select className="border rounded-md px-2 py-1 bg-white" value={quality.issue} onChange={(e) => setQuality(q => ({ ...q, issue: e.target.value }))}>
+                  <option value="all">{t("quality.allIssues")}</option>
+                  {Object.keys(ISSUE_LABELS).map(id => (<option key={id} value={id}>{issueLabel(id)}</option>))}
+                </select>
+              </label>
+              <Button variant="outline" size="sm" disabled={qualityFlags.length === 0} onClick={() => setRowsExcluded(quality.kind, qualityFlags.map(f => f.index), true)}>{t("quality.excludeShown")}</Button>
+              <Button variant="outline" size="sm" disabled={excludedCount === 0} onClick={() => setRowsExcluded(quality.kind, qualityRows.map((_, i) => i), false)}>{t("quality.includeAll", { count: numberFmt(excludedCount) })}</Button>
+            </div>
+            <div className="text-xs text-neutral-500">
+              {t("quality.summary", { rows: numberFmt(qualityRows.length), duplicates: numberFmt(qualityReport.duplicates), key: DATASET_SCHEMAS[quality.kind].naturalKey.join(" + "), flags: numberFmt(qualityReport.flags.length) })}
+            </div>
+            <div className="grid md:grid-cols-3 gap-6">
+              <ChartCard spec={chartSpecs.qualityColumns} />
+              <div className="md:col-span-2"><ChartCard spec={chartSpecs.qualityFlags} /></div>
             </div>
           </TabsContent>
 
           {/* About Tab */}
           <TabsContent value="about" className="mt-4">
             <Card className="rounded-2xl shadow-sm">
-              <CardHeader><CardTitle>How to Use This Dashboard</CardTitle></CardHeader>
+              <CardHeader><CardTitle>{t("about.title")}</CardTitle></CardHeader>
               <CardContent className="space-y-3 text-sm text-neutral-700">
                 <ul className="list-disc pl-5 space-y-2">
-                  <li>Upload your <strong>Xbox sustainability CSV</strong> and <strong>ESG metrics CSV</strong> to replace the sample data.</li>
-                  <li>Use the <strong>Region</strong> chips and <strong>Fiscal Year range</strong> to filter visualizations.</li>
-                  <li>The <strong>Competitive Intelligence</strong> tab lets you optionally add a peer benchmark for emissions intensity.</li>
-                  <li>The <strong>SDG</strong> and <strong>ESG</strong> tabs visualize alignment with SDG 6, 7, 9, 12, and 13 using your ESG time series.</li>
-                  <li>All charts update instantly on data/filter changes and are suitable for screenshots in your report.</li>
+                  {t("about.items").map((item, i) => (<li key={i}>{richText(item)}</li>))}
                 </ul>
-                <div className="text-xs text-neutral-500">Note: Sample numbers are illustrative. Replace with official Microsoft datasets for publication.</div>
+                <div className="text-xs text-neutral-500">{t("about.note")}</div>
               </CardContent>
             </Card>
           </TabsContent>
@@ -0,0 +1,122 @@
+/**
+ * Units for the sustainable innovation dashboard
+ * ----------------------------------------------
+ * Energy, mass and volume units with conversion, auto-scaling and parsing of
+ * free-text unit labels such as the ESG "Unit" column ("GWh", "tCO2e",
+ * "billion liters"). Factors are relative to each dimension's base unit,
+ * which is the unit the Xbox columns are reported in (MWh, metric tons).
+ * Framework-free like aggregation_engine.js.
+ */
+
+export const UNIT_DIMENSIONS = {
+  energy: { base: "MWh", units: [{ id: "kWh", factor: 1e-3 }, { id: "MWh", factor: 1 }, { id: "GWh", factor: 1e3 }] },
+  mass: { base: "t", units: [{ id: "kg", factor: 1e-3 }, { id: "t", factor: 1 }, { id: "kt", factor: 1e3 }] },
+  volume: { base: "L", units: [{ id: "L", factor: 1 }, { id: "million L", factor: 1e6 }, { id: "billion L", factor: 1e9 }] },
+};
+
+// Each dimension's base unit, e.g. as the `display` of normalizeUnits to keep
+// values in a fixed unit whatever the display choice
+export const BASE_UNITS = Object.fromEntries(Object.entries(UNIT_DIMENSIONS).map(([d, x]) => [d, x.base]));
+
+// Display choice per dimension: "auto" or a unit id
+export const AUTO_UNIT = "auto";
+export const DEFAULT_DISPLAY_UNITS = { energy: AUTO_UNIT, mass: AUTO_UNIT, volume: AUTO_UNIT };
+
+const UNIT_INDEX = new Map(Object.entries(UNIT_DIMENSIONS).flatMap(([dimension, d]) => d.units.map(u => [u.id, { dimension, factor: u.factor }])));
+
+export const unitDimension = (unit) => UNIT_INDEX.get(unit)?.dimension ?? null;
+export const unitFactor = (unit) => UNIT_INDEX.get(unit)?.factor ?? 1;
+
+// Same-dimension conversion; anything else is returned unchanged
+export const convertValue = (value, from, to) => {
+  if (from === to || unitDimension(from) === null || unitDimension(from) !== unitDimension(to)) return value;
+  return (value * unitFactor(from)) / unitFactor(to);
+};
+
+// Largest unit that keeps the biggest magnitude at 1 or more. values are in
+// the dimension's base unit.
+export const autoScaleUnit = (dimension, values) => {
+  const units = UNIT_DIMENSIONS[dimension].units;
+  const max = Math.max(0, ...(values || []).map(v => Math.abs(Number(v)) || 0));
+  if (max === 0) return UNIT_DIMENSIONS[dimension].base;
+  const fitting = units.filter(u => max / u.factor >= 1);
+  return (fitting[fitting.length - 1] || units[0]).id;
+};
+
+export const resolveUnit = (dimension, choice, values) => (
+  !choice || choice === AUTO_UNIT || unitDimension(choice) !== dimension ? autoScaleUnit(dimension, values) : choice
+);
+
+// Free-text spellings, lower-cased, with any CO2e qualifier already removed
+const UNIT_ALIASES = {
+  kwh: "kWh", "kilowatt hours": "kWh", "kilowatt-hours": "kWh",
+  mwh: "MWh", "megawatt hours": "MWh", "megawatt-hours": "MWh",
+  gwh: "GWh", "gigawatt hours": "GWh", "gigawatt-hours": "GWh",
+  kg: "kg", kilogram: "kg", kilograms: "kg",
+  t: "t", tonne: "t", tonnes: "t", "metric ton": "t", "metric tons": "t", "metric tonne": "t", "metric tonnes": "t",
+  kt: "kt", kilotonne: "kt", kilotonnes: "kt", "thousand tonnes": "kt", "thousand metric tons": "kt",
+  l: "L", liter: "L", liters: "L", litre: "L", litres: "L",
+  "million l": "million L", "million liters": "million L", "million litres": "million L", megaliters: "million L", megalitres: "million L",
+  "billion l": "billion L", "bn l": "billion L", "billion liters": "billion L", "billion litres": "billion L", gigaliters: "billion L", gigalitres: "billion L",
+};
+
+const CO2E_QUALIFIER = /\s*(co2e|co₂e|co2-eq|co2eq)\s*$/i;
+
+// "tCO2e" -> { dimension: "mass", unit: "t", qualifier: "CO₂e" }; null when unknown
+export const parseUnit = (text) => {
+  if (typeof text !== "string" || !text.trim()) return null;
+  let rest = text.trim();
+  let qualifier = "";
+  if (CO2E_QUALIFIER.test(rest)) {
+    qualifier = "CO₂e";
+    rest = rest.replace(CO2E_QUALIFIER, "");
+  }
+  const unit = UNIT_ALIASES[rest.toLowerCase().replace(/\s+/g, " ")];
+  return unit ? { dimension: unitDimension(unit), unit, qualifier } : null;
+};
+
+export const formatUnitLabel = (unit, qualifier) => (qualifier ? `${unit} ${qualifier}` : unit);
+
+// Bring each group (ESG metric) to one unit per dimension. The target is the
+// display choice for that dimension (auto-scaled over the group's values when
+// "auto"). Rows whose unit can't be parsed are left as they are; a group that
+// mixes those with convertible units is reported as `mixed`.
+// Returns { rows, notes: [{ group, from: [units], to, converted, mixed }] }
+export const normalizeUnits = (rows, { groupKey = "Metric", valueKey = "Value", unitKey = "Unit", display = DEFAULT_DISPLAY_UNITS } = {}) => {
+  const groups = new Map();
+  (rows || []).forEach((r, i) => {
+    const g = r[groupKey];
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(i);
+  });
+  const out = (rows || []).slice();
+  const notes = [];
+  groups.forEach((indexes, group) => {
+    const parsed = indexes.map(i => parseUnit(out[i][unitKey]));
+    const known = parsed.filter(Boolean);
+    if (known.length === 0) return;
+    const dimension = known[0].dimension;
+    if (known.some(p => p.dimension !== dimension)) {
+      notes.push({ group, from: Array.from(new Set(known.map(p => p.unit))), to: null, converted: 0, mixed: true });
+      return;
+    }
+    const baseValues = indexes.map((i, k) => (parsed[k] ? Number(out[i][valueKey]) * unitFactor(parsed[k].unit) : null)).filter(v => v !== null);
+    const to = resolveUnit(dimension, display[dimension], baseValues);
+    let converted = 0;
+    indexes.forEach((i, k) => {
+      const p = parsed[k];
+      if (!p) return;
+      const label = formatUnitLabel(to, p.qualifier);
+      const value = Number(out[i][valueKey]);
+      if (p.unit !== to) converted += 1;
+      if (p.unit !== to || out[i][unitKey] !== label) {
+        out[i] = { ...out[i], [valueKey]: Number.isFinite(value) ? convertValue(value, p.unit, to) : out[i][valueKey], [unitKey]: label };
+      }
+    });
+    const from = Array.from(new Set(known.map(p => p.unit)));
+    if (converted > 0 || known.length < indexes.length) {
+      notes.push({ group, from, to, converted, mixed: known.length < indexes.length });
+    }
+  });
+  return { rows: out, notes };
+};
@@ -0,0 +1,62 @@
+// Run with: node --test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeUnits, convertValue, parseUnit, autoScaleUnit, resolveUnit, BASE_UNITS } from "./units.js";
+
+test("parseUnit reads free-text labels and keeps the CO2e qualifier", () => {
+  assert.deepEqual(parseUnit("tCO2e"), { dimension: "mass", unit: "t", qualifier: "CO₂e" });
+  assert.deepEqual(parseUnit(" Metric  Tons CO2e "), { dimension: "mass", unit: "t", qualifier: "CO₂e" });
+  assert.deepEqual(parseUnit("GWh"), { dimension: "energy", unit: "GWh", qualifier: "" });
+  assert.deepEqual(parseUnit("billion liters"), { dimension: "volume", unit: "billion L", qualifier: "" });
+  assert.equal(parseUnit("%"), null);
+  assert.equal(parseUnit(""), null);
+  assert.equal(parseUnit(undefined), null);
+});
+
+test("convertValue converts within a dimension only", () => {
+  assert.equal(convertValue(2, "GWh", "MWh"), 2000);
+  assert.equal(convertValue(500, "kg", "t"), 0.5);
+  assert.equal(convertValue(3, "GWh", "t"), 3);
+  assert.equal(convertValue(3, "%", "MWh"), 3);
+});
+
+test("autoScaleUnit picks the largest unit that keeps values at 1 or more", () => {
+  assert.equal(autoScaleUnit("energy", [0.5]), "kWh");
+  assert.equal(autoScaleUnit("energy", [12, -3400]), "GWh");
+  assert.equal(autoScaleUnit("mass", []), "t");
+  assert.equal(resolveUnit("energy", "auto", [5]), "MWh");
+  assert.equal(resolveUnit("energy", "kWh", [5000]), "kWh");
+  // A unit from another dimension falls back to auto
+  assert.equal(resolveUnit("energy", "kt", [5000]), "GWh");
+});
+
+test("normalizeUnits brings each metric to one unit", () => {
+  const rows = [
+    { Metric: "Energy", Value: 2, Unit: "GWh" },
+    { Metric: "Energy", Value: 500, Unit: "MWh" },
+    { Metric: "Emissions", Value: 3, Unit: "tCO2e" },
+    { Metric: "Renewable", Value: 60, Unit: "%" },
+  ];
+  const { rows: out, notes } = normalizeUnits(rows, { display: BASE_UNITS });
+  assert.deepEqual(out.map(r => [r.Value, r.Unit]), [[2000, "MWh"], [500, "MWh"], [3, "t CO₂e"], [60, "%"]]);
+  assert.deepEqual(notes, [{ group: "Energy", from: ["GWh", "MWh"], to: "MWh", converted: 1, mixed: false }]);
+  assert.equal(rows[0].Value, 2);
+  // Auto-scaled over the metric's values in the base unit
+  assert.deepEqual(normalizeUnits(rows).rows.slice(0, 2).map(r => [r.Value, r.Unit]), [[2, "GWh"], [0.5, "GWh"]]);
+});
+
+test("normalizeUnits reports metrics mixing dimensions or unknown units", () => {
+  const rows = [
+    { Metric: "A", Value: 1, Unit: "GWh" },
+    { Metric: "A", Value: 1, Unit: "kt" },
+    { Metric: "B", Value: 1000, Unit: "kg" },
+    { Metric: "B", Value: 7, Unit: "bags" },
+  ];
+  const { rows: out, notes } = normalizeUnits(rows, { display: BASE_UNITS });
+  assert.deepEqual(out.slice(0, 2), rows.slice(0, 2));
+  assert.deepEqual(out.slice(2).map(r => [r.Value, r.Unit]), [[1, "t"], [7, "bags"]]);
+  assert.deepEqual(notes, [
+    { group: "A", from: ["GWh", "kt"], to: null, converted: 0, mixed: true },
+    { group: "B", from: ["kg"], to: "t", converted: 1, mixed: true },
+  ]);
+});